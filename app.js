@@ -20,10 +20,15 @@ const app = express();
 
 // Enable CORS for all origins with exposed headers for cart token
 app.use(cors({
-  exposedHeaders: ['X-Cart-Token']
+  exposedHeaders: ['X-Cart-Token', 'Idempotent-Replayed']
 }));
 
-app.use(express.json());
+app.use(express.json({
+  // Payment webhooks are signed over the exact bytes sent - keep them for verification
+  verify: (req, res, buf) => {
+    if (req.path.endsWith("/webhook")) req.rawBody = buf;
+  },
+}));
 
 // Request logging middleware (before routes)
 app.use(requestLoggerMiddleware);
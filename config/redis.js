@@ -20,4 +20,10 @@ redisClient.on("error", (err) => {
   console.error("Redis error:", err);
 });
 
+/**
+ * Key prefixes that hold application state rather than cache
+ * These survive the startup cache flush in server.js
+ */
+export const PERSISTENT_KEY_PREFIXES = ["cart:", "stock-hold:", "cart-share:", "cart-recovery:", "currency:", "sample-allowance:", "idempotency:", "payment:", "checkout-session:", "wishlist:"];
+
 export default redisClient;
@@ -6,8 +6,19 @@ import {
   updateProfile,
   changePassword,
 } from "../services/account.service.js";
+import {
+  getWishlists,
+  createWishlist,
+  deleteWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+} from "../services/wishlist.service.js";
 import { verifyToken } from "../services/auth.service.js";
-import { successResponse, handleError } from "../utils/response.js";
+import { getRequestCurrency } from "../services/currency.service.js";
+import { isValidCartToken } from "../services/cart-store.service.js";
+import { successResponse, handleError, validationErrorResponse } from "../utils/response.js";
+import { validateAddress } from "../utils/address.js";
 
 /**
  * Get authenticated customer from request
@@ -23,6 +34,26 @@ const getAuthenticatedCustomer = async (req) => {
   return customer;
 };
 
+/**
+ * Validate an address update against the customer's saved address
+ * The fields sent are laid over the saved ones, so postcode and state are
+ * checked against the country the address ends up with. Only the fields
+ * sent are returned for saving.
+ */
+const validateAddressUpdate = (savedAddress, update, type) => {
+  const saved = Object.fromEntries(
+    Object.entries(savedAddress || {}).filter(([, value]) => value !== "" && value !== null)
+  );
+
+  const { address, errors } = validateAddress({ ...saved, ...update }, { type, partial: true });
+  if (errors.length > 0) {
+    return { address: null, errors };
+  }
+
+  const changed = Object.fromEntries(Object.keys(update).map((name) => [name, address[name]]));
+  return { address: changed, errors };
+};
+
 /**
  * Get customer orders
  * GET /api/account/orders
@@ -64,11 +95,16 @@ export const getOrder = async (req, res) => {
 /**
  * Update billing address
  * PUT /api/account/address/billing
+ * 400 with data.errors = [{ field, message, code }] if a field isn't valid (see utils/address.js)
  */
 export const updateBilling = async (req, res) => {
   try {
     const customer = await getAuthenticatedCustomer(req);
-    const addressData = req.body;
+
+    const { address: addressData, errors } = validateAddressUpdate(customer.billing, req.body || {}, "billing");
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
+    }
 
     const updatedCustomer = await updateBillingAddress(customer.id, addressData);
 
@@ -86,11 +122,16 @@ export const updateBilling = async (req, res) => {
 /**
  * Update shipping address
  * PUT /api/account/address/shipping
+ * 400 with data.errors = [{ field, message, code }] if a field isn't valid (see utils/address.js)
  */
 export const updateShipping = async (req, res) => {
   try {
     const customer = await getAuthenticatedCustomer(req);
-    const addressData = req.body;
+
+    const { address: addressData, errors } = validateAddressUpdate(customer.shipping, req.body || {}, "shipping");
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
+    }
 
     const updatedCustomer = await updateShippingAddress(customer.id, addressData);
 
@@ -158,3 +199,150 @@ export const updatePassword = async (req, res) => {
     return handleError(res, error.message || "Failed to change password", status);
   }
 };
+
+/**
+ * Get wishlists (all, or one with ?list=<id>)
+ * GET /api/account/wishlist
+ */
+export const getWishlist = async (req, res) => {
+  try {
+    const customer = await getAuthenticatedCustomer(req);
+
+    const wishlists = await getWishlists(
+      customer.id,
+      req.query.list || null,
+      getRequestCurrency(req)
+    );
+
+    return successResponse(res, wishlists, "Wishlist retrieved successfully");
+  } catch (error) {
+    const status = error.message === "No token provided" ? 401 : error.status || 500;
+    return handleError(res, error.message || "Failed to get wishlist", status);
+  }
+};
+
+/**
+ * Add item to a wishlist
+ * POST /api/account/wishlist
+ * Body: { productId, variationId?, variation?, listId? }
+ */
+export const addToWishlist = async (req, res) => {
+  try {
+    const customer = await getAuthenticatedCustomer(req);
+    const { productId, variationId, variation, listId } = req.body;
+
+    if (!productId) {
+      return handleError(res, "Product ID is required", 400);
+    }
+
+    const list = await addWishlistItem(customer.id, {
+      productId,
+      variationId,
+      variation,
+      listId,
+      currency: getRequestCurrency(req),
+    });
+
+    return successResponse(res, { list }, "Item added to wishlist");
+  } catch (error) {
+    const status = error.message === "No token provided" ? 401 : error.status || 500;
+    return handleError(res, error.message || "Failed to add item to wishlist", status);
+  }
+};
+
+/**
+ * Remove item from a wishlist
+ * DELETE /api/account/wishlist/:key?list=<id>
+ */
+export const removeFromWishlist = async (req, res) => {
+  try {
+    const customer = await getAuthenticatedCustomer(req);
+
+    const list = await removeWishlistItem(
+      customer.id,
+      req.params.key,
+      req.query.list || null,
+      getRequestCurrency(req)
+    );
+
+    return successResponse(res, { list }, "Item removed from wishlist");
+  } catch (error) {
+    const status = error.message === "No token provided" ? 401 : error.status || 500;
+    return handleError(res, error.message || "Failed to remove item from wishlist", status);
+  }
+};
+
+/**
+ * Move a wishlist item to the cart
+ * POST /api/account/wishlist/:key/move-to-cart
+ * Body: { listId?, quantity?, sqm?, layPattern?, keepInWishlist? }
+ */
+export const moveWishlistToCart = async (req, res) => {
+  try {
+    const customer = await getAuthenticatedCustomer(req);
+    const { listId, quantity, sqm, layPattern, keepInWishlist } = req.body;
+    const headerToken = req.headers["x-cart-token"];
+
+    const result = await moveWishlistItemToCart(customer.id, req.params.key, {
+      listId,
+      quantity,
+      sqm,
+      layPattern,
+      keepInWishlist,
+      cartToken: isValidCartToken(headerToken) ? headerToken : null,
+      currency: getRequestCurrency(req),
+    });
+
+    if (result.cartToken) {
+      res.setHeader("X-Cart-Token", result.cartToken);
+    }
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+        list: result.wishlist,
+      },
+      "Item moved to cart"
+    );
+  } catch (error) {
+    const status = error.message === "No token provided" ? 401 : error.status || 500;
+    return handleError(res, error.message || "Failed to move item to cart", status);
+  }
+};
+
+/**
+ * Create a named wishlist
+ * POST /api/account/wishlist/lists
+ * Body: { name }
+ */
+export const createNamedWishlist = async (req, res) => {
+  try {
+    const customer = await getAuthenticatedCustomer(req);
+
+    const list = await createWishlist(customer.id, req.body.name, getRequestCurrency(req));
+
+    return successResponse(res, { list }, "Wishlist created");
+  } catch (error) {
+    const status = error.message === "No token provided" ? 401 : error.status || 500;
+    return handleError(res, error.message || "Failed to create wishlist", status);
+  }
+};
+
+/**
+ * Delete a named wishlist
+ * DELETE /api/account/wishlist/lists/:listId
+ */
+export const deleteNamedWishlist = async (req, res) => {
+  try {
+    const customer = await getAuthenticatedCustomer(req);
+
+    const result = await deleteWishlist(customer.id, req.params.listId);
+
+    return successResponse(res, result, "Wishlist deleted");
+  } catch (error) {
+    const status = error.message === "No token provided" ? 401 : error.status || 500;
+    return handleError(res, error.message || "Failed to delete wishlist", status);
+  }
+};
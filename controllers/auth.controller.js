@@ -5,8 +5,38 @@ import {
   refreshToken,
   updateCustomerProfile,
 } from "../services/auth.service.js";
+import { mergeGuestCart, setCartContact } from "../services/cart.service.js";
+import { isValidCartToken } from "../services/cart-store.service.js";
 import { successResponse, handleError } from "../utils/response.js";
 
+/**
+ * Attach the guest cart (X-Cart-Token) to the customer who just signed in
+ * Merges it into the customer's saved cart and returns the token to use from now on.
+ * The customer's email is recorded on the cart (coupons, abandoned cart emails).
+ * Cart problems must never block authentication, so failures are only logged.
+ */
+const linkCartToCustomer = async (req, res, customer) => {
+  const header = req.headers["x-cart-token"];
+  const guestToken = isValidCartToken(header) ? header : null;
+
+  try {
+    const cartToken = await mergeGuestCart(guestToken, customer.id);
+
+    if (cartToken) {
+      await setCartContact(cartToken, {
+        email: customer.email,
+        firstName: customer.first_name,
+      });
+      res.setHeader("X-Cart-Token", cartToken);
+    }
+
+    return cartToken;
+  } catch (error) {
+    console.error("Cart merge on login failed:", error.message);
+    return guestToken;
+  }
+};
+
 /**
  * Register a new customer
  * POST /api/auth/register
@@ -30,7 +60,9 @@ export const register = async (req, res) => {
       });
     }
 
-    return successResponse(res, result, "Registration successful", 201);
+    const cartToken = await linkCartToCustomer(req, res, result.customer);
+
+    return successResponse(res, { ...result, cartToken }, "Registration successful", 201);
   } catch (error) {
     console.error("Register controller error:", error);
     return handleError(res, error.message || "Registration failed", 400);
@@ -51,8 +83,9 @@ export const login = async (req, res) => {
     }
 
     const result = await loginCustomer(email, password);
+    const cartToken = await linkCartToCustomer(req, res, result.customer);
 
-    return successResponse(res, result, "Login successful");
+    return successResponse(res, { ...result, cartToken }, "Login successful");
   } catch (error) {
     return handleError(res, error.message || "Login failed", 401);
   }
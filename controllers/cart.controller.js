@@ -1,30 +1,110 @@
 import {
   getCart,
   addToCart,
+  addToCartBulk,
   updateCartItem,
   removeFromCart,
   clearCart,
   applyCoupon,
   removeCoupon,
   getCartTotals,
+  mergeGuestCart,
+  resolveCartToken,
+  validateCart,
+  setCartContact,
+  setCartTaxAddress,
+  setCartCurrency,
 } from "../services/cart.service.js";
+import {
+  getExchangeRates,
+  setExchangeRateOverride,
+} from "../services/currency.service.js";
+import { getCartRecommendations } from "../services/recommendation.service.js";
+import { startCheckoutSession } from "../services/checkout-session.service.js";
+import { isValidCartToken } from "../services/cart-store.service.js";
+import {
+  trackRecoveryRestore,
+  getRecoveryStats,
+} from "../services/cart-recovery.service.js";
+import {
+  getCustomerIdFromToken,
+  getStaffMember,
+} from "../services/auth.service.js";
+import {
+  createCartShare,
+  getCartShare,
+  restoreCartShare,
+  createQuote,
+  getQuoteByReference,
+  convertQuoteToOrder,
+} from "../services/cart-share.service.js";
 import { successResponse, handleError } from "../utils/response.js";
+import { isValidLayPattern } from "../utils/box-coverage.js";
+import { isValidEmail } from "../utils/address.js";
 
 /**
  * Extract cart token from request headers
- * The cart token is sent via X-Cart-Token header
+ * The cart token is sent via X-Cart-Token header.
+ * For logged-in customers (Bearer token) the customer's saved cart is used,
+ * so the same cart follows them across devices (see resolveCartToken).
+ * A malformed token is treated like an expired one (a new cart is started).
  */
-const getCartToken = (req) => {
-  return req.headers["x-cart-token"] || null;
+const getCartToken = async (req) => {
+  const header = req.headers["x-cart-token"];
+  const headerToken = isValidCartToken(header) ? header : null;
+  const customerId = getCustomerIdFromToken(
+    req.headers.authorization?.replace("Bearer ", "")
+  );
+
+  return resolveCartToken(headerToken, customerId);
 };
 
+/**
+ * Cart hash the client last saw, from the If-Match header
+ * Accepts a bare hash or an ETag-style value (quoted, optionally W/ prefixed).
+ */
+const getIfMatchHash = (req) => {
+  const header = req.headers["if-match"];
+  if (!header || header.trim() === "*") return null;
+
+  return header.trim().replace(/^W\//, "").replace(/^"|"$/g, "") || null;
+};
+
+/**
+ * 409 for an edit made against a stale cart - returns the current cart so
+ * the client can reconcile
+ */
+const cartChangedResponse = (res, error) =>
+  res.status(409).json({
+    success: false,
+    message: error.message,
+    data: {
+      cart: error.cart,
+      cartHash: error.cartHash,
+    },
+  });
+
+/**
+ * 400 for a quantity the product's rules don't allow - `code` says which rule
+ * (e.g. "quantity_step") and the rules are returned for the quantity picker
+ */
+const quantityRuleResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    data: {
+      quantityRules: error.quantityRules,
+    },
+  });
+
 /**
  * Get cart
  * GET /api/cart
  */
 export const getCartHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
     const result = await getCart(cartToken);
 
     // Set cart token in response header for client to store
@@ -52,23 +132,28 @@ export const getCartHandler = async (req, res) => {
 /**
  * Add item to cart
  * POST /api/cart/add
- * Body: { productId, quantity, variation? }
+ * Body: { productId, quantity, sqm?, variation?, layPattern? }
  */
 export const addToCartHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
     const {
       productId,
       quantity = 1,
       sqm,
       variationId,
       variation = [],
+      layPattern,
     } = req.body;
 
     if (!productId) {
       return handleError(res, "Product ID is required", 400);
     }
 
+    if (layPattern && !isValidLayPattern(layPattern)) {
+      return handleError(res, "Invalid lay pattern", 400);
+    }
+
     const result = await addToCart(
       productId,
       quantity,
@@ -76,6 +161,7 @@ export const addToCartHandler = async (req, res) => {
       variation,
       cartToken,
       variationId,
+      { layPattern },
     );
 
     // Set cart token in response header
@@ -92,6 +178,9 @@ export const addToCartHandler = async (req, res) => {
       "Item added to cart",
     );
   } catch (error) {
+    if (error.quantityRules) {
+      return quantityRuleResponse(res, error);
+    }
     return handleError(
       res,
       error.message || "Failed to add item to cart",
@@ -100,16 +189,56 @@ export const addToCartHandler = async (req, res) => {
   }
 };
 
+/**
+ * Add several items to cart in one request - all are added or none are
+ * POST /api/cart/add-bulk
+ * Body: { items: [{ productId, variationId?, variation?, quantity?, sqm?, layPattern? }] }
+ * 400 with data.errors = [{ index, productId, variationId, message, code }] if any line fails
+ */
+export const addToCartBulkHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+    const result = await addToCartBulk(req.body.items, cartToken);
+
+    if (result.cartToken) {
+      res.setHeader("X-Cart-Token", result.cartToken);
+    }
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+      },
+      "Items added to cart",
+    );
+  } catch (error) {
+    if (error.errors) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        data: { errors: error.errors },
+      });
+    }
+
+    return handleError(
+      res,
+      error.message || "Failed to add items to cart",
+      error.status || 500,
+    );
+  }
+};
+
 /**
  * Update cart item quantity
  * PUT /api/cart/item/:key
- * Body: { quantity }
+ * Body: { quantity, sqm?, layPattern? }
  */
 export const updateCartItemHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
     const { key } = req.params;
-    const { quantity, sqm } = req.body;
+    const { quantity, sqm, layPattern } = req.body;
 
     if (!cartToken) {
       return handleError(res, "Cart session required", 400);
@@ -123,9 +252,15 @@ export const updateCartItemHandler = async (req, res) => {
       return handleError(res, "Valid quantity is required", 400);
     }
 
+    if (layPattern && !isValidLayPattern(layPattern)) {
+      return handleError(res, "Invalid lay pattern", 400);
+    }
+
     // If quantity is 0, remove the item instead
     if (quantity === 0) {
-      const result = await removeFromCart(key, cartToken);
+      const result = await removeFromCart(key, cartToken, {
+        expectedHash: getIfMatchHash(req),
+      });
 
       if (result.cartToken) {
         res.setHeader("X-Cart-Token", result.cartToken);
@@ -141,7 +276,10 @@ export const updateCartItemHandler = async (req, res) => {
       );
     }
 
-    const result = await updateCartItem(key, quantity, sqm, cartToken);
+    const result = await updateCartItem(key, quantity, sqm, cartToken, {
+      layPattern,
+      expectedHash: getIfMatchHash(req),
+    });
 
     if (result.cartToken) {
       res.setHeader("X-Cart-Token", result.cartToken);
@@ -156,6 +294,12 @@ export const updateCartItemHandler = async (req, res) => {
       "Cart item updated",
     );
   } catch (error) {
+    if (error.cart) {
+      return cartChangedResponse(res, error);
+    }
+    if (error.quantityRules) {
+      return quantityRuleResponse(res, error);
+    }
     return handleError(
       res,
       error.message || "Failed to update cart item",
@@ -170,7 +314,7 @@ export const updateCartItemHandler = async (req, res) => {
  */
 export const removeFromCartHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
     const { key } = req.params;
 
     if (!cartToken) {
@@ -181,7 +325,9 @@ export const removeFromCartHandler = async (req, res) => {
       return handleError(res, "Item key is required", 400);
     }
 
-    const result = await removeFromCart(key, cartToken);
+    const result = await removeFromCart(key, cartToken, {
+      expectedHash: getIfMatchHash(req),
+    });
 
     if (result.cartToken) {
       res.setHeader("X-Cart-Token", result.cartToken);
@@ -196,6 +342,9 @@ export const removeFromCartHandler = async (req, res) => {
       "Item removed from cart",
     );
   } catch (error) {
+    if (error.cart) {
+      return cartChangedResponse(res, error);
+    }
     return handleError(
       res,
       error.message || "Failed to remove item from cart",
@@ -210,13 +359,15 @@ export const removeFromCartHandler = async (req, res) => {
  */
 export const clearCartHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
 
     if (!cartToken) {
       return handleError(res, "Cart session required", 400);
     }
 
-    const result = await clearCart(cartToken);
+    const result = await clearCart(cartToken, {
+      expectedHash: getIfMatchHash(req),
+    });
 
     if (result.cartToken) {
       res.setHeader("X-Cart-Token", result.cartToken);
@@ -231,6 +382,9 @@ export const clearCartHandler = async (req, res) => {
       "Cart cleared",
     );
   } catch (error) {
+    if (error.cart) {
+      return cartChangedResponse(res, error);
+    }
     return handleError(
       res,
       error.message || "Failed to clear cart",
@@ -246,7 +400,7 @@ export const clearCartHandler = async (req, res) => {
  */
 export const applyCouponHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
     const { code } = req.body;
 
     if (!cartToken) {
@@ -257,7 +411,9 @@ export const applyCouponHandler = async (req, res) => {
       return handleError(res, "Coupon code is required", 400);
     }
 
-    const result = await applyCoupon(code, cartToken);
+    const result = await applyCoupon(code, cartToken, {
+      expectedHash: getIfMatchHash(req),
+    });
 
     if (result.cartToken) {
       res.setHeader("X-Cart-Token", result.cartToken);
@@ -272,6 +428,9 @@ export const applyCouponHandler = async (req, res) => {
       "Coupon applied successfully",
     );
   } catch (error) {
+    if (error.cart) {
+      return cartChangedResponse(res, error);
+    }
     // Handle specific coupon errors
     if (error.code === "woocommerce_rest_cart_coupon_error") {
       return handleError(res, error.message || "Invalid coupon", 400);
@@ -290,7 +449,7 @@ export const applyCouponHandler = async (req, res) => {
  */
 export const removeCouponHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
     const { code } = req.params;
 
     if (!cartToken) {
@@ -301,7 +460,9 @@ export const removeCouponHandler = async (req, res) => {
       return handleError(res, "Coupon code is required", 400);
     }
 
-    const result = await removeCoupon(code, cartToken);
+    const result = await removeCoupon(code, cartToken, {
+      expectedHash: getIfMatchHash(req),
+    });
 
     if (result.cartToken) {
       res.setHeader("X-Cart-Token", result.cartToken);
@@ -316,6 +477,9 @@ export const removeCouponHandler = async (req, res) => {
       "Coupon removed successfully",
     );
   } catch (error) {
+    if (error.cart) {
+      return cartChangedResponse(res, error);
+    }
     return handleError(
       res,
       error.message || "Failed to remove coupon",
@@ -330,7 +494,7 @@ export const removeCouponHandler = async (req, res) => {
  */
 export const getCartTotalsHandler = async (req, res) => {
   try {
-    const cartToken = getCartToken(req);
+    const cartToken = await getCartToken(req);
 
     if (!cartToken) {
       return handleError(res, "Cart session required", 400);
@@ -347,3 +511,485 @@ export const getCartTotalsHandler = async (req, res) => {
     );
   }
 };
+
+/**
+ * "Complete the job" accessories (adhesive, grout, sealer) for the tiles in the cart
+ * GET /api/cart/recommendations
+ * data.bulkItems can be posted straight to /api/cart/add-bulk
+ */
+export const getRecommendationsHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+    const result = await getCartRecommendations(cartToken);
+
+    return successResponse(res, result, "Recommendations retrieved");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to get recommendations",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Revalidate cart prices and stock against WooCommerce
+ * POST /api/cart/validate
+ * Returns the updated cart plus a list of changes (price changes,
+ * removed and out-of-stock items) to show the shopper before checkout.
+ * A valid cart starts the checkout session (see checkout-session.service.js).
+ */
+export const validateCartHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+
+    if (!cartToken) {
+      return handleError(res, "Cart session required", 400);
+    }
+
+    const result = await validateCart(cartToken);
+
+    // A valid cart starts checkout (or keeps the shopper's progress if it hasn't changed)
+    if (result.valid) {
+      await startCheckoutSession(result.cartToken || cartToken, result);
+    }
+
+    if (result.cartToken) {
+      res.setHeader("X-Cart-Token", result.cartToken);
+    }
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+        valid: result.valid,
+        changes: result.changes,
+      },
+      result.valid ? "Cart is up to date" : "Cart has changed",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to validate cart",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Merge the guest cart (X-Cart-Token) into the signed-in customer's cart
+ * Login does this already - this is for clients that hold a guest cart from
+ * before the customer signed in elsewhere.
+ * POST /api/cart/merge
+ */
+export const mergeCartHandler = async (req, res) => {
+  try {
+    const customerId = getCustomerIdFromToken(
+      req.headers.authorization?.replace("Bearer ", "")
+    );
+
+    if (!customerId) {
+      return handleError(res, "Authentication required", 401);
+    }
+
+    const header = req.headers["x-cart-token"];
+    const cartToken = await mergeGuestCart(isValidCartToken(header) ? header : null, customerId);
+    const result = await getCart(cartToken);
+
+    res.setHeader("X-Cart-Token", result.cartToken);
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+      },
+      "Cart merged",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to merge cart",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Save the shopper's email on the cart (e.g. as soon as the billing email is entered)
+ * PUT /api/cart/email
+ * Body: { email, firstName? }
+ */
+export const setCartEmailHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+    const { email, firstName } = req.body;
+
+    if (!cartToken) {
+      return handleError(res, "Cart session required", 400);
+    }
+
+    if (!email || !isValidEmail(email)) {
+      return handleError(res, "Valid email is required", 400);
+    }
+
+    const result = await setCartContact(cartToken, { email, firstName });
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+      },
+      "Cart email saved",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to save cart email",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Set the delivery (and billing) address VAT is calculated for
+ * PUT /api/cart/address
+ * Body: { shipping: { country, state?, postcode?, city? }, billing?: {...} }
+ */
+export const setCartAddressHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+    const { shipping, billing } = req.body;
+
+    if (!cartToken) {
+      return handleError(res, "Cart session required", 400);
+    }
+
+    if (!shipping?.country && !billing?.country) {
+      return handleError(res, "Address country is required", 400);
+    }
+
+    const result = await setCartTaxAddress(cartToken, { shipping, billing });
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+      },
+      "Cart address updated",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to update cart address",
+      error.status || 500,
+    );
+  }
+};
+
+// ============================================
+// SHARED CARTS & QUOTES
+// ============================================
+
+/**
+ * Freeze the current cart into a shareable link
+ * POST /api/cart/share
+ * Body: { expiresInDays? }
+ */
+export const createCartShareHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+
+    if (!cartToken) {
+      return handleError(res, "Cart session required", 400);
+    }
+
+    const createdBy = getCustomerIdFromToken(
+      req.headers.authorization?.replace("Bearer ", "")
+    );
+
+    const result = await createCartShare(cartToken, {
+      expiresInDays: req.body?.expiresInDays,
+      createdBy,
+    });
+
+    return successResponse(res, result, "Cart shared");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to share cart",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * View a shared cart or quote
+ * GET /api/cart/share/:shareToken
+ */
+export const getCartShareHandler = async (req, res) => {
+  try {
+    const share = await getCartShare(req.params.shareToken);
+
+    return successResponse(res, { share }, "Shared cart retrieved");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to get shared cart",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Restore a shared cart into a new cart (repriced at current prices)
+ * POST /api/cart/share/:shareToken/restore
+ */
+export const restoreCartShareHandler = async (req, res) => {
+  try {
+    const result = await restoreCartShare(req.params.shareToken);
+
+    if (result.recoveryId) {
+      await trackRecoveryRestore(result.recoveryId, result.cartToken);
+    }
+
+    if (result.cartToken) {
+      res.setHeader("X-Cart-Token", result.cartToken);
+    }
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartHash: result.cartHash,
+        skipped: result.skipped,
+        priceChanges: result.priceChanges,
+      },
+      "Shared cart restored",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to restore shared cart",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Turn a shared cart into a formal quote (staff only)
+ * POST /api/cart/share/:shareToken/quote
+ * Body: { validUntil: ISO date, reference? }
+ */
+export const createQuoteHandler = async (req, res) => {
+  try {
+    const staff = await getStaffMember(req);
+    const { validUntil, reference } = req.body;
+
+    const result = await createQuote(req.params.shareToken, {
+      validUntil,
+      reference,
+      staff,
+    });
+
+    return successResponse(res, result, "Quote created");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to create quote",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Look up a quote by its reference number (staff only)
+ * GET /api/cart/quotes/:reference
+ */
+export const getQuoteHandler = async (req, res) => {
+  try {
+    await getStaffMember(req);
+
+    const result = await getQuoteByReference(req.params.reference);
+
+    return successResponse(res, result, "Quote retrieved");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to get quote",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Convert a quote into an order at the quoted prices
+ * POST /api/cart/share/:shareToken/convert
+ * Body: { billingAddress, shippingAddress, shippingMethodId?, shippingMethodTitle?,
+ *         shippingCost?, paymentMethod, customerNote? }
+ */
+export const convertQuoteHandler = async (req, res) => {
+  try {
+    const {
+      billingAddress,
+      shippingAddress,
+      shippingMethodId,
+      shippingMethodTitle,
+      shippingCost,
+      paymentMethod,
+      customerNote,
+    } = req.body;
+
+    if (!billingAddress?.email) {
+      return handleError(res, "Billing address with email is required", 400);
+    }
+
+    if (!shippingAddress) {
+      return handleError(res, "Shipping address is required", 400);
+    }
+
+    if (!paymentMethod) {
+      return handleError(res, "Payment method is required", 400);
+    }
+
+    const customerId = getCustomerIdFromToken(
+      req.headers.authorization?.replace("Bearer ", "")
+    );
+
+    const result = await convertQuoteToOrder(req.params.shareToken, {
+      billingAddress,
+      shippingAddress,
+      shippingMethodId,
+      shippingMethodTitle,
+      shippingCost,
+      paymentMethod,
+      customerNote,
+      customerId,
+    });
+
+    return successResponse(
+      res,
+      {
+        orderId: result.orderId,
+        orderKey: result.orderKey,
+        status: result.status,
+        paymentUrl: result.paymentUrl,
+        paymentRequired: result.paymentRequired,
+        totals: result.totals,
+        quote: result.quote,
+      },
+      "Quote converted to order",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to convert quote",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Abandoned cart recovery campaign stats (staff only)
+ * GET /api/cart/recovery/stats
+ */
+export const getRecoveryStatsHandler = async (req, res) => {
+  try {
+    await getStaffMember(req);
+
+    const stats = await getRecoveryStats();
+
+    return successResponse(res, { stats }, "Recovery stats retrieved");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to get recovery stats",
+      error.status || 500,
+    );
+  }
+};
+
+// ============================================
+// CURRENCY
+// ============================================
+
+/**
+ * Supported currencies and current exchange rates
+ * GET /api/cart/currencies
+ */
+export const getCurrenciesHandler = async (req, res) => {
+  try {
+    const rates = await getExchangeRates();
+
+    return successResponse(res, rates, "Currencies retrieved");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to get currencies",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Switch the cart's currency
+ * PUT /api/cart/currency
+ * Body: { currency: "EUR" }
+ */
+export const setCartCurrencyHandler = async (req, res) => {
+  try {
+    const cartToken = await getCartToken(req);
+    const { currency } = req.body;
+
+    if (!currency) {
+      return handleError(res, "Currency is required", 400);
+    }
+
+    const result = await setCartCurrency(cartToken, currency);
+
+    res.setHeader("X-Cart-Token", result.cartToken);
+
+    return successResponse(
+      res,
+      {
+        cart: result.cart,
+        cartToken: result.cartToken,
+        cartHash: result.cartHash,
+      },
+      "Cart currency updated",
+    );
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to update cart currency",
+      error.status || 500,
+    );
+  }
+};
+
+/**
+ * Set or clear a manual exchange rate override (staff only)
+ * PUT /api/cart/currencies/:code/rate
+ * Body: { rate: number | null } - null goes back to the fetched rate
+ */
+export const setExchangeRateHandler = async (req, res) => {
+  try {
+    const staff = await getStaffMember(req);
+
+    if (!("rate" in req.body)) {
+      return handleError(res, "Rate is required (null to clear the override)", 400);
+    }
+
+    const rates = await setExchangeRateOverride(req.params.code, req.body.rate, staff);
+
+    return successResponse(res, rates, "Exchange rate updated");
+  } catch (error) {
+    return handleError(
+      res,
+      error.message || "Failed to update exchange rate",
+      error.status || 500,
+    );
+  }
+};
@@ -5,27 +5,50 @@ import {
   getOrderByKey,
   confirmOrderPayment,
   createOrderDirect,
-  updateOrderStatus,
 } from "../services/checkout.service.js";
 import {
-  createPaymentIntent,
-  confirmPayment as confirmStripePayment,
-  getPublishableKey,
-} from "../services/stripe.service.js";
+  getPaymentProvider,
+  listPaymentProviders,
+  getPayableOrder,
+  settleOrderPayment,
+} from "../services/payment.service.js";
+import { handlePaymentWebhook } from "../services/payment-webhook.service.js";
+import { refundOrder } from "../services/refund.service.js";
+import { getCartForCheckout, validateCart, setCartContact, setCartTaxAddress } from "../services/cart.service.js";
+import { isValidCartToken } from "../services/cart-store.service.js";
+import { trackRecoveryConversion } from "../services/cart-recovery.service.js";
 import {
-  createPayPalOrder,
-  capturePayPalOrder,
-  getPayPalOrder,
-  getClientId as getPayPalClientId,
-} from "../services/paypal.service.js";
-import { sendOrderConfirmationEmail } from "../services/email.service.js";
-import { successResponse, handleError } from "../utils/response.js";
+  hasChargedSamples,
+  isSampleOnlyCart,
+  isSampleShippingMethod,
+  recordSampleUsage,
+} from "../services/sample-policy.service.js";
+import {
+  reserveCartStock,
+  renewOrderReservation,
+  releaseCartReservation,
+} from "../services/stock-reservation.service.js";
+import {
+  CHECKOUT_STATES,
+  getCheckoutSession,
+  startCheckoutSession,
+  setCheckoutAddresses,
+  selectCheckoutShipping,
+  recordCheckoutOrder,
+  recordCheckoutPayment,
+} from "../services/checkout-session.service.js";
+import { BASE_CURRENCY, roundAmount } from "../services/currency.service.js";
+import { successResponse, handleError, validationErrorResponse } from "../utils/response.js";
+import { validateAddress } from "../utils/address.js";
+import { log } from "../utils/logger.js";
 
 /**
  * Extract cart token from request headers
+ * Malformed tokens are ignored so they never reach the cart store.
  */
 const getCartToken = (req) => {
-  return req.headers["x-cart-token"] || null;
+  const token = req.headers["x-cart-token"];
+  return isValidCartToken(token) ? token : null;
 };
 
 /**
@@ -56,6 +79,21 @@ export const getPaymentGatewaysHandler = async (req, res) => {
   }
 };
 
+/**
+ * Validate and normalise the billing and shipping addresses
+ * @returns {Object} { billingAddress, shippingAddress, errors } - errors as in utils/address.js
+ */
+const checkCheckoutAddresses = (billingAddress, shippingAddress) => {
+  const billing = validateAddress(billingAddress, { type: "billing", field: "billingAddress" });
+  const shipping = validateAddress(shippingAddress, { type: "shipping", field: "shippingAddress" });
+
+  return {
+    billingAddress: billing.address,
+    shippingAddress: shipping.address,
+    errors: [...billing.errors, ...shipping.errors],
+  };
+};
+
 /**
  * Place order and get payment redirect URL
  * POST /api/checkout/place-order
@@ -68,6 +106,7 @@ export const getPaymentGatewaysHandler = async (req, res) => {
  *   createAccount?: boolean,
  *   password?: string
  * }
+ * Addresses and shipping method default to the checkout session's.
  */
 export const placeOrderHandler = async (req, res) => {
   try {
@@ -78,11 +117,6 @@ export const placeOrderHandler = async (req, res) => {
     }
 
     const {
-      billingAddress,
-      shippingAddress,
-      shippingMethodId,
-      shippingMethodTitle,
-      shippingCost,
       paymentMethod,
       customerNote,
       createAccount,
@@ -91,63 +125,98 @@ export const placeOrderHandler = async (req, res) => {
       customerId, // WooCommerce customer ID for authenticated users
     } = req.body;
 
-    // Validate required fields
-    if (!billingAddress) {
-      return handleError(res, "Billing address is required", 400);
+    // Addresses and shipping not sent are taken from the checkout session
+    // (the shopper may have refreshed, or moved to another device)
+    const session = await getCheckoutSession(cartToken);
+    const shippingMethodId = req.body.shippingMethodId || session?.shipping?.rateId;
+    const savedShipping = session?.shipping && session.shipping.rateId === shippingMethodId ? session.shipping : {};
+    const shippingMethodTitle = req.body.shippingMethodTitle || savedShipping.title;
+    const shippingCost = req.body.shippingCost ?? savedShipping.cost;
+
+    // Postcodes, states and phones normalised per country - 400 with field errors if invalid
+    const { billingAddress, shippingAddress, errors: addressErrors } = checkCheckoutAddresses(
+      req.body.billingAddress || session?.addresses?.billing,
+      req.body.shippingAddress || session?.addresses?.shipping
+    );
+    if (addressErrors.length > 0) {
+      return validationErrorResponse(res, addressErrors);
     }
 
-    if (!shippingAddress) {
-      return handleError(res, "Shipping address is required", 400);
+    if (!paymentMethod) {
+      return handleError(res, "Payment method is required", 400);
     }
 
-    if (!billingAddress.email) {
-      return handleError(res, "Email address is required", 400);
+    // VAT follows the addresses being ordered to - if taxing the cart for them
+    // changes its total, the shopper reviews the new total first
+    const { totals: previousTotals } = await getCartForCheckout(cartToken);
+    const taxed = await setCartTaxAddress(cartToken, { shipping: shippingAddress, billing: billingAddress });
+
+    if (taxed.cart.totals.total !== previousTotals.total) {
+      return res.status(409).json({
+        success: false,
+        message: "The tax for your address has changed your total. Please review it before placing your order.",
+        data: {
+          cart: taxed.cart,
+          cartHash: taxed.cartHash,
+          changes: [{ reason: "tax_changed", oldTotal: previousTotals.total, newTotal: taxed.cart.totals.total }],
+        },
+      });
     }
 
-    if (!paymentMethod) {
-      return handleError(res, "Payment method is required", 400);
+    // Reprice and re-check stock first - if anything changed the shopper
+    // reviews the cart instead of being charged an amount they didn't see
+    // (the billing email decides how much of the free sample allowance is left)
+    const validation = await validateCart(cartToken, { email: billingAddress.email });
+
+    if (!validation.valid) {
+      return res.status(409).json({
+        success: false,
+        message: "Your cart has changed. Please review it before placing your order.",
+        data: {
+          cart: validation.cart,
+          cartHash: validation.cartHash,
+          changes: validation.changes,
+        },
+      });
     }
 
-    // Validate required address fields
-    const requiredFields = ["first_name", "last_name", "address_1", "city", "postcode", "country"];
-    for (const field of requiredFields) {
-      if (!billingAddress[field]) {
-        return handleError(res, `Billing ${field.replace("_", " ")} is required`, 400);
-      }
-      if (!shippingAddress[field]) {
-        return handleError(res, `Shipping ${field.replace("_", " ")} is required`, 400);
-      }
+    // Keep the billing email on the cart so an unpaid order can still be recovered
+    await setCartContact(cartToken, {
+      email: billingAddress.email,
+      firstName: billingAddress.first_name,
+    });
+
+    // Walk the checkout session up to the order
+    await startCheckoutSession(cartToken, validation);
+    await setCheckoutAddresses(cartToken, { billingAddress, shippingAddress });
+    await selectCheckoutShipping(cartToken, {
+      rateId: shippingMethodId || null,
+      title: shippingMethodTitle,
+      cost: shippingCost,
+    });
+
+    const cart = await getCartForCheckout(cartToken);
+
+    // The sample shipping method is only for carts with nothing but samples
+    if (isSampleShippingMethod(shippingMethodId) && !isSampleOnlyCart(cart)) {
+      return handleError(res, "This shipping method is only available for sample orders", 400);
     }
 
+    // Hold the cart's stock while the shopper pays - fails with 409 if
+    // someone else has reserved or bought it in the meantime
+    await reserveCartStock(cart);
+
     let result;
 
-    // Use direct REST API if specified or as fallback
-    if (useDirectApi) {
-      result = await createOrderDirect(cartToken, {
-        billingAddress,
-        shippingAddress,
-        shippingMethodId,
-        shippingMethodTitle,
-        shippingCost,
-        paymentMethod,
-        customerNote,
-        customerId, // Link order to WooCommerce customer
-      });
-    } else {
-      // Try Store API first, fall back to REST API
-      try {
-        result = await placeOrder(cartToken, {
-          billingAddress,
-          shippingAddress,
-          shippingMethodId,
-          paymentMethod,
-          customerNote,
-          createAccount,
-          password,
-        });
-      } catch (storeApiError) {
-        console.warn("[Checkout] Store API failed, falling back to REST API:", storeApiError.message);
+    try {
+      // Use direct REST API if specified or as fallback
+      // (the Store API can only create orders in the store currency, at WooCommerce's prices)
+      const needsDirectApi =
+        (cart.currency || BASE_CURRENCY) !== BASE_CURRENCY ||
+        hasChargedSamples(cart) ||
+        cart.items.some((item) => item.volumePricing?.currentTier);
 
+      if (useDirectApi || needsDirectApi) {
         result = await createOrderDirect(cartToken, {
           billingAddress,
           shippingAddress,
@@ -158,9 +227,47 @@ export const placeOrderHandler = async (req, res) => {
           customerNote,
           customerId, // Link order to WooCommerce customer
         });
+      } else {
+        // Try Store API first, fall back to REST API
+        try {
+          result = await placeOrder(cartToken, {
+            billingAddress,
+            shippingAddress,
+            shippingMethodId,
+            paymentMethod,
+            customerNote,
+            createAccount,
+            password,
+          });
+        } catch (storeApiError) {
+          // The order may have been created - a REST API order would be a duplicate
+          if (storeApiError.orderMayExist) throw storeApiError;
+
+          console.warn("[Checkout] Store API failed, falling back to REST API:", storeApiError.message);
+
+          result = await createOrderDirect(cartToken, {
+            billingAddress,
+            shippingAddress,
+            shippingMethodId,
+            shippingMethodTitle,
+            shippingCost,
+            paymentMethod,
+            customerNote,
+            customerId, // Link order to WooCommerce customer
+          });
+        }
       }
+    } catch (orderError) {
+      await releaseCartReservation(cartToken);
+      throw orderError;
     }
 
+    await trackRecoveryConversion(cart, result);
+    await recordSampleUsage(cart, result, {
+      customerId: customerId || cart.customerId,
+      email: billingAddress.email,
+    });
+
     const responseData = {
       orderId: result.orderId,
       orderKey: result.orderKey,
@@ -170,6 +277,13 @@ export const placeOrderHandler = async (req, res) => {
       totals: result.totals,
     };
 
+    // The order exists now - a session that can't be updated mustn't fail the request
+    try {
+      await recordCheckoutOrder(cartToken, responseData);
+    } catch (sessionError) {
+      console.error("[Checkout] Failed to record order on checkout session:", sessionError.message);
+    }
+
     console.log("[Checkout] Sending response to frontend:", JSON.stringify(responseData, null, 2));
 
     return successResponse(res, responseData, "Order created successfully");
@@ -235,6 +349,14 @@ export const confirmOrderHandler = async (req, res) => {
 
     const result = await confirmOrderPayment(orderId, orderKey);
 
+    if (result.order.isPaid || result.order.isFailed) {
+      await recordCheckoutPayment(
+        orderId,
+        result.order.isPaid ? CHECKOUT_STATES.PAID : CHECKOUT_STATES.FAILED,
+        { provider: "woocommerce", status: result.order.status }
+      );
+    }
+
     return successResponse(
       res,
       { order: result.order },
@@ -271,326 +393,375 @@ export const webhookHandler = async (req, res) => {
   }
 };
 
-/**
- * Get Stripe publishable key
- * GET /api/checkout/stripe/config
- */
-export const getStripeConfigHandler = async (req, res) => {
-  try {
-    const publishableKey = getPublishableKey();
-
-    if (!publishableKey) {
-      return handleError(res, "Stripe is not configured", 500);
-    }
-
-    return successResponse(
-      res,
-      { publishableKey },
-      "Stripe configuration retrieved"
-    );
-  } catch (error) {
-    return handleError(res, "Failed to get Stripe configuration", 500);
-  }
-};
+// ============================================
+// CHECKOUT SESSION HANDLERS
+// ============================================
 
 /**
- * Create Stripe PaymentIntent for an order
- * POST /api/checkout/stripe/create-payment-intent
- * Body: { orderId: number, orderKey: string }
+ * Get the shopper's checkout session, to resume checkout after a refresh,
+ * a crash or on another device
+ * GET /api/checkout/session
  */
-export const createPaymentIntentHandler = async (req, res) => {
+export const getCheckoutSessionHandler = async (req, res) => {
   try {
-    const { orderId, orderKey, amount, currency, customerEmail } = req.body;
-
-    if (!orderId || !orderKey) {
-      return handleError(res, "Order ID and order key are required", 400);
-    }
+    const cartToken = getCartToken(req);
 
-    if (!amount || amount <= 0) {
-      return handleError(res, "Valid amount is required", 400);
+    if (!cartToken) {
+      return handleError(res, "Cart session required", 400);
     }
 
-    // Convert amount to smallest currency unit (pence for GBP)
-    const amountInPence = Math.round(parseFloat(amount) * 100);
+    const session = await getCheckoutSession(cartToken);
 
-    const result = await createPaymentIntent({
-      amount: amountInPence,
-      currency: currency || "gbp",
-      orderId,
-      orderKey,
-      customerEmail,
-    });
+    if (!session) {
+      return handleError(res, "Checkout hasn't started for this cart", 404);
+    }
 
-    return successResponse(
-      res,
-      {
-        clientSecret: result.clientSecret,
-        paymentIntentId: result.paymentIntentId,
-      },
-      "PaymentIntent created"
-    );
+    return successResponse(res, { session }, "Checkout session retrieved");
   } catch (error) {
-    console.error("[Stripe] Create PaymentIntent error:", error);
     return handleError(
       res,
-      error.message || "Failed to create payment",
+      error.message || "Failed to get checkout session",
       error.status || 500
     );
   }
 };
 
 /**
- * Confirm Stripe payment and update WooCommerce order
- * POST /api/checkout/stripe/confirm-payment
- * Body: { paymentIntentId: string }
+ * Save the shopper's addresses on the checkout session
+ * PUT /api/checkout/session/addresses
+ * Body: { billingAddress: Address, shippingAddress: Address }
  */
-export const confirmStripePaymentHandler = async (req, res) => {
+export const setCheckoutAddressesHandler = async (req, res) => {
   try {
-    const { paymentIntentId } = req.body;
+    const cartToken = getCartToken(req);
 
-    if (!paymentIntentId) {
-      return handleError(res, "Payment intent ID is required", 400);
+    if (!cartToken) {
+      return handleError(res, "Cart session required", 400);
     }
 
-    // Verify payment with Stripe
-    const paymentResult = await confirmStripePayment(paymentIntentId);
-
-    if (!paymentResult.isPaymentSuccessful) {
-      return handleError(
-        res,
-        `Payment not successful. Status: ${paymentResult.status}`,
-        400
-      );
+    const { billingAddress, shippingAddress, errors } = checkCheckoutAddresses(
+      req.body.billingAddress,
+      req.body.shippingAddress
+    );
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
     }
 
-    // Update WooCommerce order status to processing
-    const { orderId, orderKey } = paymentResult;
+    const session = await setCheckoutAddresses(cartToken, { billingAddress, shippingAddress });
 
-    if (orderId) {
-      try {
-        await updateOrderStatus(orderId, "processing", {
-          paymentIntentId,
-          paymentMethod: "stripe",
-        });
-        console.log("[Stripe] Order", orderId, "marked as processing");
-
-        // Send order confirmation email to customer
-        const emailResult = await sendOrderConfirmationEmail(orderId);
-        if (emailResult.success) {
-          console.log("[Stripe] Order confirmation email sent for order", orderId);
-        } else {
-          console.warn("[Stripe] Failed to send order email:", emailResult.message);
-        }
-      } catch (updateError) {
-        console.error("[Stripe] Failed to update order status:", updateError.message);
-        // Don't fail the request - payment was successful
-      }
+    return successResponse(res, { session }, "Checkout addresses saved");
+  } catch (error) {
+    // Taken out of order - return the session so the client can resume where it really is
+    if (error.data) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.data,
+      });
     }
 
-    return successResponse(
-      res,
-      {
-        success: true,
-        orderId,
-        orderKey,
-        paymentStatus: paymentResult.status,
-      },
-      "Payment confirmed successfully"
-    );
-  } catch (error) {
-    console.error("[Stripe] Confirm payment error:", error);
     return handleError(
       res,
-      error.message || "Failed to confirm payment",
+      error.message || "Failed to save checkout addresses",
       error.status || 500
     );
   }
 };
 
 // ============================================
-// PAYPAL PAYMENT HANDLERS
+// PAYMENT PROVIDER HANDLERS
 // ============================================
 
 /**
- * Get PayPal client ID for frontend SDK
- * GET /api/checkout/paypal/config
+ * Provider for a request - from the :provider route param
+ * @throws 404 for an unknown provider
+ */
+const getRequestProvider = (req) => getPaymentProvider(req.params.provider);
+
+/**
+ * List payment providers
+ * GET /api/checkout/payments/providers
+ */
+export const getPaymentProvidersHandler = async (req, res) => {
+  return successResponse(
+    res,
+    { providers: listPaymentProviders() },
+    "Payment providers retrieved"
+  );
+};
+
+/**
+ * Get a provider's public config for its frontend SDK
+ * GET /api/checkout/payments/:provider/config
  */
-export const getPayPalConfigHandler = async (req, res) => {
+export const getPaymentConfigHandler = async (req, res) => {
   try {
-    const clientId = getPayPalClientId();
+    const provider = getRequestProvider(req);
 
-    if (!clientId) {
-      return handleError(res, "PayPal is not configured", 500);
+    if (!provider.isConfigured()) {
+      return handleError(res, `${provider.label} is not configured`, 500);
     }
 
     return successResponse(
       res,
-      { clientId },
-      "PayPal configuration retrieved"
+      provider.getConfig(),
+      `${provider.label} configuration retrieved`
     );
   } catch (error) {
-    return handleError(res, "Failed to get PayPal configuration", 500);
+    return handleError(
+      res,
+      error.message || "Failed to get payment configuration",
+      error.status || 500
+    );
   }
 };
 
 /**
- * Create PayPal order for payment
- * POST /api/checkout/paypal/create-order
- * Body: { orderId: number, orderKey: string, amount: number, currency?: string }
+ * Start a payment for an order
+ * POST /api/checkout/payments/:provider/create
+ * Body: { orderId: number, orderKey: string, amount?: number, currency?: string, customerEmail?: string }
+ * The order total is charged - amount/currency are only checked against it.
  */
-export const createPayPalOrderHandler = async (req, res) => {
+export const createPaymentHandler = async (req, res) => {
+  let provider;
+
   try {
-    const { orderId, orderKey, amount, currency } = req.body;
+    provider = getRequestProvider(req);
+
+    const { orderId, orderKey, customerEmail } = req.body;
 
     if (!orderId || !orderKey) {
       return handleError(res, "Order ID and order key are required", 400);
     }
 
-    if (!amount || amount <= 0) {
-      return handleError(res, "Valid amount is required", 400);
+    // Charge the order total in the order's currency (409 if paid or cancelled)
+    const { amount, currency } = await getPayableOrder(orderId, orderKey);
+
+    // A different amount from the client is stale at best - log it and charge the real total
+    const clientAmount = req.body.amount;
+    const clientCurrency = req.body.currency;
+    if (
+      (clientAmount !== undefined && roundAmount(parseFloat(clientAmount), currency) !== amount) ||
+      (clientCurrency && clientCurrency.toUpperCase() !== currency)
+    ) {
+      log.security("payment_amount_mismatch", {
+        provider: provider.id,
+        orderId,
+        orderTotal: amount,
+        orderCurrency: currency,
+        requestedAmount: clientAmount,
+        requestedCurrency: clientCurrency,
+        ip: req.headers["x-forwarded-for"]?.split(",")[0] || req.ip,
+      });
     }
 
-    const result = await createPayPalOrder({
-      amount,
-      currency: currency || "GBP",
+    // Re-hold the order's stock for the payment window (409 if it has gone)
+    await renewOrderReservation(orderId);
+
+    const result = await provider.createPayment({
       orderId,
       orderKey,
-      description: `Order #${orderId}`,
+      amount,
+      currency,
+      customerEmail,
+      // Repeats of the same client request reuse the provider's payment
+      idempotencyKey: req.headers["idempotency-key"] && `order-${orderId}-${req.headers["idempotency-key"]}`,
     });
 
-    return successResponse(
-      res,
-      {
-        paypalOrderId: result.paypalOrderId,
-        approvalUrl: result.approvalUrl,
-      },
-      "PayPal order created"
-    );
+    await recordCheckoutPayment(orderId, CHECKOUT_STATES.PAYMENT_PENDING, {
+      provider: provider.id,
+      status: "pending",
+      amount,
+      currency,
+    });
+
+    return successResponse(res, { ...result, amount, currency }, `${provider.label} payment created`);
   } catch (error) {
-    console.error("[PayPal] Create order error:", error);
+    console.error(`[${provider?.label || "Payments"}] Create payment error:`, error);
     return handleError(
       res,
-      error.message || "Failed to create PayPal order",
+      error.message || "Failed to create payment",
       error.status || 500
     );
   }
 };
 
 /**
- * Capture PayPal order after customer approval
- * POST /api/checkout/paypal/capture-order
- * Body: { paypalOrderId: string }
+ * Confirm (or capture) a payment and update the WooCommerce order
+ * POST /api/checkout/payments/:provider/confirm
+ * Body: provider-specific - { paymentIntentId } for Stripe, { paypalOrderId } for PayPal
  */
-export const capturePayPalOrderHandler = async (req, res) => {
+export const confirmPaymentHandler = async (req, res) => {
+  let provider;
+
   try {
-    const { paypalOrderId } = req.body;
+    provider = getRequestProvider(req);
 
-    if (!paypalOrderId) {
-      return handleError(res, "PayPal order ID is required", 400);
-    }
+    const payment = await provider.confirmPayment(req.body);
 
-    const captureResult = await capturePayPalOrder(paypalOrderId);
+    try {
+      await settleOrderPayment(provider, payment);
+    } catch (settleError) {
+      // Paid the wrong amount - the order is on hold, tell the shopper
+      if (settleError.code === "payment_amount_mismatch") throw settleError;
 
-    if (!captureResult.success) {
-      return handleError(res, "Failed to capture PayPal payment", 400);
+      // Otherwise don't fail the request - the provider's webhook retries the order update
+      console.error(`[${provider.label}] Failed to update order:`, settleError.message);
     }
 
-    // Update WooCommerce order status to processing
-    const { orderId, orderKey } = captureResult;
-
-    if (orderId) {
-      try {
-        await updateOrderStatus(orderId, "processing", {
-          paypalOrderId,
-          captureId: captureResult.captureId,
-          paymentMethod: "paypal",
-        });
-        console.log("[PayPal] Order", orderId, "marked as processing");
-
-        // Send order confirmation email to customer
-        const emailResult = await sendOrderConfirmationEmail(orderId);
-        if (emailResult.success) {
-          console.log("[PayPal] Order confirmation email sent for order", orderId);
-        } else {
-          console.warn("[PayPal] Failed to send order email:", emailResult.message);
-        }
-      } catch (updateError) {
-        console.error("[PayPal] Failed to update order status:", updateError.message);
-        // Don't fail the request - payment was successful
-      }
+    if (!payment.paid) {
+      return handleError(
+        res,
+        `Payment not successful. Status: ${payment.status}`,
+        400
+      );
     }
 
     return successResponse(
       res,
       {
         success: true,
-        orderId,
-        orderKey,
-        paypalOrderId: captureResult.paypalOrderId,
-        captureId: captureResult.captureId,
-        status: captureResult.status,
+        orderId: payment.orderId,
+        orderKey: payment.orderKey,
+        ...payment.details,
       },
-      "PayPal payment captured successfully"
+      "Payment confirmed successfully"
     );
   } catch (error) {
-    console.error("[PayPal] Capture order error:", error);
+    console.error(`[${provider?.label || "Payments"}] Confirm payment error:`, error);
     return handleError(
       res,
-      error.message || "Failed to capture PayPal payment",
+      error.message || "Failed to confirm payment",
       error.status || 500
     );
   }
 };
 
 /**
- * Get PayPal order status
- * GET /api/checkout/paypal/order/:paypalOrderId
+ * Get a payment's status from the provider
+ * GET /api/checkout/payments/:provider/status/:paymentId
  */
-export const getPayPalOrderHandler = async (req, res) => {
+export const getPaymentStatusHandler = async (req, res) => {
+  let provider;
+
   try {
-    const { paypalOrderId } = req.params;
+    provider = getRequestProvider(req);
 
-    if (!paypalOrderId) {
-      return handleError(res, "PayPal order ID is required", 400);
+    const { paymentId } = req.params;
+
+    if (!paymentId) {
+      return handleError(res, "Payment ID is required", 400);
     }
 
-    const result = await getPayPalOrder(paypalOrderId);
+    const result = await provider.getPaymentStatus(paymentId);
 
-    return successResponse(
+    return successResponse(res, result, `${provider.label} payment retrieved`);
+  } catch (error) {
+    console.error(`[${provider?.label || "Payments"}] Get payment error:`, error);
+    return handleError(
       res,
-      {
-        paypalOrderId: result.paypalOrderId,
-        status: result.status,
-        orderId: result.orderId,
-        orderKey: result.orderKey,
-        amount: result.amount,
-        currency: result.currency,
-      },
-      "PayPal order retrieved"
+      error.message || "Failed to get payment",
+      error.status || 500
     );
+  }
+};
+
+/**
+ * Refund an order (staff only)
+ * POST /api/checkout/order/:orderId/refunds
+ * Body: { amount?: number, lineItems?: [{ id, quantity }], reason?: string }
+ */
+export const refundOrderHandler = async (req, res) => {
+  try {
+    // Checked by requireStaff before the Idempotency-Key is claimed
+    const staff = req.staff;
+
+    const { amount, lineItems, reason } = req.body;
+
+    if (lineItems !== undefined && !Array.isArray(lineItems)) {
+      return handleError(res, "Line items must be a list", 400);
+    }
+
+    if ((amount === undefined || amount === null) && !lineItems?.length) {
+      return handleError(res, "Amount or line items are required", 400);
+    }
+
+    const refund = await refundOrder(req.params.orderId, {
+      amount,
+      lineItems,
+      reason,
+      staff,
+      idempotencyKey: req.headers["idempotency-key"] || null,
+    });
+
+    return successResponse(res, refund, "Refund issued");
   } catch (error) {
-    console.error("[PayPal] Get order error:", error);
+    console.error("[Checkout] Refund error:", error.message);
+
+    // Failed part way - say which part, and what the provider already did
+    if (error.data) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.data,
+      });
+    }
+
     return handleError(
       res,
-      error.message || "Failed to get PayPal order",
+      error.message || "Failed to refund order",
       error.status || 500
     );
   }
 };
 
+/**
+ * Payment provider webhook
+ * POST /api/checkout/payments/:provider/webhook
+ * Verified against the raw body (see app.js); errors are answered with a
+ * non-2xx status so the provider resends the event.
+ */
+export const paymentWebhookHandler = async (req, res) => {
+  let provider;
+  let event;
+
+  try {
+    provider = getRequestProvider(req);
+
+    if (!req.rawBody) {
+      return res.status(400).json({ error: "Webhook body is required" });
+    }
+
+    event = await provider.verifyWebhook({ headers: req.headers, rawBody: req.rawBody });
+  } catch (error) {
+    console.error(`[${provider?.label || "Payments"}] Webhook rejected:`, error.message);
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  try {
+    const result = await handlePaymentWebhook(provider, event);
+    return res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    console.error(`[${provider.label}] Webhook error:`, error);
+    return res.status(500).json({ error: "Webhook processing failed" });
+  }
+};
+
 export default {
   getPaymentGatewaysHandler,
   placeOrderHandler,
   getOrderHandler,
   confirmOrderHandler,
   webhookHandler,
-  // Stripe
-  getStripeConfigHandler,
-  createPaymentIntentHandler,
-  confirmStripePaymentHandler,
-  // PayPal
-  getPayPalConfigHandler,
-  createPayPalOrderHandler,
-  capturePayPalOrderHandler,
-  getPayPalOrderHandler,
+  // Checkout session
+  getCheckoutSessionHandler,
+  setCheckoutAddressesHandler,
+  // Payment providers
+  getPaymentProvidersHandler,
+  getPaymentConfigHandler,
+  createPaymentHandler,
+  confirmPaymentHandler,
+  getPaymentStatusHandler,
+  paymentWebhookHandler,
+  refundOrderHandler,
 };
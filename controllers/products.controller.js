@@ -1,5 +1,7 @@
 import { fetchProductsByCategory, fetchCategoryBySlug, fetchAllCategories, fetchPopularProducts, fetchNewArrivals, fetchProductBySlug } from "../services/products.service.js";
 import { buildMeta } from "../utils/transform.js";
+import { getRequestCurrency, localizeProducts } from "../services/currency.service.js";
+import { withAvailableStockForProducts } from "../services/stock-reservation.service.js";
 
 
 
@@ -66,12 +68,13 @@ export async function getCategoryProducts(req, res) {
         name: category.name,
         slug: category.slug,
       },
-      products,
+      products: localizeProducts(await withAvailableStockForProducts(products), getRequestCurrency(req)),
       meta,
     });
   } catch (error) {
     console.error(error);
-    return res.status(500).json({ message: "Server error" });
+    // error.status is set for e.g. a 503 when there's no exchange rate for the currency
+    return res.status(error.status || 500).json({ message: error.status ? error.message : "Server error" });
   }
 }
 
@@ -85,11 +88,13 @@ export async function getPopularProducts(req, res) {
 
     return res.json({
       count: products.length,
-      products
+      products: localizeProducts(await withAvailableStockForProducts(products), getRequestCurrency(req)),
     });
   } catch (error) {
     console.error("Error in getPopularProducts:", error);
-    return res.status(500).json({ message: "Server error fetching popular products" });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Server error fetching popular products",
+    });
   }
 }
 
@@ -107,10 +112,17 @@ export async function getProductBySlug(req, res) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    return res.json({ product });
+    const [localized] = localizeProducts(
+      await withAvailableStockForProducts([product]),
+      getRequestCurrency(req)
+    );
+
+    return res.json({ product: localized });
   } catch (error) {
     console.error("Error in getProductBySlug:", error);
-    return res.status(500).json({ message: "Server error fetching product" });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Server error fetching product",
+    });
   }
 }
 
@@ -134,11 +146,13 @@ export async function getNewArrivals(req, res) {
     });
 
     return res.json({
-      products,
+      products: localizeProducts(await withAvailableStockForProducts(products), getRequestCurrency(req)),
       meta
     });
   } catch (error) {
     console.error("Error in getNewArrivals:", error);
-    return res.status(500).json({ message: "Server error fetching new arrivals" });
+    return res.status(error.status || 500).json({
+      message: error.status ? error.message : "Server error fetching new arrivals",
+    });
   }
 }
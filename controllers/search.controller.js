@@ -1,4 +1,5 @@
 import { searchProducts } from "../services/search.service.js";
+import { getRequestCurrency, localizeProducts } from "../services/currency.service.js";
 import { successResponse, handleError } from "../utils/response.js";
 
 /**
@@ -26,13 +27,18 @@ export const searchProductsController = async (req, res) => {
 
     return successResponse(
       res,
-      data,
+      localizeProducts(data, getRequestCurrency(req)),
       `Found ${meta.total_products} products matching "${q}"`,
       meta
     );
   } catch (error) {
     console.error("Error in searchProductsController:", error);
-    return handleError(res, error, "Failed to search products");
+    // e.g. 503 when there's no exchange rate for the shopper's currency
+    return handleError(
+      res,
+      error.status ? error.message : "Failed to search products",
+      error.status || 500
+    );
   }
 };
 
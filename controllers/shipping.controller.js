@@ -8,13 +8,23 @@ import {
   calculateShippingWithFallback,
 } from "../services/shipping.service.js";
 import { getCartForCheckout } from "../services/cart.service.js";
-import { successResponse, handleError } from "../utils/response.js";
+import { isValidCartToken } from "../services/cart-store.service.js";
+import { filterSampleShippingMethods } from "../services/sample-policy.service.js";
+import {
+  CHECKOUT_STATES,
+  assertCheckoutTransition,
+  selectCheckoutShipping,
+} from "../services/checkout-session.service.js";
+import { successResponse, handleError, validationErrorResponse } from "../utils/response.js";
+import { validateAddress } from "../utils/address.js";
 
 /**
  * Extract cart token from request headers
+ * Malformed tokens are ignored so they never reach the cart store.
  */
 const getCartToken = (req) => {
-  return req.headers["x-cart-token"] || null;
+  const token = req.headers["x-cart-token"];
+  return isValidCartToken(token) ? token : null;
 };
 
 /**
@@ -47,14 +57,20 @@ export const getShippingZonesHandler = async (req, res) => {
  *
  * Body: { country, postcode?, state?, city?, address_1? }
  * Headers: x-cart-token (required)
+ * 400 with data.errors = [{ field, message, code }] if the postcode or state isn't valid for the country
  */
 export const calculateShippingHandler = async (req, res) => {
   try {
     const cartToken = getCartToken(req);
     const { country, postcode, state, city, address_1 } = req.body;
 
-    if (!country) {
-      return handleError(res, "Country is required", 400);
+    // Postcode and state in the form WooCommerce's shipping zones expect
+    const { address: destination, errors } = validateAddress(
+      { country, postcode, state, city, address_1 },
+      { type: "destination" }
+    );
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
     }
 
     if (!cartToken) {
@@ -71,7 +87,7 @@ export const calculateShippingHandler = async (req, res) => {
     // Calculate shipping rates using WooCommerce Store API
     // This syncs cart to WC, updates address, and gets calculated rates
     const shippingData = await calculateShippingRates(
-      { country, postcode, state, city, address_1 },
+      destination,
       cart.items,
       cartToken
     );
@@ -80,6 +96,8 @@ export const calculateShippingHandler = async (req, res) => {
       res,
       {
         ...shippingData,
+        // Sample-only carts ship with the sample method
+        methods: filterSampleShippingMethods(shippingData.methods, cart),
         // Include cart totals for reference
         cartSubtotal: cart.totals.subtotal,
       },
@@ -98,6 +116,8 @@ export const calculateShippingHandler = async (req, res) => {
  * Select a shipping method
  * POST /api/shipping/select
  *
+ * Moves the checkout session to shipping_selected (409 before its addresses are set)
+ *
  * Body: { rateId }
  * Headers: x-cart-token (required)
  */
@@ -114,10 +134,28 @@ export const selectShippingHandler = async (req, res) => {
       return handleError(res, "Rate ID is required", 400);
     }
 
+    // Addresses come first - 409 with the checkout session if the shopper isn't there yet
+    await assertCheckoutTransition(cartToken, CHECKOUT_STATES.SHIPPING_SELECTED);
+
     const result = await selectShippingMethod(cartToken, rateId);
 
-    return successResponse(res, result, "Shipping method selected successfully");
+    // Kept server-side so a refresh (or another device) resumes with this rate
+    const session = await selectCheckoutShipping(cartToken, {
+      rateId,
+      title: result.method?.title,
+      cost: result.method?.cost,
+    });
+
+    return successResponse(res, { ...result, session }, "Shipping method selected successfully");
   } catch (error) {
+    if (error.data) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.data,
+      });
+    }
+
     return handleError(
       res,
       error.message || "Failed to select shipping method",
@@ -175,17 +213,22 @@ export const clearShippingCacheHandler = async (req, res) => {
  * requiring session management.
  *
  * Body: { items: [{ productId, variationId?, quantity }], destination: { country, postcode?, state?, city? } }
+ * 400 with data.errors = [{ field, message, code }] if the postcode or state isn't valid for the country
  */
 export const calculateShippingDirectHandler = async (req, res) => {
   try {
-    const { items, destination } = req.body;
+    const { items } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return handleError(res, "Cart items are required", 400);
     }
 
-    if (!destination?.country) {
-      return handleError(res, "Destination country is required", 400);
+    const { address: destination, errors } = validateAddress(req.body.destination, {
+      type: "destination",
+      field: "destination",
+    });
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
     }
 
     const result = await calculateShippingViaCustomEndpoint(items, destination);
@@ -213,14 +256,20 @@ export const calculateShippingDirectHandler = async (req, res) => {
  *
  * Body: { country, postcode?, state?, city?, address_1? }
  * Headers: x-cart-token (required for fallback)
+ * 400 with data.errors = [{ field, message, code }] if the postcode or state isn't valid for the country
  */
 export const calculateShippingSmartHandler = async (req, res) => {
   try {
     const cartToken = getCartToken(req);
     const { country, postcode, state, city, address_1 } = req.body;
 
-    if (!country) {
-      return handleError(res, "Country is required", 400);
+    // Postcode and state in the form WooCommerce's shipping zones expect
+    const { address: destination, errors } = validateAddress(
+      { country, postcode, state, city, address_1 },
+      { type: "destination" }
+    );
+    if (errors.length > 0) {
+      return validationErrorResponse(res, errors);
     }
 
     if (!cartToken) {
@@ -235,16 +284,19 @@ export const calculateShippingSmartHandler = async (req, res) => {
     }
 
     // Use smart fallback calculation
+    // Only coupons that still apply are sent (free shipping coupons change the rates)
     const shippingData = await calculateShippingWithFallback(
-      { country, postcode, state, city, address_1 },
+      destination,
       cart.items,
-      cartToken
+      cartToken,
+      { coupons: cart.coupons.filter((coupon) => coupon.valid !== false).map((coupon) => coupon.code) }
     );
 
     return successResponse(
       res,
       {
         ...shippingData,
+        methods: filterSampleShippingMethods(shippingData.methods, cart),
         cartSubtotal: cart.totals.subtotal,
       },
       "Shipping rates calculated successfully"
@@ -1,5 +1,23 @@
 import { successResponse, handleError } from "../utils/response.js";
 import { fetchProductVariation, fetchProductVariations } from "../services/variations.service.js";
+import { withAvailableStock } from "../services/stock-reservation.service.js";
+import { getRequestCurrency, localizeProducts } from "../services/currency.service.js";
+import { fetchAllProducts } from "../services/products.service.js";
+import { getQuantityRules, mergeQuantityRules } from "../utils/quantity-rules.js";
+
+/**
+ * Add quantity_rules to variations - the variation's own rules on top of the
+ * parent product's (from the catalog cache)
+ */
+const withQuantityRules = async (variations, productId) => {
+  const products = await fetchAllProducts();
+  const parentRules = products.find((product) => product.id === Number(productId))?.quantity_rules || null;
+
+  return variations.map((variation) => ({
+    ...variation,
+    quantity_rules: mergeQuantityRules(parentRules, getQuantityRules(null, variation)),
+  }));
+};
 
 /**
  * Get a single product variation
@@ -8,9 +26,16 @@ export const getProductVariation = async (req, res) => {
   try {
     const { productId, variationId } = req.params;
 
-    const variation = await fetchProductVariation(productId, variationId);
+    const cached = await fetchProductVariation(productId, variationId);
+
+    // Subtract stock held by shoppers in checkout (not cached - holds change constantly)
+    const variation = await withAvailableStock(cached, productId, variationId);
+    const [localized] = localizeProducts(
+      await withQuantityRules([variation], productId),
+      getRequestCurrency(req)
+    );
 
-    successResponse(res, variation, "Product variation fetched successfully");
+    successResponse(res, localized, "Product variation fetched successfully");
   } catch (error) {
     if (error.response?.status === 404) {
       res.status(404).json({
@@ -18,7 +43,7 @@ export const getProductVariation = async (req, res) => {
         message: "Product variation not found",
       });
     } else {
-      handleError(res, error, "Failed to fetch product variation");
+      handleError(res, error.status ? error.message : "Failed to fetch product variation", error.status || 500);
     }
   }
 };
@@ -30,9 +55,18 @@ export const getProductVariations = async (req, res) => {
   try {
     const { productId } = req.params;
 
-    const variations = await fetchProductVariations(productId);
+    const cached = await fetchProductVariations(productId);
+
+    // Subtract stock held by shoppers in checkout (not cached - holds change constantly)
+    const variations = await Promise.all(
+      cached.map((variation) => withAvailableStock(variation, productId, variation.id))
+    );
 
-    successResponse(res, variations, "Product variations fetched successfully");
+    successResponse(
+      res,
+      localizeProducts(await withQuantityRules(variations, productId), getRequestCurrency(req)),
+      "Product variations fetched successfully"
+    );
   } catch (error) {
     if (error.response?.status === 404) {
       res.status(404).json({
@@ -40,7 +74,7 @@ export const getProductVariations = async (req, res) => {
         message: "Product not found",
       });
     } else {
-      handleError(res, error, "Failed to fetch product variations");
+      handleError(res, error.status ? error.message : "Failed to fetch product variations", error.status || 500);
     }
   }
 };
@@ -0,0 +1,75 @@
+import {
+  getRequestFingerprint,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotencyKey,
+} from "../services/idempotency.service.js";
+import { handleError } from "../utils/response.js";
+
+// Outcomes that can change on a retry (conflicts, rate limits) - never replayed
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+/**
+ * Whether a response is the request's final answer: a success, or a client
+ * error that retrying the same request can't fix
+ */
+const isFinalResponse = (statusCode) =>
+  (statusCode >= 200 && statusCode < 300) ||
+  (statusCode >= 400 && statusCode < 500 && !RETRYABLE_STATUSES.includes(statusCode));
+
+/**
+ * Idempotency-Key middleware (see idempotency.service.js)
+ * Requests without the header run as normal. With it, the first final
+ * response (2xx, or a 4xx other than a conflict) is stored and repeats get it
+ * back with an `Idempotent-Replayed: true` header instead of running the
+ * handler again. After a server error or conflict the key is released, so
+ * the request can be retried.
+ *
+ * @param {string|Function} scope - Separates keys per endpoint (e.g. "place-order"),
+ *   or (req) => scope when it depends on the request
+ */
+export const idempotency = (scopeOption) => async (req, res, next) => {
+  const key = req.headers["idempotency-key"];
+  if (key === undefined) return next();
+
+  const scope = typeof scopeOption === "function" ? scopeOption(req) : scopeOption;
+
+  // The same key on another cart is a different request
+  const fingerprint = getRequestFingerprint({
+    cartToken: req.headers["x-cart-token"] || null,
+    body: req.body,
+  });
+
+  let claim;
+  try {
+    claim = await beginIdempotentRequest(scope, key, fingerprint);
+  } catch (error) {
+    return handleError(res, error.message || "Idempotency check failed", error.status || 500);
+  }
+
+  if (claim.replay) {
+    res.setHeader("Idempotent-Replayed", "true");
+    return res.status(claim.replay.statusCode).json(claim.replay.body);
+  }
+
+  // Store the response before it's sent, so a repeat can never slip in between
+  const sendJson = res.json.bind(res);
+  let stored = false;
+
+  res.json = (body) => {
+    stored = true;
+    const saved = isFinalResponse(res.statusCode)
+      ? completeIdempotentRequest(scope, key, claim.owner, fingerprint, { statusCode: res.statusCode, body })
+      : releaseIdempotencyKey(scope, key, claim.owner);
+
+    saved.finally(() => sendJson(body));
+    return res;
+  };
+
+  // Handler ended without a JSON response (crash, aborted) - let the key be retried
+  res.on("close", () => {
+    if (!stored) releaseIdempotencyKey(scope, key, claim.owner);
+  });
+
+  next();
+};
@@ -0,0 +1,18 @@
+import { getStaffMember } from "../services/auth.service.js";
+import { handleError } from "../utils/response.js";
+
+/**
+ * Staff-only routes
+ * Checks the bearer token belongs to a staff member before anything else
+ * runs (e.g. the idempotency middleware, so other users can't claim or
+ * replay a staff request's key) and puts them on `req.staff`.
+ */
+export const requireStaff = async (req, res, next) => {
+  try {
+    req.staff = await getStaffMember(req);
+  } catch (error) {
+    return handleError(res, error.message || "Authentication required", error.status || 401);
+  }
+
+  next();
+};
@@ -6,6 +6,12 @@ import {
   updateShipping,
   updateAccountProfile,
   updatePassword,
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveWishlistToCart,
+  createNamedWishlist,
+  deleteNamedWishlist,
 } from "../controllers/account.controller.js";
 
 const router = Router();
@@ -22,4 +28,12 @@ router.put("/address/shipping", updateShipping);
 router.put("/profile", updateAccountProfile);
 router.post("/change-password", updatePassword);
 
+// Wishlist
+router.get("/wishlist", getWishlist);
+router.post("/wishlist", addToWishlist);
+router.post("/wishlist/lists", createNamedWishlist);
+router.delete("/wishlist/lists/:listId", deleteNamedWishlist);
+router.delete("/wishlist/:key", removeFromWishlist);
+router.post("/wishlist/:key/move-to-cart", moveWishlistToCart);
+
 export default router;
@@ -2,12 +2,28 @@ import express from "express";
 import {
   getCartHandler,
   addToCartHandler,
+  addToCartBulkHandler,
   updateCartItemHandler,
   removeFromCartHandler,
   clearCartHandler,
+  mergeCartHandler,
   applyCouponHandler,
   removeCouponHandler,
   getCartTotalsHandler,
+  getRecommendationsHandler,
+  validateCartHandler,
+  createCartShareHandler,
+  getCartShareHandler,
+  restoreCartShareHandler,
+  createQuoteHandler,
+  getQuoteHandler,
+  convertQuoteHandler,
+  setCartEmailHandler,
+  setCartAddressHandler,
+  getCurrenciesHandler,
+  setCartCurrencyHandler,
+  setExchangeRateHandler,
+  getRecoveryStatsHandler,
 } from "../controllers/cart.controller.js";
 
 const router = express.Router();
@@ -15,9 +31,11 @@ const router = express.Router();
 // Cart operations
 router.get("/", getCartHandler);                           // Get cart
 router.delete("/", clearCartHandler);                      // Clear cart
+router.post("/merge", mergeCartHandler);                   // Merge guest cart into customer's (on sign-in)
 
 // Item operations
 router.post("/add", addToCartHandler);                     // Add item to cart
+router.post("/add-bulk", addToCartBulkHandler);            // Add several items (all or nothing)
 router.put("/item/:key", updateCartItemHandler);           // Update item quantity
 router.delete("/item/:key", removeFromCartHandler);        // Remove item from cart
 
@@ -28,4 +46,28 @@ router.delete("/coupon/:code", removeCouponHandler);       // Remove coupon
 // Totals
 router.get("/totals", getCartTotalsHandler);               // Get cart totals
 
+// Accessories for the tiles in the cart
+router.get("/recommendations", getRecommendationsHandler); // Adhesive, grout, sealer quantities
+
+// Contact details (coupons, VAT, abandoned cart recovery)
+router.put("/email", setCartEmailHandler);                 // Save shopper email on cart
+router.put("/address", setCartAddressHandler);             // Delivery address for VAT
+router.get("/recovery/stats", getRecoveryStatsHandler);    // Recovery campaign stats (staff)
+
+// Currency
+router.get("/currencies", getCurrenciesHandler);                   // Currencies + exchange rates
+router.put("/currency", setCartCurrencyHandler);                   // Switch cart currency
+router.put("/currencies/:code/rate", setExchangeRateHandler);      // Manual rate override (staff)
+
+// Pre-checkout revalidation
+router.post("/validate", validateCartHandler);             // Reprice and re-check stock
+
+// Shared carts & quotes
+router.post("/share", createCartShareHandler);                        // Freeze cart into a share link
+router.get("/share/:shareToken", getCartShareHandler);                // View shared cart / quote
+router.post("/share/:shareToken/restore", restoreCartShareHandler);   // Restore into a new cart
+router.post("/share/:shareToken/quote", createQuoteHandler);          // Mark as quote (staff)
+router.post("/share/:shareToken/convert", convertQuoteHandler);       // Convert quote to order
+router.get("/quotes/:reference", getQuoteHandler);                    // Find quote by reference (staff)
+
 export default router;
@@ -5,15 +5,17 @@ import {
   getOrderHandler,
   confirmOrderHandler,
   webhookHandler,
-  // Stripe
-  getStripeConfigHandler,
-  createPaymentIntentHandler,
-  confirmStripePaymentHandler,
-  // PayPal
-  getPayPalConfigHandler,
-  createPayPalOrderHandler,
-  capturePayPalOrderHandler,
-  getPayPalOrderHandler,
+  // Checkout session
+  getCheckoutSessionHandler,
+  setCheckoutAddressesHandler,
+  // Payment providers
+  getPaymentProvidersHandler,
+  getPaymentConfigHandler,
+  createPaymentHandler,
+  confirmPaymentHandler,
+  getPaymentStatusHandler,
+  paymentWebhookHandler,
+  refundOrderHandler,
 } from "../controllers/checkout.controller.js";
 
 // Rate limiters for checkout operations
@@ -22,20 +24,21 @@ import {
   getOrderLimiter,
   confirmOrderLimiter,
   paymentGatewaysLimiter,
+  checkoutSessionLimiter,
 } from "../sec/checkout-limiter.js";
 
 // Rate limiters for payment operations
 import {
-  stripeConfigLimiter,
-  createPaymentIntentLimiter,
+  paymentConfigLimiter,
+  createPaymentLimiter,
   confirmPaymentLimiter,
+  refundLimiter,
   webhookLimiter,
-  // PayPal
-  paypalConfigLimiter,
-  createPayPalOrderLimiter,
-  capturePayPalOrderLimiter,
 } from "../sec/payment-limiter.js";
 
+import { idempotency } from "../middleware/idempotency.js";
+import { requireStaff } from "../middleware/staffAuth.js";
+
 const router = express.Router();
 
 /**
@@ -45,10 +48,43 @@ const router = express.Router();
  */
 router.get("/payment-gateways", paymentGatewaysLimiter, getPaymentGatewaysHandler);
 
+/**
+ * Get the checkout session - where the shopper is in checkout, to resume it
+ * after a refresh, a crash or on another device
+ * GET /api/checkout/session
+ * Headers: X-Cart-Token (required)
+ * Response: {
+ *   session: {
+ *     id, state: "cart_validated" | "addresses" | "shipping_selected" | "order_created"
+ *       | "payment_pending" | "paid" | "failed",
+ *     nextStates: string[],
+ *     cart: { cartHash, itemsCount, total, currency },
+ *     addresses: { billing, shipping } | null,
+ *     shipping: { rateId, title, cost } | null,
+ *     order: { orderId, orderKey, status, paymentUrl, paymentRequired, totals } | null,
+ *     payment: { provider, status, amount, currency, transactionId, message } | null,
+ *     history: [{ state, at }], createdAt, updatedAt
+ *   }
+ * }
+ * 404 if checkout hasn't started (POST /api/cart/validate starts it)
+ */
+router.get("/session", checkoutSessionLimiter, getCheckoutSessionHandler);
+
+/**
+ * Save the shopper's addresses (the step before POST /api/shipping/select)
+ * PUT /api/checkout/session/addresses
+ * Headers: X-Cart-Token (required)
+ * Body: { billingAddress: Address, shippingAddress: Address }
+ * Response: { session } - 400 with data.errors = [{ field, message, code }] for invalid
+ *   addresses (see utils/address.js), 409 with data.session if the cart hasn't been
+ *   validated or the order has already been placed
+ */
+router.put("/session/addresses", checkoutSessionLimiter, setCheckoutAddressesHandler);
+
 /**
  * Place order and get payment redirect URL
  * POST /api/checkout/place-order
- * Headers: X-Cart-Token (required)
+ * Headers: X-Cart-Token (required), Idempotency-Key (recommended - repeats get the first response)
  * Body: {
  *   billingAddress: {
  *     first_name, last_name, company?, address_1, address_2?,
@@ -66,6 +102,9 @@ router.get("/payment-gateways", paymentGatewaysLimiter, getPaymentGatewaysHandle
  *   createAccount?: boolean,
  *   password?: string
  * }
+ * billingAddress, shippingAddress and the shipping method can be left out once
+ * they're on the checkout session. Addresses are normalised (postcode format,
+ * state codes, phone) - 400 with data.errors = [{ field, message, code }] if invalid.
  *
  * Response: {
  *   success: true,
@@ -79,7 +118,7 @@ router.get("/payment-gateways", paymentGatewaysLimiter, getPaymentGatewaysHandle
  *   }
  * }
  */
-router.post("/place-order", placeOrderLimiter, placeOrderHandler);
+router.post("/place-order", placeOrderLimiter, idempotency("place-order"), placeOrderHandler);
 
 /**
  * Get order details
@@ -95,6 +134,27 @@ router.get("/order/:orderId", getOrderLimiter, getOrderHandler);
  */
 router.post("/order/:orderId/confirm", confirmOrderLimiter, confirmOrderHandler);
 
+/**
+ * Refund an order - through Stripe/PayPal if we took the payment, otherwise
+ * through WooCommerce's gateway - and record it on the order (staff only)
+ * POST /api/checkout/order/:orderId/refunds
+ * Headers: Authorization: Bearer <staff token>, Idempotency-Key (recommended)
+ * Body: {
+ *   amount?: number (defaults to the line items' total),
+ *   lineItems?: [{ id: number (order line item ID), quantity: number }],
+ *   reason?: string
+ * }
+ * Response: { refundId, provider, providerRefundId, status, amount, currency, totalRefunded, remaining, emailSent }
+ * 502 with data.stage "provider" (nothing refunded) or "woocommerce" (refunded, not recorded yet)
+ */
+router.post(
+  "/order/:orderId/refunds",
+  refundLimiter,
+  requireStaff,
+  idempotency((req) => `refund:${req.params.orderId}`),
+  refundOrderHandler
+);
+
 /**
  * Payment gateway webhook
  * POST /api/checkout/webhook
@@ -104,68 +164,109 @@ router.post("/order/:orderId/confirm", confirmOrderLimiter, confirmOrderHandler)
 router.post("/webhook", webhookLimiter, webhookHandler);
 
 // ============================================
-// STRIPE PAYMENT ROUTES
+// PAYMENT PROVIDER ROUTES
 // ============================================
 
+// Payment keys are per provider - the same key for Stripe and PayPal is two payments
+const paymentIdempotency = idempotency((req) => `payment:${req.params.provider}`);
+
 /**
- * Get Stripe publishable key
- * GET /api/checkout/stripe/config
+ * List payment providers
+ * GET /api/checkout/payments/providers
+ * Response: { providers: [{ id, label, configured }] }
  */
-router.get("/stripe/config", stripeConfigLimiter, getStripeConfigHandler);
+router.get("/payments/providers", paymentConfigLimiter, getPaymentProvidersHandler);
 
 /**
- * Create PaymentIntent for an order
- * POST /api/checkout/stripe/create-payment-intent
+ * Get a provider's public config for its frontend SDK
+ * GET /api/checkout/payments/:provider/config
+ * Response: { publishableKey } for Stripe, { clientId } for PayPal
+ */
+router.get("/payments/:provider/config", paymentConfigLimiter, getPaymentConfigHandler);
+
+/**
+ * Start a payment for an order
+ * POST /api/checkout/payments/:provider/create
+ * Headers: Idempotency-Key (recommended)
  * Body: {
  *   orderId: number,
  *   orderKey: string,
- *   amount: number (in currency units, e.g., 10.99),
- *   currency?: string (default: 'gbp'),
+ *   amount?: number, currency?: string (ignored - the order total is charged; a mismatch is logged),
  *   customerEmail?: string
  * }
+ * Response: { clientSecret, paymentIntentId } for Stripe, { paypalOrderId, approvalUrl } for PayPal,
+ *   plus the { amount, currency } being charged. 409 if the order is already paid or cancelled.
  */
-router.post("/stripe/create-payment-intent", createPaymentIntentLimiter, createPaymentIntentHandler);
+router.post("/payments/:provider/create", createPaymentLimiter, paymentIdempotency, createPaymentHandler);
 
 /**
- * Confirm payment and update WooCommerce order
- * POST /api/checkout/stripe/confirm-payment
- * Body: { paymentIntentId: string }
+ * Confirm/capture a payment and update the WooCommerce order
+ * POST /api/checkout/payments/:provider/confirm
+ * Body: { paymentIntentId } for Stripe, { paypalOrderId } for PayPal
  */
-router.post("/stripe/confirm-payment", confirmPaymentLimiter, confirmStripePaymentHandler);
-
-// ============================================
-// PAYPAL PAYMENT ROUTES
-// ============================================
+router.post("/payments/:provider/confirm", confirmPaymentLimiter, confirmPaymentHandler);
 
 /**
- * Get PayPal client ID for frontend SDK
- * GET /api/checkout/paypal/config
+ * Get a payment's status
+ * GET /api/checkout/payments/:provider/status/:paymentId
+ * Response: { status, orderId, amount, currency } and the provider's payment ID
  */
-router.get("/paypal/config", paypalConfigLimiter, getPayPalConfigHandler);
+router.get("/payments/:provider/status/:paymentId", paymentConfigLimiter, getPaymentStatusHandler);
 
 /**
- * Create PayPal order for payment
- * POST /api/checkout/paypal/create-order
- * Body: {
- *   orderId: number,
- *   orderKey: string,
- *   amount: number (in currency units, e.g., 10.99),
- *   currency?: string (default: 'GBP')
- * }
+ * Provider webhook - payments, refunds and disputes made away from the checkout page
+ * POST /api/checkout/payments/:provider/webhook
+ * Signed by the provider over the raw body (STRIPE_WEBHOOK_SECRET for Stripe, PAYPAL_WEBHOOK_ID for PayPal)
  */
-router.post("/paypal/create-order", createPayPalOrderLimiter, createPayPalOrderHandler);
+router.post("/payments/:provider/webhook", webhookLimiter, paymentWebhookHandler);
+
+// ============================================
+// LEGACY STRIPE / PAYPAL ROUTES
+// Same handlers as above, for frontends built against the old paths
+// ============================================
+
+// Pin the provider for a legacy route
+const withProvider = (provider) => (req, res, next) => {
+  req.params.provider = provider;
+  next();
+};
 
 /**
- * Capture PayPal order after customer approval
- * POST /api/checkout/paypal/capture-order
- * Body: { paypalOrderId: string }
+ * GET /api/checkout/stripe/config
+ * POST /api/checkout/stripe/create-payment-intent - Body: { orderId, orderKey, customerEmail? }
+ * POST /api/checkout/stripe/confirm-payment - Body: { paymentIntentId }
+ * POST /api/checkout/stripe/webhook - Stripe's endpoint for payment_intent.succeeded,
+ *   payment_intent.payment_failed, charge.refunded and charge.dispute.created
  */
-router.post("/paypal/capture-order", capturePayPalOrderLimiter, capturePayPalOrderHandler);
+router.get("/stripe/config", paymentConfigLimiter, withProvider("stripe"), getPaymentConfigHandler);
+router.post(
+  "/stripe/create-payment-intent",
+  createPaymentLimiter,
+  withProvider("stripe"),
+  paymentIdempotency,
+  createPaymentHandler
+);
+router.post("/stripe/confirm-payment", confirmPaymentLimiter, withProvider("stripe"), confirmPaymentHandler);
+router.post("/stripe/webhook", webhookLimiter, withProvider("stripe"), paymentWebhookHandler);
 
 /**
- * Get PayPal order status
+ * GET /api/checkout/paypal/config
+ * POST /api/checkout/paypal/create-order - Body: { orderId, orderKey }
+ * POST /api/checkout/paypal/capture-order - Body: { paypalOrderId }
  * GET /api/checkout/paypal/order/:paypalOrderId
+ * POST /api/checkout/paypal/webhook - PayPal's endpoint for CHECKOUT.ORDER.APPROVED (captured here if
+ *   the shopper never came back), PAYMENT.CAPTURE.COMPLETED, .DENIED and .REFUNDED
  */
-router.get("/paypal/order/:paypalOrderId", paypalConfigLimiter, getPayPalOrderHandler);
+router.get("/paypal/config", paymentConfigLimiter, withProvider("paypal"), getPaymentConfigHandler);
+router.post(
+  "/paypal/create-order",
+  createPaymentLimiter,
+  withProvider("paypal"),
+  paymentIdempotency,
+  createPaymentHandler
+);
+router.post("/paypal/capture-order", confirmPaymentLimiter, withProvider("paypal"), confirmPaymentHandler);
+router.get("/paypal/order/:paymentId", paymentConfigLimiter, withProvider("paypal"), getPaymentStatusHandler);
+router.post("/paypal/webhook", webhookLimiter, withProvider("paypal"), paymentWebhookHandler);
 
 export default router;
@@ -81,3 +81,23 @@ export const paymentGatewaysLimiter = rateLimit({
     return req.headers["x-forwarded-for"]?.split(",")[0] || req.ip;
   },
 });
+
+/**
+ * Rate limiter for the checkout session
+ * Read on every checkout page load, written once per step
+ * 30 requests per minute per IP
+ */
+export const checkoutSessionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: {
+    success: false,
+    message: "Too many requests. Please slow down.",
+    code: "RATE_LIMIT_EXCEEDED",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    return req.headers["x-forwarded-for"]?.split(",")[0] || req.ip;
+  },
+});
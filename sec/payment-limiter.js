@@ -1,11 +1,11 @@
 import rateLimit from "express-rate-limit";
 
 /**
- * Rate limiter for Stripe config retrieval
- * Read-only endpoint, more permissive
+ * Rate limiter for payment provider config and status lookups
+ * Read-only endpoints, more permissive
  * 30 requests per minute per IP
  */
-export const stripeConfigLimiter = rateLimit({
+export const paymentConfigLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 30,
   message: {
@@ -21,11 +21,11 @@ export const stripeConfigLimiter = rateLimit({
 });
 
 /**
- * Rate limiter for creating payment intents
+ * Rate limiter for creating payments (Stripe PaymentIntents, PayPal orders...)
  * Business standard: Prevent payment fraud
- * 10 payment intent creations per 15 minutes per IP
+ * 10 payment creations per 15 minutes per IP, across all providers
  */
-export const createPaymentIntentLimiter = rateLimit({
+export const createPaymentLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10,
   message: {
@@ -42,7 +42,7 @@ export const createPaymentIntentLimiter = rateLimit({
 });
 
 /**
- * Rate limiter for confirming payments
+ * Rate limiter for confirming/capturing payments
  * Slightly more permissive - may need retries on network issues
  * 20 confirmation attempts per 15 minutes per IP
  */
@@ -62,82 +62,36 @@ export const confirmPaymentLimiter = rateLimit({
 });
 
 /**
- * Rate limiter for webhooks
- * Webhooks come from payment providers (Stripe, etc.)
- * Very permissive - provider may send multiple events
- * 100 requests per minute per IP
- */
-export const webhookLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 100,
-  message: {
-    success: false,
-    message: "Webhook rate limit exceeded.",
-    code: "RATE_LIMIT_EXCEEDED",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => {
-    return req.headers["x-forwarded-for"]?.split(",")[0] || req.ip;
-  },
-});
-
-// ============================================
-// PAYPAL RATE LIMITERS
-// ============================================
-
-/**
- * Rate limiter for PayPal config retrieval
- * Read-only endpoint, more permissive
- * 30 requests per minute per IP
+ * Rate limiter for staff refunds
+ * 20 refunds per 15 minutes per IP
  */
-export const paypalConfigLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 30,
-  message: {
-    success: false,
-    message: "Too many requests. Please slow down.",
-    code: "RATE_LIMIT_EXCEEDED",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  keyGenerator: (req) => {
-    return req.headers["x-forwarded-for"]?.split(",")[0] || req.ip;
-  },
-});
-
-/**
- * Rate limiter for creating PayPal orders
- * Business standard: Prevent payment fraud
- * 10 PayPal order creations per 15 minutes per IP
- */
-export const createPayPalOrderLimiter = rateLimit({
+export const refundLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10,
+  max: 20,
   message: {
     success: false,
-    message: "Too many payment attempts. Please try again in 15 minutes.",
+    message: "Too many refund requests. Please try again later.",
     code: "RATE_LIMIT_EXCEEDED",
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: false,
   keyGenerator: (req) => {
     return req.headers["x-forwarded-for"]?.split(",")[0] || req.ip;
   },
 });
 
 /**
- * Rate limiter for capturing PayPal orders
- * Slightly more permissive - may need retries on network issues
- * 20 capture attempts per 15 minutes per IP
+ * Rate limiter for webhooks
+ * Webhooks come from payment providers (Stripe, etc.)
+ * Very permissive - provider may send multiple events
+ * 100 requests per minute per IP
  */
-export const capturePayPalOrderLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 20,
+export const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 100,
   message: {
     success: false,
-    message: "Too many payment capture attempts. Please try again later.",
+    message: "Webhook rate limit exceeded.",
     code: "RATE_LIMIT_EXCEEDED",
   },
   standardHeaders: true,
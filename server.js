@@ -4,7 +4,10 @@ import app from "./app.js";
 import { cacheAllCategoriesOnStart, cachePopularProductsOnStart, fetchAllProducts } from "./services/products.service.js";
 import { cacheFilterOptionsOnStart } from "./services/filter.service.js";
 import { cacheMenuOnStart } from "./services/menu.service.js";
-import redisClient from "./config/redis.js"
+import { cacheTaxConfigOnStart } from "./services/tax.service.js";
+import { refreshExchangeRates } from "./services/currency.service.js";
+import { processAbandonedCarts } from "./services/cart-recovery.service.js";
+import redisClient, { PERSISTENT_KEY_PREFIXES } from "./config/redis.js"
 
 dotenv.config();
 
@@ -19,6 +22,7 @@ const runFullRefresh = async () => {
       cacheAllCategoriesOnStart(true),
       cachePopularProductsOnStart(true),
       cacheMenuOnStart(true),          // Megamenu cache (1 hour TTL)
+      cacheTaxConfigOnStart(true),     // VAT settings and rates (1 hour TTL)
     ]);
     console.log("All caches are now fresh!");
   } catch (err) {
@@ -26,6 +30,26 @@ const runFullRefresh = async () => {
   }
 }
 
+/**
+ * Clear all cached data but keep persistent state (carts etc.)
+ */
+const flushCaches = async () => {
+  const stream = redisClient.scanStream({ count: 500 });
+  let cleared = 0;
+
+  for await (const keys of stream) {
+    const cacheKeys = keys.filter(
+      (key) => !PERSISTENT_KEY_PREFIXES.some((prefix) => key.startsWith(prefix))
+    );
+    if (cacheKeys.length > 0) {
+      await redisClient.del(...cacheKeys);
+      cleared += cacheKeys.length;
+    }
+  }
+
+  console.log(`Cleared ${cleared} cache keys (persistent keys kept)`);
+};
+
 const startServer = async () => {
   try {
     // 1. Connect to Redis (if not already connected in config)
@@ -34,7 +58,7 @@ const startServer = async () => {
     console.log("--- Starting Server Initialization ---");
 
     // 1. Initial cleanup and load
-    await redisClient.flushall();
+    await flushCaches();
     await runFullRefresh();
 
     // 2. Set a schedule: Run every 24 hours (e.g., at 3:00 AM)
@@ -55,7 +79,27 @@ const startServer = async () => {
       }
     });
 
-    // 3. Start listening for traffic ONLY after cache is ready
+    // 3. Abandoned cart recovery emails: check for idle carts every 15 minutes
+    cron.schedule("*/15 * * * *", async () => {
+      try {
+        await processAbandonedCarts();
+      } catch (error) {
+        console.error("[CartRecovery] Job failed:", error.message);
+      }
+    });
+
+    // 4. Exchange rates: refresh now and every hour (manual overrides are kept)
+    const updateExchangeRates = async () => {
+      try {
+        await refreshExchangeRates();
+      } catch (error) {
+        console.error("[Currency] Exchange rate refresh failed:", error.message);
+      }
+    };
+    await updateExchangeRates();
+    cron.schedule("0 * * * *", updateExchangeRates);
+
+    // 5. Start listening for traffic ONLY after cache is ready
     app.listen(PORT, () => {
       console.log(`\nServer is ready and running on port ${PORT}`);
       console.log(`http://localhost:${PORT}`);
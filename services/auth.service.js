@@ -142,6 +142,67 @@ export const verifyToken = async (token) => {
   }
 };
 
+/**
+ * Get the customer ID from a JWT without calling WooCommerce
+ * Used where being logged in is optional (e.g. cart ownership)
+ * @param {string} token - Our JWT (without "Bearer ")
+ * @returns {number|null} Customer ID, or null if the token is missing/invalid
+ */
+export const getCustomerIdFromToken = (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// WordPress roles treated as showroom staff (e.g. can issue quotes)
+const STAFF_ROLES = ["administrator", "shop_manager"];
+
+/**
+ * Check whether a WooCommerce customer record belongs to a staff member
+ * @param {Object} customer - Customer from verifyToken
+ * @returns {boolean}
+ */
+export const isStaffCustomer = (customer) => {
+  return STAFF_ROLES.includes(customer?.role);
+};
+
+/**
+ * Get the logged-in staff member from a request's bearer token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} WooCommerce customer
+ * @throws 401 if not logged in, 403 if not staff
+ */
+export const getStaffMember = async (req) => {
+  const token = req.headers.authorization?.replace("Bearer ", "");
+
+  if (!token) {
+    const error = new Error("Authentication required");
+    error.status = 401;
+    throw error;
+  }
+
+  let customer;
+  try {
+    ({ customer } = await verifyToken(token));
+  } catch (error) {
+    error.status = 401;
+    throw error;
+  }
+
+  if (!isStaffCustomer(customer)) {
+    const error = new Error("Staff access required");
+    error.status = 403;
+    throw error;
+  }
+
+  return customer;
+};
+
 /**
  * Refresh authentication token (extends session by 5 days)
  */
@@ -0,0 +1,249 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+import {
+  loadCart,
+  updateCart,
+  getIdleCartTokens,
+  removeFromRecoveryIndex,
+} from "./cart-store.service.js";
+import { createCartShare } from "./cart-share.service.js";
+import { sendCartRecoveryEmail } from "./email.service.js";
+import { BASE_CURRENCY } from "./currency.service.js";
+
+/**
+ * Abandoned Cart Recovery
+ * Carts with a known email that sit idle past the threshold get a recovery
+ * email with a link that restores the cart. A cart is emailed once per
+ * abandonment, at most MAX_EMAILS_PER_CART times in total.
+ *
+ * Every attempt is tracked through to restore and order so we can see what
+ * the campaign earns.
+ *
+ * Keys:
+ *   cart-recovery:attempt:<id> - JSON attempt record (kept 90 days)
+ *   cart-recovery:stats        - hash of campaign counters (revenue kept per currency as revenue:<code>)
+ *   cart-recovery:job-lock     - stops two instances running the job at once
+ */
+
+export const CART_RECOVERY_KEY_PREFIX = "cart-recovery:";
+
+// Idle time before a cart counts as abandoned (carts expire after 24h)
+const IDLE_MINUTES = parseInt(process.env.CART_RECOVERY_IDLE_MINUTES) || 60;
+const MAX_EMAILS_PER_CART = 2;
+const BATCH_SIZE = 50;
+const RESTORE_LINK_DAYS = 7;
+const ATTEMPT_TTL = 90 * 24 * 60 * 60;
+const JOB_LOCK_MS = 10 * 60 * 1000;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+const attemptKey = (id) => `${CART_RECOVERY_KEY_PREFIX}attempt:${id}`;
+const STATS_KEY = `${CART_RECOVERY_KEY_PREFIX}stats`;
+const JOB_LOCK_KEY = `${CART_RECOVERY_KEY_PREFIX}job-lock`;
+
+const loadAttempt = async (attemptId) => {
+  if (!attemptId) return null;
+  const raw = await redisClient.get(attemptKey(attemptId));
+  return raw ? JSON.parse(raw) : null;
+};
+
+const saveAttempt = async (attempt) => {
+  await redisClient.set(attemptKey(attempt.id), JSON.stringify(attempt), "EX", ATTEMPT_TTL);
+  return attempt;
+};
+
+/**
+ * Email one idle cart
+ * @returns {Promise<string>} "sent", "failed" or "skipped"
+ */
+const recoverCart = async (cartToken) => {
+  const cart = await loadCart(cartToken);
+
+  if (!cart || cart.items.length === 0 || !cart.customerEmail) {
+    await removeFromRecoveryIndex(cartToken);
+    return "skipped";
+  }
+
+  const recovery = cart.recovery || { attemptIds: [] };
+
+  // Already emailed for this abandonment, or emailed enough
+  if (
+    recovery.emailedAtActivity === cart.updatedAt ||
+    recovery.attemptIds.length >= MAX_EMAILS_PER_CART
+  ) {
+    await removeFromRecoveryIndex(cartToken);
+    return "skipped";
+  }
+
+  const attemptId = crypto.randomBytes(8).toString("hex");
+  const { shareToken } = await createCartShare(cartToken, {
+    expiresInDays: RESTORE_LINK_DAYS,
+    recoveryId: attemptId,
+  });
+
+  const result = await sendCartRecoveryEmail({
+    email: cart.customerEmail,
+    firstName: cart.customerFirstName,
+    restoreUrl: `${FRONTEND_URL}/cart/restore/${encodeURIComponent(shareToken)}`,
+    items: cart.items,
+    totals: cart.totals,
+  });
+
+  await saveAttempt({
+    id: attemptId,
+    cartToken,
+    email: cart.customerEmail,
+    status: result.success ? "sent" : "failed",
+    sentAt: Date.now(),
+    cartTotal: cart.totals.total,
+    restoredAt: null,
+    orderId: null,
+    orderTotal: null,
+  });
+  await redisClient.hincrby(STATS_KEY, result.success ? "emailsSent" : "emailsFailed", 1);
+
+  // Doesn't touch updatedAt, so this isn't mistaken for shopper activity
+  await updateCart(cartToken, (latest) => {
+    latest.recovery = {
+      attemptIds: [...recovery.attemptIds, attemptId],
+      lastAttemptId: attemptId,
+      emailedAtActivity: latest.updatedAt,
+    };
+  });
+  await removeFromRecoveryIndex(cartToken);
+
+  return result.success ? "sent" : "failed";
+};
+
+/**
+ * Find carts idle past the threshold and send recovery emails
+ * Run from the cron schedule in server.js.
+ *
+ * @returns {Promise<Object>} Summary { checked, sent, failed }
+ */
+export const processAbandonedCarts = async () => {
+  const locked = await redisClient.set(JOB_LOCK_KEY, process.pid, "PX", JOB_LOCK_MS, "NX");
+  if (!locked) {
+    console.log("[CartRecovery] Job already running on another instance, skipping");
+    return { checked: 0, sent: 0, failed: 0 };
+  }
+
+  const summary = { checked: 0, sent: 0, failed: 0 };
+
+  try {
+    const idleSince = Date.now() - IDLE_MINUTES * 60 * 1000;
+    const cartTokens = await getIdleCartTokens(idleSince, BATCH_SIZE);
+
+    for (const cartToken of cartTokens) {
+      summary.checked++;
+
+      try {
+        const outcome = await recoverCart(cartToken);
+        if (outcome === "sent") summary.sent++;
+        if (outcome === "failed") summary.failed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[CartRecovery] Failed to process cart ${cartToken}:`, error.message);
+      }
+    }
+  } finally {
+    await redisClient.del(JOB_LOCK_KEY);
+  }
+
+  console.log(
+    `[CartRecovery] Checked ${summary.checked} idle cart(s): ${summary.sent} emailed, ${summary.failed} failed`
+  );
+  return summary;
+};
+
+/**
+ * Record that a recovery link was used to restore a cart
+ * @param {string} attemptId - Recovery attempt ID (stored on the share snapshot)
+ * @param {string} cartToken - Token of the restored cart
+ */
+export const trackRecoveryRestore = async (attemptId, cartToken) => {
+  try {
+    const attempt = await loadAttempt(attemptId);
+    if (!attempt || attempt.restoredAt) return;
+
+    attempt.restoredAt = Date.now();
+    attempt.restoredCartToken = cartToken;
+    await saveAttempt(attempt);
+    await redisClient.hincrby(STATS_KEY, "restored", 1);
+  } catch (error) {
+    console.error("[CartRecovery] Failed to track restore:", error.message);
+  }
+};
+
+/**
+ * Record an order placed from a cart that was sent a recovery email
+ * Either the restored cart (recoveryId) or the original cart (recovery.lastAttemptId).
+ *
+ * @param {Object} cart - Cart the order was placed from
+ * @param {Object} order - { orderId, totals: { total, currency } }
+ */
+export const trackRecoveryConversion = async (cart, order) => {
+  const attemptId = cart?.recoveryId || cart?.recovery?.lastAttemptId;
+  if (!attemptId) return;
+
+  try {
+    const attempt = await loadAttempt(attemptId);
+    if (!attempt || attempt.orderId) return;
+
+    const orderTotal = parseFloat(order.totals?.total) || 0;
+    const currency = order.totals?.currency || cart.currency || BASE_CURRENCY;
+
+    attempt.orderId = order.orderId;
+    attempt.orderTotal = orderTotal.toFixed(2);
+    attempt.currency = currency;
+    attempt.convertedAt = Date.now();
+    await saveAttempt(attempt);
+
+    // Totals in different currencies can't be added together
+    await redisClient
+      .multi()
+      .hincrby(STATS_KEY, "conversions", 1)
+      .hincrbyfloat(STATS_KEY, `revenue:${currency}`, orderTotal)
+      .exec();
+
+    console.log(`[CartRecovery] Order ${order.orderId} recovered from attempt ${attemptId} (${attempt.orderTotal} ${currency})`);
+  } catch (error) {
+    console.error("[CartRecovery] Failed to track conversion:", error.message);
+  }
+};
+
+/**
+ * Campaign totals
+ * @returns {Promise<Object>} { emailsSent, emailsFailed, restored, conversions, revenue, conversionRate }
+ *   where revenue is { <currency>: "<total>" }
+ */
+export const getRecoveryStats = async () => {
+  const stats = await redisClient.hgetall(STATS_KEY);
+
+  const emailsSent = parseInt(stats.emailsSent) || 0;
+  const conversions = parseInt(stats.conversions) || 0;
+
+  const revenue = {};
+  for (const [field, value] of Object.entries(stats)) {
+    if (field.startsWith("revenue:")) {
+      revenue[field.slice("revenue:".length)] = (parseFloat(value) || 0).toFixed(2);
+    }
+  }
+
+  return {
+    idleMinutes: IDLE_MINUTES,
+    emailsSent,
+    emailsFailed: parseInt(stats.emailsFailed) || 0,
+    restored: parseInt(stats.restored) || 0,
+    conversions,
+    revenue,
+    conversionRate: emailsSent > 0 ? Number(((conversions / emailsSent) * 100).toFixed(1)) : 0,
+  };
+};
+
+export default {
+  processAbandonedCarts,
+  trackRecoveryRestore,
+  trackRecoveryConversion,
+  getRecoveryStats,
+};
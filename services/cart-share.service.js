@@ -0,0 +1,399 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import redisClient from "../config/redis.js";
+import {
+  addToCart,
+  applyCoupon,
+  getCart,
+  getCartForCheckout,
+  setCartCurrency,
+  createCartFromItems,
+  deleteCart,
+} from "./cart.service.js";
+import { updateCart } from "./cart-store.service.js";
+import { formatCartCoupon } from "./coupon.service.js";
+import { createOrderDirect } from "./checkout.service.js";
+import { reserveCartStock } from "./stock-reservation.service.js";
+import { BASE_CURRENCY } from "./currency.service.js";
+
+/**
+ * Shareable Cart Snapshots & Quotes
+ * A snapshot freezes a cart (items, sqm, variations, coupons, totals) so it can
+ * be sent to a partner or builder. The link carries a signed, expiring token;
+ * the snapshot itself lives in Redis until the same expiry.
+ *
+ * Restoring a snapshot re-adds every line through addToCart, so the new cart
+ * has today's prices. Staff can turn a snapshot into a formal quote - quotes
+ * keep their quoted prices when converted into an order.
+ *
+ * Keys:
+ *   cart-share:<id>              - JSON snapshot (TTL = expiry)
+ *   cart-share:quote:<reference> - snapshot id for a quote reference
+ *   cart-share:convert:<id>      - short-lived guard against double conversion
+ */
+
+export const CART_SHARE_KEY_PREFIX = "cart-share:";
+
+const SHARE_SECRET = () => process.env.CART_SHARE_SECRET || process.env.JWT_SECRET;
+const TOKEN_TYPE = "cart-share";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SHARE_DAYS = 14;
+const MAX_SHARE_DAYS = 90;
+const MAX_QUOTE_DAYS = 180;
+const CONVERT_LOCK_MS = 60 * 1000;
+
+const shareKey = (id) => `${CART_SHARE_KEY_PREFIX}${id}`;
+const quoteKey = (reference) => `${CART_SHARE_KEY_PREFIX}quote:${reference}`;
+const convertKey = (id) => `${CART_SHARE_KEY_PREFIX}convert:${id}`;
+
+const shareError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Sign a share token that expires with the snapshot
+ */
+const signShareToken = (id, expiresAt) => {
+  return jwt.sign({ sid: id, type: TOKEN_TYPE }, SHARE_SECRET(), {
+    expiresIn: Math.max(1, Math.floor((expiresAt - Date.now()) / 1000)),
+  });
+};
+
+/**
+ * Verify a share token and load its snapshot
+ */
+const loadShare = async (shareToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(shareToken, SHARE_SECRET());
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw shareError("This shared cart has expired", 410);
+    }
+    throw shareError("Invalid share link", 404);
+  }
+
+  if (decoded.type !== TOKEN_TYPE || !decoded.sid) {
+    throw shareError("Invalid share link", 404);
+  }
+
+  const raw = await redisClient.get(shareKey(decoded.sid));
+  if (!raw) {
+    throw shareError("This shared cart has expired", 410);
+  }
+
+  return JSON.parse(raw);
+};
+
+const saveShare = async (snapshot) => {
+  const ttl = snapshot.expiresAt - Date.now();
+  await redisClient.set(shareKey(snapshot.id), JSON.stringify(snapshot), "PX", Math.max(1, ttl));
+  return snapshot;
+};
+
+/**
+ * Public view of a snapshot
+ */
+const formatShare = (snapshot) => ({
+  items: snapshot.items.map(({ frozen, ...item }) => item),
+  coupons: snapshot.coupons.map(formatCartCoupon),
+  totals: snapshot.totals,
+  itemsCount: snapshot.itemsCount,
+  createdAt: snapshot.createdAt,
+  expiresAt: snapshot.expiresAt,
+  quote: snapshot.quote
+    ? {
+        reference: snapshot.quote.reference,
+        validUntil: snapshot.quote.validUntil,
+        status: snapshot.quote.status,
+        orderId: snapshot.quote.orderId || null,
+      }
+    : null,
+});
+
+/**
+ * Freeze a cart into a share snapshot
+ *
+ * @param {string} cartToken - Cart to share
+ * @param {Object} [options]
+ * @param {number} [options.expiresInDays] - Link lifetime (default 14, max 90)
+ * @param {number} [options.createdBy] - Customer ID of the sharer, if logged in
+ * @param {string} [options.recoveryId] - Abandoned cart recovery attempt this link was emailed for
+ * @returns {Promise<Object>} { shareToken, share }
+ */
+export const createCartShare = async (cartToken, options = {}) => {
+  const cart = await getCartForCheckout(cartToken);
+
+  const days = Math.min(
+    Math.max(parseInt(options.expiresInDays) || DEFAULT_SHARE_DAYS, 1),
+    MAX_SHARE_DAYS
+  );
+  const now = Date.now();
+
+  const snapshot = {
+    id: crypto.randomBytes(12).toString("base64url"),
+    createdAt: now,
+    expiresAt: now + days * DAY_MS,
+    createdBy: options.createdBy || null,
+    recoveryId: options.recoveryId || null,
+    items: cart.items.map((item) => ({
+      key: item.key,
+      productId: item.productId,
+      variationId: item.variationId || null,
+      variation: item.variation || [],
+      name: item.name,
+      variationName: item.variationName || "",
+      image: item.image,
+      quantity: item.quantity,
+      sqm: item.sqm || 0,
+      requestedSqm: item.requestedSqm || null,
+      layPattern: item.layPattern || null,
+      boxes: item.boxes || null,
+      price: item.price,
+      lineTotal: item.lineTotal,
+      // Full cart line, used when a quote is converted at its quoted prices
+      frozen: item,
+    })),
+    coupons: cart.coupons,
+    totals: cart.totals,
+    currency: cart.currency || BASE_CURRENCY,
+    itemsCount: cart.itemsCount,
+    quote: null,
+  };
+
+  await saveShare(snapshot);
+  console.log(`[CartShare] Snapshot ${snapshot.id} created from cart ${cartToken} (${days} days)`);
+
+  return {
+    shareToken: signShareToken(snapshot.id, snapshot.expiresAt),
+    share: formatShare(snapshot),
+  };
+};
+
+/**
+ * Get a shared cart / quote (read only)
+ */
+export const getCartShare = async (shareToken) => {
+  return formatShare(await loadShare(shareToken));
+};
+
+/**
+ * Restore a snapshot into a fresh cart at current prices
+ * Lines that can no longer be added (deleted, out of stock...) and coupons
+ * that no longer apply are reported in `skipped`.
+ *
+ * @param {string} shareToken - Signed share token
+ * @returns {Promise<Object>} { cart, cartToken, cartHash, skipped, priceChanges, recoveryId }
+ */
+export const restoreCartShare = async (shareToken) => {
+  const snapshot = await loadShare(shareToken);
+
+  // Restore in the currency it was shared in
+  let cartToken = null;
+  const currency = snapshot.currency || BASE_CURRENCY;
+  if (currency !== BASE_CURRENCY) {
+    ({ cartToken } = await setCartCurrency(null, currency));
+  }
+
+  let restoredCount = 0;
+  const skipped = [];
+  const priceChanges = [];
+
+  for (const item of snapshot.items) {
+    try {
+      // Box-sold tiles re-round from the area originally asked for
+      const sqm = item.requestedSqm || item.sqm || 0;
+      const result = await addToCart(
+        item.productId,
+        item.quantity,
+        sqm,
+        item.variation,
+        cartToken,
+        item.variationId,
+        { layPattern: item.layPattern }
+      );
+      cartToken = result.cartToken;
+      restoredCount++;
+
+      const restored = result.cart.items.find((line) => line.key === item.key);
+      if (restored && restored.price !== item.price) {
+        priceChanges.push({
+          key: item.key,
+          name: item.name,
+          oldPrice: item.price,
+          newPrice: restored.price,
+        });
+      }
+    } catch (error) {
+      skipped.push({ type: "item", key: item.key, name: item.name, reason: error.message });
+    }
+  }
+
+  if (restoredCount === 0) {
+    if (cartToken) await deleteCart(cartToken);
+    throw shareError("None of the items in this shared cart are available any more", 409);
+  }
+
+  for (const coupon of snapshot.coupons) {
+    try {
+      await applyCoupon(coupon.code, cartToken);
+    } catch (error) {
+      skipped.push({ type: "coupon", code: coupon.code, reason: error.message });
+    }
+  }
+
+  // Remember which recovery email brought the shopper back (conversion tracking)
+  if (snapshot.recoveryId) {
+    await updateCart(cartToken, (cart) => {
+      cart.recoveryId = snapshot.recoveryId;
+    });
+  }
+
+  const result = await getCart(cartToken);
+
+  return { ...result, skipped, priceChanges, recoveryId: snapshot.recoveryId || null };
+};
+
+/**
+ * Generate a quote reference, e.g. Q-20250314-7F3A9C
+ */
+const generateQuoteReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `Q-${date}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+/**
+ * Mark a snapshot as a formal quote (staff only - checked by the controller)
+ * The snapshot and its link are extended to the quote's validity date.
+ *
+ * @param {string} shareToken - Signed share token
+ * @param {Object} options
+ * @param {string} options.validUntil - ISO date the quoted prices hold until
+ * @param {string} [options.reference] - Reference number (generated if omitted)
+ * @param {Object} options.staff - Staff customer record issuing the quote
+ * @returns {Promise<Object>} { shareToken, share } - use the new token for the quote
+ */
+export const createQuote = async (shareToken, { validUntil, reference, staff }) => {
+  const snapshot = await loadShare(shareToken);
+
+  if (snapshot.quote) {
+    throw shareError(`Already quoted as ${snapshot.quote.reference}`, 409);
+  }
+
+  const validUntilMs = new Date(validUntil).getTime();
+  if (!validUntil || Number.isNaN(validUntilMs) || validUntilMs <= Date.now()) {
+    throw shareError("A future validity date is required", 400);
+  }
+  if (validUntilMs > Date.now() + MAX_QUOTE_DAYS * DAY_MS) {
+    throw shareError(`Quotes can be valid for up to ${MAX_QUOTE_DAYS} days`, 400);
+  }
+
+  const quoteReference = String(reference || generateQuoteReference()).trim().slice(0, 40);
+  const ttl = validUntilMs - Date.now();
+
+  // Claim the reference so it can't point at two quotes
+  const claimed = await redisClient.set(quoteKey(quoteReference), snapshot.id, "PX", ttl, "NX");
+  if (!claimed) {
+    throw shareError("Quote reference already in use", 409);
+  }
+
+  snapshot.expiresAt = validUntilMs;
+  snapshot.quote = {
+    reference: quoteReference,
+    validUntil: new Date(validUntilMs).toISOString(),
+    status: "open",
+    issuedBy: staff?.id || null,
+    issuedAt: Date.now(),
+  };
+
+  await saveShare(snapshot);
+  console.log(`[CartShare] Quote ${quoteReference} issued by ${staff?.email || "staff"} for snapshot ${snapshot.id}`);
+
+  return {
+    shareToken: signShareToken(snapshot.id, snapshot.expiresAt),
+    share: formatShare(snapshot),
+  };
+};
+
+/**
+ * Look up a quote by reference (staff)
+ * @returns {Promise<Object>} { shareToken, share }
+ */
+export const getQuoteByReference = async (reference) => {
+  const id = await redisClient.get(quoteKey(reference));
+  const raw = id ? await redisClient.get(shareKey(id)) : null;
+
+  if (!raw) {
+    throw shareError("Quote not found", 404);
+  }
+
+  const snapshot = JSON.parse(raw);
+  return {
+    shareToken: signShareToken(snapshot.id, snapshot.expiresAt),
+    share: formatShare(snapshot),
+  };
+};
+
+/**
+ * Convert an open quote into a WooCommerce order at the quoted prices
+ * Stock is reserved as for a normal checkout.
+ *
+ * @param {string} shareToken - Signed share token of the quote
+ * @param {Object} checkoutData - Same fields as createOrderDirect
+ * @returns {Promise<Object>} Order result from createOrderDirect
+ */
+export const convertQuoteToOrder = async (shareToken, checkoutData) => {
+  const snapshot = await loadShare(shareToken);
+
+  if (!snapshot.quote) {
+    throw shareError("Only quotes can be converted into orders", 400);
+  }
+  if (snapshot.quote.status === "converted") {
+    throw shareError(`Quote already converted to order #${snapshot.quote.orderId}`, 409);
+  }
+
+  const locked = await redisClient.set(convertKey(snapshot.id), "1", "PX", CONVERT_LOCK_MS, "NX");
+  if (!locked) {
+    throw shareError("This quote is already being converted", 409);
+  }
+
+  let cartToken = null;
+
+  try {
+    const cart = await createCartFromItems(
+      snapshot.items.map((item) => item.frozen),
+      snapshot.coupons,
+      { quote: { reference: snapshot.quote.reference }, currency: snapshot.currency || BASE_CURRENCY }
+    );
+    cartToken = cart.cartToken;
+
+    await reserveCartStock(cart);
+    const result = await createOrderDirect(cartToken, checkoutData);
+
+    snapshot.quote.status = "converted";
+    snapshot.quote.orderId = result.orderId;
+    snapshot.quote.convertedAt = Date.now();
+    await saveShare(snapshot);
+
+    console.log(`[CartShare] Quote ${snapshot.quote.reference} converted to order ${result.orderId}`);
+    return { ...result, quote: formatShare(snapshot).quote };
+  } catch (error) {
+    // Deleting the temporary cart also releases its stock hold
+    if (cartToken) await deleteCart(cartToken);
+    throw error;
+  } finally {
+    await redisClient.del(convertKey(snapshot.id));
+  }
+};
+
+export default {
+  createCartShare,
+  getCartShare,
+  restoreCartShare,
+  createQuote,
+  getQuoteByReference,
+  convertQuoteToOrder,
+};
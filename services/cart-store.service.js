@@ -0,0 +1,303 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+
+/**
+ * Redis Cart Store
+ * Carts are persisted in Redis so they survive restarts and are shared
+ * between every API instance behind the load balancer.
+ *
+ * Keys:
+ *   cart:doc:<token>   - JSON cart document (sliding 24h TTL)
+ *   cart:lock:<token>  - short-lived mutex used for read-modify-write updates
+ *   cart:customer:<id> - token of the cart owned by a logged-in customer
+ *   cart:recovery-index - sorted set of carts with a known email, scored by last activity
+ */
+
+export const CART_KEY_PREFIX = "cart:";
+
+// Shape of tokens issued by generateCartToken (32 random bytes, base64url)
+const CART_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+// Cart expiration (24 hours) - refreshed on every save
+const CART_TTL = 24 * 60 * 60;
+
+// Lock settings for atomic cart updates
+// The lock is renewed while it's held, so slow WooCommerce calls can't outlive it
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RENEW_MS = LOCK_TTL_MS / 3;
+const LOCK_RETRY_MS = 50;
+const LOCK_WAIT_MS = 5 * 1000;
+
+// Releases the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+// Extends the lock only if we still own it
+const RENEW_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const cartKey = (cartToken) => `${CART_KEY_PREFIX}doc:${cartToken}`;
+const lockKey = (cartToken) => `${CART_KEY_PREFIX}lock:${cartToken}`;
+const customerKey = (customerId) => `${CART_KEY_PREFIX}customer:${customerId}`;
+const RECOVERY_INDEX_KEY = `${CART_KEY_PREFIX}recovery-index`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check a client-supplied cart token before it is used in a Redis key
+ * @param {string} cartToken - Cart session token
+ * @returns {boolean} True if the token has the shape of an issued token
+ */
+export const isValidCartToken = (cartToken) => {
+  return typeof cartToken === "string" && CART_TOKEN_PATTERN.test(cartToken);
+};
+
+/**
+ * Fill in any fields missing from carts saved by older versions
+ * Existing fields are kept as-is so stored carts load unchanged
+ */
+const normalizeCart = (cart, cartToken) => {
+  const now = Date.now();
+
+  return {
+    ...cart,
+    cartToken: cart.cartToken || cartToken,
+    items: Array.isArray(cart.items) ? cart.items : [],
+    coupons: Array.isArray(cart.coupons) ? cart.coupons : [],
+    totals: cart.totals || {},
+    itemsCount: cart.itemsCount || 0,
+    createdAt: cart.createdAt || now,
+    updatedAt: cart.updatedAt || now,
+  };
+};
+
+/**
+ * Load a cart by token
+ * @param {string} cartToken - Cart session token
+ * @returns {Promise<Object|null>} Cart or null if missing/expired
+ */
+export const loadCart = async (cartToken) => {
+  if (!isValidCartToken(cartToken)) return null;
+
+  const raw = await redisClient.get(cartKey(cartToken));
+  if (!raw) return null;
+
+  // Left in place for inspection - the next save overwrites it
+  try {
+    return normalizeCart(JSON.parse(raw), cartToken);
+  } catch (error) {
+    console.error(`[CartStore] Corrupt cart ${cartToken}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Save a cart and reset its 24h expiry
+ * Carts owned by a customer also refresh the customer -> cart pointer, and
+ * carts with a known email are indexed for abandoned cart recovery
+ * @param {Object} cart - Cart to persist (must contain cartToken)
+ */
+export const saveCart = async (cart) => {
+  const transaction = redisClient.multi();
+  transaction.set(cartKey(cart.cartToken), JSON.stringify(cart), "EX", CART_TTL);
+
+  if (cart.customerId) {
+    transaction.set(customerKey(cart.customerId), cart.cartToken, "EX", CART_TTL);
+  }
+
+  if (cart.customerEmail && cart.items?.length > 0) {
+    transaction.zadd(RECOVERY_INDEX_KEY, cart.updatedAt || Date.now(), cart.cartToken);
+  } else {
+    transaction.zrem(RECOVERY_INDEX_KEY, cart.cartToken);
+  }
+
+  await transaction.exec();
+  return cart;
+};
+
+/**
+ * Delete a cart (and the customer pointer if it still points at this cart)
+ * @param {string} cartToken - Cart session token
+ */
+export const removeCart = async (cartToken) => {
+  if (!isValidCartToken(cartToken)) return;
+
+  const cart = await loadCart(cartToken);
+  await redisClient.del(cartKey(cartToken));
+  await redisClient.zrem(RECOVERY_INDEX_KEY, cartToken);
+
+  if (cart?.customerId) {
+    const ownedToken = await redisClient.get(customerKey(cart.customerId));
+    if (ownedToken === cartToken) {
+      await redisClient.del(customerKey(cart.customerId));
+    }
+  }
+};
+
+/**
+ * Get the token of the cart owned by a customer
+ * @param {number|string} customerId - WooCommerce customer ID
+ * @returns {Promise<string|null>} Cart token or null if the customer has no cart
+ */
+export const getCustomerCartToken = async (customerId) => {
+  if (!customerId) return null;
+  return redisClient.get(customerKey(customerId));
+};
+
+/**
+ * Get carts with a known email that have been idle since a point in time
+ * @param {number} idleSince - Timestamp (ms); carts last active before this are returned
+ * @param {number} [limit] - Maximum tokens to return
+ * @returns {Promise<string[]>} Cart tokens, longest idle first
+ */
+export const getIdleCartTokens = async (idleSince, limit = 100) => {
+  return redisClient.zrangebyscore(RECOVERY_INDEX_KEY, "-inf", idleSince, "LIMIT", 0, limit);
+};
+
+/**
+ * Drop a cart from the recovery index (emailed, expired or emptied)
+ */
+export const removeFromRecoveryIndex = async (cartToken) => {
+  return redisClient.zrem(RECOVERY_INDEX_KEY, cartToken);
+};
+
+/**
+ * Run a function while holding the cart's lock
+ * Concurrent mutations of the same cart (across processes) run one at a time.
+ * fn receives the lock - `await lock.assertHeld()` before writing throws a 409
+ * if the lock was lost (e.g. Redis failover) and another writer may have it.
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Function} fn - Async function to run while locked
+ * @returns {Promise<*>} Result of fn
+ */
+export const withCartLock = async (cartToken, fn) => {
+  if (!isValidCartToken(cartToken)) {
+    const error = new Error("Invalid cart token");
+    error.status = 400;
+    throw error;
+  }
+
+  const key = lockKey(cartToken);
+  const owner = crypto.randomBytes(16).toString("hex");
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (true) {
+    const acquired = await redisClient.set(key, owner, "PX", LOCK_TTL_MS, "NX");
+    if (acquired) break;
+
+    if (Date.now() > deadline) {
+      const error = new Error("Cart is being updated, please try again");
+      error.status = 409;
+      throw error;
+    }
+
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  let held = true;
+  const renewal = setInterval(async () => {
+    try {
+      held = Boolean(await redisClient.eval(RENEW_LOCK_SCRIPT, 1, key, owner, LOCK_TTL_MS));
+    } catch (error) {
+      console.error(`[CartStore] Failed to renew lock for ${cartToken}:`, error.message);
+    }
+    if (!held) clearInterval(renewal);
+  }, LOCK_RENEW_MS);
+
+  const lock = {
+    assertHeld: async () => {
+      if (held && (await redisClient.get(key)) === owner) return;
+
+      held = false;
+      const error = new Error("Cart is being updated, please try again");
+      error.status = 409;
+      throw error;
+    },
+  };
+
+  try {
+    return await fn(lock);
+  } finally {
+    clearInterval(renewal);
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, owner);
+    } catch (error) {
+      console.error(`[CartStore] Failed to release lock for ${cartToken}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Run a function while holding the locks of several carts
+ * Locks are always taken in token order, so two callers locking the same
+ * carts can't deadlock. fn receives one lock whose assertHeld checks them all.
+ *
+ * @param {string[]} cartTokens - Cart session tokens
+ * @param {Function} fn - Async function to run while locked
+ * @returns {Promise<*>} Result of fn
+ */
+export const withCartLocks = async (cartTokens, fn) => {
+  const tokens = [...new Set(cartTokens)].sort();
+
+  const lockFrom = (index, locks) => {
+    if (index === tokens.length) {
+      return fn({
+        assertHeld: async () => {
+          for (const lock of locks) await lock.assertHeld();
+        },
+      });
+    }
+
+    return withCartLock(tokens[index], (lock) => lockFrom(index + 1, [...locks, lock]));
+  };
+
+  return lockFrom(0, []);
+};
+
+/**
+ * Atomically load, mutate and save a cart
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Function} mutator - Receives the cart, mutates it in place (may be async)
+ * @param {Function} [createCart] - Factory used when the cart doesn't exist yet.
+ *   If omitted, a missing cart throws "Cart not found".
+ * @returns {Promise<Object>} The saved cart
+ */
+export const updateCart = async (cartToken, mutator, createCart = null) => {
+  return withCartLock(cartToken, async (lock) => {
+    let cart = await loadCart(cartToken);
+
+    if (!cart) {
+      if (!createCart) throw new Error("Cart not found");
+      cart = createCart(cartToken);
+    }
+
+    await mutator(cart);
+
+    // Never write over a cart another writer has taken the lock for
+    await lock.assertHeld();
+    return saveCart(cart);
+  });
+};
+
+export default {
+  isValidCartToken,
+  loadCart,
+  saveCart,
+  removeCart,
+  getCustomerCartToken,
+  getIdleCartTokens,
+  removeFromRecoveryIndex,
+  withCartLock,
+  withCartLocks,
+  updateCart,
+};
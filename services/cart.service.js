@@ -1,21 +1,57 @@
 import crypto from "crypto";
 import wcApi from "../config/woocommerce.js";
 import { fetchProductVariations } from "./variations.service.js";
+import {
+  getBoxCoverage,
+  getWastagePercent,
+  calculateBoxQuantity,
+  isValidLayPattern,
+} from "../utils/box-coverage.js";
+import { getVolumeTiers, getVolumePricing } from "../utils/volume-pricing.js";
+import { getQuantityRules, checkQuantityRules } from "../utils/quantity-rules.js";
+import {
+  loadCart,
+  saveCart,
+  removeCart,
+  updateCart,
+  withCartLocks,
+  getCustomerCartToken,
+} from "./cart-store.service.js";
+import {
+  fetchCouponByCode,
+  toCartCoupon,
+  applyCartCoupons,
+  assertCouponApplicable,
+  couponError,
+  formatCartCoupon,
+} from "./coupon.service.js";
+import { getAvailableStock, releaseCartReservation } from "./stock-reservation.service.js";
+import { calculateCartTax, normalizeTaxClass } from "./tax.service.js";
+import {
+  BASE_CURRENCY,
+  assertCurrency,
+  convertPrice,
+  getCurrencyInfo,
+  loadExchangeRates,
+} from "./currency.service.js";
+import {
+  SAMPLE_POLICY,
+  isSampleProduct,
+  isFreeSample,
+  assertSampleLimits,
+  getSampleUsage,
+  applySampleCharges,
+  getSampleSummary,
+} from "./sample-policy.service.js";
 
 /**
  * Server-side Cart Storage
- * Carts are stored in memory with session tokens
- * Each cart is isolated by its unique cart token
+ * Carts are stored in Redis (see cart-store.service.js) with session tokens
+ * Each cart is isolated by its unique cart token and expires after 24h of inactivity
  */
 
-// In-memory cart storage (can be replaced with Redis for production)
-const cartStorage = new Map();
-
-// Cart expiration time (24 hours)
-const CART_EXPIRATION_MS = 24 * 60 * 60 * 1000;
-
-// Free sample limits - maximum 4 of the SAME free sample product per cart
-const FREE_SAMPLE_MAX_QTY_PER_PRODUCT = 4;
+// Most lines accepted by a single bulk add
+const MAX_BULK_LINES = 50;
 
 /**
  * Generate a unique cart token
@@ -26,33 +62,45 @@ export const generateCartToken = () => {
 
 /**
  * Generate cart hash from cart contents for validation
+ * Clients send it back as If-Match so edits from another tab aren't overwritten.
  */
 const generateCartHash = (cart) => {
-  const cartString = JSON.stringify(cart.items || []);
+  const cartString = JSON.stringify({
+    items: cart.items || [],
+    coupons: (cart.coupons || []).map((coupon) => coupon.code),
+  });
   return crypto.createHash("md5").update(cartString).digest("hex");
 };
 
 /**
- * Clean up expired carts periodically
+ * Reject a change made against an out-of-date cart (optimistic concurrency)
+ * Call inside the cart lock, before changing anything.
+ *
+ * @param {Object} cart - Cart as currently stored
+ * @param {string} [expectedHash] - cartHash the client last saw; not checked if missing
+ * @throws 409 error carrying the current `cart` and `cartHash` so the client can reconcile
  */
-const cleanupExpiredCarts = () => {
-  const now = Date.now();
-  for (const [token, cart] of cartStorage.entries()) {
-    if (now - cart.updatedAt > CART_EXPIRATION_MS) {
-      cartStorage.delete(token);
-    }
-  }
+const assertCartHash = (cart, expectedHash) => {
+  if (!expectedHash) return;
+
+  const cartHash = generateCartHash(cart);
+  if (cartHash === expectedHash) return;
+
+  const error = new Error("Your cart has been changed elsewhere. Please review it and try again.");
+  error.status = 409;
+  error.code = "cart_changed";
+  error.cart = formatCartResponse(cart);
+  error.cartHash = cartHash;
+  throw error;
 };
 
-// Run cleanup every hour
-setInterval(cleanupExpiredCarts, 60 * 60 * 1000);
-
 /**
  * Create empty cart structure
  */
-const createEmptyCart = (cartToken) => {
+const createEmptyCart = (cartToken, currency = BASE_CURRENCY) => {
   return {
     cartToken,
+    currency,
     items: [],
     coupons: [],
     totals: {
@@ -61,8 +109,7 @@ const createEmptyCart = (cartToken) => {
       shipping: "0",
       tax: "0",
       total: "0",
-      currency: "GBP",
-      currencySymbol: "£",
+      ...getCurrencyInfo(currency),
     },
     itemsCount: 0,
     createdAt: Date.now(),
@@ -73,21 +120,14 @@ const createEmptyCart = (cartToken) => {
 /**
  * Get or create cart by token
  */
-const getOrCreateCart = (cartToken) => {
-  if (!cartToken) {
-    const newToken = generateCartToken();
-    const newCart = createEmptyCart(newToken);
-    cartStorage.set(newToken, newCart);
-    return newCart;
-  }
-
-  let cart = cartStorage.get(cartToken);
-  if (!cart) {
-    cart = createEmptyCart(cartToken);
-    cartStorage.set(cartToken, cart);
+const getOrCreateCart = async (cartToken) => {
+  if (cartToken) {
+    const cart = await loadCart(cartToken);
+    if (cart) return cart;
   }
 
-  return cart;
+  const newCart = createEmptyCart(cartToken || generateCartToken());
+  return saveCart(newCart);
 };
 
 /**
@@ -99,40 +139,61 @@ const fetchProduct = async (productId) => {
     return product;
   } catch (error) {
     console.error(`Failed to fetch product ${productId}:`, error.message);
-    throw new Error("Product not found");
+    const notFound = new Error("Product not found");
+    if (error.response?.status === 404) notFound.status = 404;
+    throw notFound;
   }
 };
 
+/**
+ * What we know about the shopper for coupon restrictions
+ */
+const getCouponContext = (cart) => ({
+  customerId: cart.customerId || null,
+  email: cart.customerEmail || null,
+});
+
+/**
+ * Free sample units the cart's shopper has already ordered this window
+ * Stored on the cart as `samplesUsed` for sample charges (see calculateTotals).
+ */
+const loadSamplesUsed = async (cartToken) => {
+  const cart = cartToken ? await loadCart(cartToken) : null;
+  return cart ? getSampleUsage(getCouponContext(cart)) : 0;
+};
+
 /**
  * Calculate cart totals
+ * Coupons are re-validated on every change - ones that stop applying are
+ * flagged with a reason and contribute no discount.
+ * VAT is worked out per rate for the cart's tax location (see tax.service.js);
+ * subtotal and discount stay as displayed, inclusive or exclusive of tax.
+ * Free samples beyond the shopper's allowance are charged (see sample-policy.service.js).
  */
 const calculateTotals = (cart) => {
+  applySampleCharges(cart);
+
   let subtotal = 0;
 
   for (const item of cart.items) {
     subtotal += parseFloat(item.lineTotal);
   }
 
-  // Apply coupon discounts (simplified - real implementation would validate coupons)
-  let discount = 0;
-  for (const coupon of cart.coupons) {
-    if (coupon.discountType === "percent") {
-      discount += subtotal * (coupon.amount / 100);
-    } else {
-      discount += coupon.amount;
-    }
-  }
+  const { discount, freeShipping } = applyCartCoupons(cart, getCouponContext(cart));
 
-  const total = Math.max(0, subtotal - discount);
+  const tax = calculateCartTax(cart);
+  const total = tax.netTotal + tax.tax;
 
   cart.totals = {
     subtotal: subtotal.toFixed(2),
     discount: discount.toFixed(2),
     shipping: "0.00", // Will be calculated at checkout
-    tax: "0.00", // Will be calculated at checkout
+    tax: tax.tax.toFixed(2),
+    taxes: tax.taxes,
+    pricesIncludeTax: tax.pricesIncludeTax,
     total: total.toFixed(2),
-    currency: "GBP",
-    currencySymbol: "£",
+    freeShipping,
+    ...getCurrencyInfo(cart.currency),
   };
 
   cart.itemsCount = cart.items.reduce((count, item) => count + item.quantity, 0);
@@ -141,10 +202,70 @@ const calculateTotals = (cart) => {
   return cart;
 };
 
+/**
+ * Recalculate an item's line total
+ * Tiles sold in boxes have the requested sqm (plus wastage) rounded up to
+ * whole boxes first, so quantity = boxes and sqm = area actually bought.
+ * Tiles with volume tiers are priced at the tier for the area bought.
+ */
+const recalculateItem = (item) => {
+  if (item.coveragePerBox && item.requestedSqm > 0) {
+    const { boxes, pieces, sqm } = calculateBoxQuantity(
+      item.requestedSqm,
+      { coveragePerBox: item.coveragePerBox, piecesPerBox: item.piecesPerBox },
+      item.wastagePercent || 0
+    );
+
+    item.quantity = boxes;
+    item.boxes = boxes;
+    item.pieces = pieces;
+    item.sqm = sqm;
+  }
+
+  // If SQM is > 0, use it. Otherwise use Quantity.
+  const multiplier = item.sqm > 0 ? item.sqm : item.quantity;
+
+  const volumePricing = item.sqm > 0 ? getVolumePricing(item.price, item.sqm, item.volumeTiers) : null;
+  if (volumePricing) {
+    item.volumePricing = volumePricing;
+  } else {
+    delete item.volumePricing;
+  }
+
+  const unitPrice = volumePricing ? parseFloat(volumePricing.unitPrice) : parseFloat(item.price);
+  item.lineTotal = (multiplier * unitPrice).toFixed(2);
+
+  return item;
+};
+
+/**
+ * Reprice every item in the cart's currency from its store-currency price
+ * Coupon amounts stay as they are - WooCommerce applies them unconverted in
+ * the order's currency (see coupon.service.js), so the cart does too.
+ */
+const repriceItems = (cart) => {
+  for (const item of cart.items) {
+    // Items from before multi-currency carts were all priced in GBP
+    const basePrice = item.basePrice ?? item.price;
+
+    item.basePrice = parseFloat(basePrice).toFixed(2);
+    item.price = convertPrice(item.basePrice, cart.currency || BASE_CURRENCY).toFixed(2);
+    recalculateItem(item);
+  }
+};
+
+/**
+ * Set the laying pattern (and its wastage allowance) on a box-sold item
+ */
+const setLayPattern = (item, layPattern) => {
+  item.layPattern = layPattern || null;
+  item.wastagePercent = getWastagePercent(layPattern);
+};
+
 /**
  * Generate unique item key
  */
-const generateItemKey = (productId, variationId, variation) => {
+export const generateItemKey = (productId, variationId, variation) => {
   const data = `${productId}-${variationId || 0}-${JSON.stringify(variation || [])}`;
   return crypto.createHash("md5").update(data).digest("hex").substring(0, 16);
 };
@@ -153,7 +274,7 @@ const generateItemKey = (productId, variationId, variation) => {
  * Get cart contents
  */
 export const getCart = async (cartToken = null) => {
-  const cart = getOrCreateCart(cartToken);
+  const cart = await getOrCreateCart(cartToken);
 
   return {
     cart: formatCartResponse(cart),
@@ -163,33 +284,27 @@ export const getCart = async (cartToken = null) => {
 };
 
 /**
- * Add item to cart
+ * Fetch a product (and variation) and resolve everything a cart line needs
+ * The variation's price, stock, weight and shipping class win over the parent's.
+ * A failed variation fetch is returned as `variationError` rather than thrown.
  */
-export const addToCart = async (
-  productId, 
-  quantity = 1, 
-  sqm = 0, 
-  variation = [], 
-  cartToken = null, 
-  variationId = null
-) => {
-  const cart = getOrCreateCart(cartToken);
-  
+const resolveCartProduct = async (productId, variationId = null) => {
   // 1. Always fetch parent product first for basic details (Name, Slug, etc.)
   const product = await fetchProduct(productId);
 
-  if (product.status !== "publish") throw new Error("Product is not available");
-  // Note: Parent stock status might be "instock" even if a specific variation is out.
-  // We should check specific variation stock later if needed.
-  if (product.stock_status === "outofstock") throw new Error("Product is out of stock");
-
   // 2. Determine Price, Weight, and Shipping Class
   let price = 0;
-  
-  let finalVariationId = variationId;
+  let variationData = null;
+  let variationError = null;
   let productImage = product.images?.[0]?.src || "";
   let variationName = ""; // Store variation name for display in cart
-  let isSample = false; // Flag to identify sample items
+  let onSale = Boolean(product.on_sale); // Needed for "exclude sale items" coupons
+  let boxCoverage = getBoxCoverage(product); // Coverage per box for tiles sold in whole boxes
+  let stockStatus = product.stock_status;
+  let stockQuantity = product.stock_quantity;
+  let stockVariationId = 0; // Set when the variation tracks its own stock
+  let taxClass = normalizeTaxClass(product.tax_class);
+  let taxStatus = product.tax_status || "taxable";
 
   // Shipping-related fields - start with parent product values as defaults
   let itemWeight = parseFloat(product.weight) || 0;
@@ -200,11 +315,28 @@ export const addToCart = async (
   if (variationId) {
     try {
       // Fetch the specific variation data from WooCommerce
-      const { data: variationData } = await wcApi.get(`products/${productId}/variations/${variationId}`);
+      ({ data: variationData } = await wcApi.get(`products/${productId}/variations/${variationId}`));
 
       if (variationData) {
         // Get the accurate price for this specific size/finish
         price = parseFloat(variationData.sale_price || variationData.price || variationData.regular_price || 0);
+        onSale = Boolean(variationData.on_sale);
+
+        // Variation may have its own box size
+        boxCoverage = getBoxCoverage(product, variationData);
+
+        // "parent" means the variation uses the product's tax class
+        if (variationData.tax_class !== "parent") {
+          taxClass = normalizeTaxClass(variationData.tax_class);
+        }
+        taxStatus = variationData.tax_status || taxStatus;
+
+        // Variation may track its own stock
+        if (variationData.manage_stock === true) {
+          stockStatus = variationData.stock_status;
+          stockQuantity = variationData.stock_quantity;
+          stockVariationId = variationId;
+        }
 
         // Optional: Update image if the variation has its own specific image
         if (variationData.image && variationData.image.src) {
@@ -228,93 +360,381 @@ export const addToCart = async (
             .map(attr => attr.option)
             .join(' - ');
         }
-
-        // Check if this is a sample variation (free or full size)
-        const sku = (variationData.sku || "").toLowerCase();
-        const attrOptions = (variationData.attributes || [])
-          .map(attr => (attr.option || "").toLowerCase())
-          .join(" ");
-        isSample = sku.includes("sample") || attrOptions.includes("sample");
       }
     } catch (error) {
       console.warn(`Failed to fetch specific variation ${variationId}:`, error.message);
+      variationError = error;
       // Don't throw here; allow fallback to parent price logic if fetch fails
     }
   }
 
- 
+  return {
+    product,
+    variation: variationData,
+    variationError,
+    price,
+    productImage,
+    variationName,
+    // Sample products are flagged in WooCommerce (see sample-policy.service.js)
+    isSample: isSampleProduct(product, variationData),
+    // Price breaks by area (see utils/volume-pricing.js)
+    volumeTiers: getVolumeTiers(product, variationData),
+    // Minimum / maximum / step rules (see utils/quantity-rules.js)
+    quantityRules: getQuantityRules(product, variationData),
+    onSale,
+    boxCoverage,
+    stockStatus,
+    stockQuantity,
+    stockVariationId,
+    taxClass,
+    taxStatus,
+    itemWeight,
+    itemShippingClassId,
+    itemShippingClass,
+  };
+};
+
+/**
+ * Resolve a line before it's added to a cart (product, price, stock, item key)
+ * Throws if the product can't be added at all.
+ */
+const prepareCartLine = async (
+  { productId, quantity = 1, sqm = 0, variation = [], variationId = null, layPattern = null },
+  cartToken
+) => {
+  const resolved = await resolveCartProduct(productId, variationId);
+  const { product, variation: variationData, stockVariationId, stockQuantity } = resolved;
+
+  if (product.status !== "publish") throw new Error("Product is not available");
+  // Note: Parent stock status might be "instock" even if a specific variation is out.
+  // We should check specific variation stock later if needed.
+  if (product.stock_status === "outofstock") throw new Error("Product is out of stock");
+
+  // Report stock other shoppers haven't reserved in checkout
+  const availableStock = await getAvailableStock(productId, stockVariationId, stockQuantity, cartToken);
+  const stockSource = stockVariationId ? variationData : product;
+
+  return {
+    ...resolved,
+    quantity,
+    sqm: sqm || 0,
+    variation: variation || [],
+    variationId,
+    layPattern,
+    availableStock,
+    backordersAllowed: Boolean(stockSource.backorders) && stockSource.backorders !== "no",
+    // IMPORTANT: We pass variationId here so "60x60" is treated differently than "30x30"
+    itemKey: generateItemKey(productId, variationId, variation),
+  };
+};
+
+/**
+ * The first of an item's quantity rules its current quantity and area break
+ * @returns {{ code: string, message: string }|null} null if allowed
+ */
+const brokenQuantityRule = (item) =>
+  checkQuantityRules(item.quantityRules, {
+    quantity: item.quantity,
+    // Box-sold tiles are rounded to whole boxes, so only the box count is checked
+    sqm: item.coveragePerBox ? 0 : item.sqm,
+  });
+
+/**
+ * Enforce an item's quantity rules on its current quantity and area
+ * @throws 400 error with a machine-readable `code` (see utils/quantity-rules.js)
+ */
+const assertQuantityRules = (item) => {
+  const broken = brokenQuantityRule(item);
+  if (!broken) return;
+
+  const error = new Error(broken.message);
+  error.status = 400;
+  error.code = broken.code;
+  error.quantityRules = item.quantityRules;
+  throw error;
+};
+
+/**
+ * Check an item's quantity against the stock its line found available
+ * (WooCommerce stock minus other shoppers' checkout holds)
+ * @throws 400 error if there isn't enough
+ */
+const assertAvailableStock = (item, line) => {
+  if (line.backordersAllowed || line.availableStock === null || item.quantity <= line.availableStock) {
+    return;
+  }
+
+  const error = new Error(line.availableStock === 0
+    ? "Product is out of stock"
+    : `Only ${line.availableStock} available`);
+  error.status = 400;
+  throw error;
+};
 
-  // 3. Generate Key
-  // IMPORTANT: We pass finalVariationId here so "60x60" is treated differently than "30x30"
-  const itemKey = generateItemKey(productId, finalVariationId, variation);
+/**
+ * Add a prepared line to the cart (mutates the cart, totals not recalculated)
+ * @returns {Object} The cart item that was added or increased
+ */
+const applyCartLine = (cart, line) => {
+  const {
+    product,
+    price,
+    productImage,
+    variationName,
+    isSample,
+    onSale,
+    boxCoverage,
+    stockStatus,
+    taxClass,
+    taxStatus,
+    volumeTiers,
+    quantityRules,
+    itemWeight,
+    itemShippingClassId,
+    itemShippingClass,
+    quantity,
+    sqm,
+    variation,
+    variationId,
+    layPattern,
+    availableStock,
+    itemKey,
+  } = line;
 
   const existingItemIndex = cart.items.findIndex((item) => item.key === itemKey);
 
-  // 3A. Validate free sample quantity limit (per product, not total)
-  // Free samples are items with price = 0 - each product can have max 4
-  if (price === 0) {
+  // Free samples are limited per product and per cart
+  if (isSample && price === 0) {
     const existingItemQty = existingItemIndex > -1 ? cart.items[existingItemIndex].quantity : 0;
-    const newItemQty = existingItemQty + quantity;
+    assertSampleLimits(cart, itemKey, existingItemQty + quantity);
+  }
+
+  if (existingItemIndex > -1) {
+    // UPDATE EXISTING ITEM
+    const existingItem = cart.items[existingItemIndex];
+    existingItem.quantityRules = quantityRules;
 
-    if (newItemQty > FREE_SAMPLE_MAX_QTY_PER_PRODUCT) {
-      const remaining = FREE_SAMPLE_MAX_QTY_PER_PRODUCT - existingItemQty;
-      throw new Error(`Maximum ${FREE_SAMPLE_MAX_QTY_PER_PRODUCT} free samples of this product allowed. You can add ${remaining > 0 ? remaining : 0} more.`);
+    if (existingItem.coveragePerBox && sqm > 0) {
+      // Box-sold tiles: add to the requested area, boxes are re-rounded below
+      existingItem.requestedSqm = Number(((existingItem.requestedSqm || 0) + sqm).toFixed(2));
+      if (layPattern) setLayPattern(existingItem, layPattern);
+    } else {
+      existingItem.quantity += quantity;
+
+      // Update SQM
+      const currentSqm = existingItem.sqm || 0;
+      const newSqmTotal = currentSqm + sqm;
+      existingItem.sqm = Number(newSqmTotal.toFixed(2));
     }
+
+    // Recalculate Total
+    recalculateItem(existingItem);
+    return existingItem;
   }
 
-  // 4. Helper to calculate total based on SQM or Quantity
-  const calculateItemTotal = (p, q, s) => {
-    // If SQM is > 0, use it. Otherwise use Quantity.
-    const multiplier = s > 0 ? s : q;
-    return (multiplier * p).toFixed(2);
+  // ADD NEW ITEM
+  const newItem = {
+    key: itemKey,
+    productId: product.id,
+    name: product.name,
+    slug: product.slug,
+    sku: product.sku || "", // You could update this with variation SKU if available
+    quantity,
+    sqm,
+    price: convertPrice(price, cart.currency || BASE_CURRENCY).toFixed(2),
+    basePrice: price.toFixed(2), // Store currency (GBP) price, for currency changes
+    lineTotal: "0.00",
+    image: productImage,
+    variation,
+    variationId, // Store the ID for reference
+    variationName, // e.g., "Free Sample (100x100)" or "Full Size Sample"
+    isSample, // true for sample variations (free or full size)
+    stockStatus,
+    stockQuantity: availableStock,
+    permalink: product.permalink,
+    // Coupon restriction fields
+    categoryIds: (product.categories || []).map((category) => category.id),
+    onSale,
+    // VAT - WooCommerce tax class ("standard", "zero-rate"...) and status
+    taxClass,
+    taxStatus,
+    // Volume price breaks by sqm ([{ minSqm, discountPercent }] or null)
+    volumeTiers,
+    // { minQuantity, maxQuantity, quantityStep, sqmStep } or null
+    quantityRules,
+    // Shipping-related fields for accurate shipping calculation
+    weight: itemWeight,
+    shippingClassId: itemShippingClassId,
+    shippingClass: itemShippingClass,
   };
 
-  if (existingItemIndex > -1) {
-    // UPDATE EXISTING ITEM
-    cart.items[existingItemIndex].quantity += quantity;
-    
-    // Update SQM
-    const currentSqm = cart.items[existingItemIndex].sqm || 0;
-    const newSqmTotal = currentSqm + sqm;
-    cart.items[existingItemIndex].sqm = Number(newSqmTotal.toFixed(2));
+  // Tiles sold in whole boxes - weight is per box, quantity becomes the box count
+  if (boxCoverage && sqm > 0) {
+    newItem.requestedSqm = sqm;
+    newItem.coveragePerBox = boxCoverage.coveragePerBox;
+    newItem.piecesPerBox = boxCoverage.piecesPerBox;
+    setLayPattern(newItem, layPattern);
+  }
 
-    // Recalculate Total
-    cart.items[existingItemIndex].lineTotal = calculateItemTotal(
-      cart.items[existingItemIndex].price,
-      cart.items[existingItemIndex].quantity,
-      cart.items[existingItemIndex].sqm
-    );
-  } else {
-    // ADD NEW ITEM
-    const newItem = {
-      key: itemKey,
-      productId: product.id,
-      name: product.name,
-      slug: product.slug,
-      sku: product.sku || "", // You could update this with variation SKU if available
-      quantity,
-      sqm: sqm || 0,
-      price: price.toFixed(2),
-      lineTotal: calculateItemTotal(price, quantity, sqm || 0),
-      image: productImage,
-      variation: variation || [],
-      variationId: finalVariationId, // Store the ID for reference
-      variationName, // e.g., "Free Sample (100x100)" or "Full Size Sample"
-      isSample, // true for sample variations (free or full size)
-      stockStatus: product.stock_status,
-      stockQuantity: product.stock_quantity,
-      permalink: product.permalink,
-      // Shipping-related fields for accurate shipping calculation
-      weight: itemWeight,
-      shippingClassId: itemShippingClassId,
-      shippingClass: itemShippingClass,
-    };
-    cart.items.push(newItem);
+  recalculateItem(newItem);
+  cart.items.push(newItem);
+  return newItem;
+};
+
+/**
+ * Add item to cart
+ * @param {Object} [options]
+ * @param {string} [options.layPattern] - "straight" / "herringbone" adds a wastage allowance for box-sold tiles
+ */
+export const addToCart = async (
+  productId, 
+  quantity = 1, 
+  sqm = 0, 
+  variation = [], 
+  cartToken = null, 
+  variationId = null,
+  options = {}
+) => {
+  const { layPattern = null } = options;
+
+  const line = await prepareCartLine(
+    { productId, quantity, sqm, variation, variationId, layPattern },
+    cartToken
+  );
+
+  // Prices are converted into the cart's currency
+  await loadExchangeRates();
+  const samplesUsed = line.isSample ? await loadSamplesUsed(cartToken) : null;
+
+  // Apply the change atomically - the cart is locked while we read, modify and save it
+  const cart = await updateCart(cartToken || generateCartToken(), (cart) => {
+    if (samplesUsed !== null) cart.samplesUsed = samplesUsed;
+    const item = applyCartLine(cart, line);
+    assertQuantityRules(item);
+    assertAvailableStock(item, line);
+    calculateTotals(cart);
+  }, createEmptyCart);
+
+  return {
+    cart: formatCartResponse(cart),
+    cartToken: cart.cartToken,
+    cartHash: generateCartHash(cart),
+  };
+};
+
+/**
+ * Add several lines to the cart in one go (e.g. tiles + adhesive + grout)
+ * Every line is checked - product, free-sample limits and stock, counting what's
+ * already in the cart - and either all of them are added or none are.
+ *
+ * @param {Array<Object>} lines - [{ productId, variationId?, variation?, quantity?, sqm?, layPattern? }]
+ * @param {string|null} cartToken - Cart session token (null = new cart)
+ * @returns {Promise<Object>} { cart, cartToken, cartHash }
+ * @throws 400 error with `errors` - [{ index, productId, variationId, message, code }] - if any line fails
+ */
+export const addToCartBulk = async (lines, cartToken = null) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    const error = new Error("At least one item is required");
+    error.status = 400;
+    throw error;
   }
 
-  // 5. Finalize
-  calculateTotals(cart);
-  cartStorage.set(cart.cartToken, cart);
+  if (lines.length > MAX_BULK_LINES) {
+    const error = new Error(`You can add up to ${MAX_BULK_LINES} items at once`);
+    error.status = 400;
+    throw error;
+  }
+
+  const errors = [];
+  const lineError = (index, message, code = null) => ({
+    index,
+    productId: lines[index]?.productId ?? null,
+    variationId: lines[index]?.variationId || null,
+    message,
+    code,
+  });
+  const rejectIfErrors = () => {
+    if (errors.length === 0) return;
+
+    const error = new Error("Some items could not be added. Nothing was added to your cart.");
+    error.status = 400;
+    error.errors = errors.sort((a, b) => a.index - b.index);
+    throw error;
+  };
+
+  // 1. Check the request itself
+  lines.forEach((line, index) => {
+    const quantity = line?.quantity ?? 1;
+    const sqm = line?.sqm ?? 0;
+
+    if (!line?.productId) {
+      errors.push(lineError(index, "Product ID is required"));
+    } else if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(lineError(index, "Quantity must be a whole number of at least 1"));
+    } else if (typeof sqm !== "number" || sqm < 0) {
+      errors.push(lineError(index, "Area (sqm) must be a positive number"));
+    } else if (line.layPattern && !isValidLayPattern(line.layPattern)) {
+      errors.push(lineError(index, "Invalid lay pattern"));
+    }
+  });
+  rejectIfErrors();
+
+  // 2. Resolve every product/variation (same rules as a single add)
+  const prepared = await Promise.all(
+    lines.map(async (line, index) => {
+      try {
+        return await prepareCartLine(
+          {
+            productId: line.productId,
+            quantity: line.quantity ?? 1,
+            sqm: line.sqm ?? 0,
+            variation: line.variation || [],
+            variationId: line.variationId || null,
+            layPattern: line.layPattern || null,
+          },
+          cartToken
+        );
+      } catch (error) {
+        errors.push(lineError(index, error.message));
+        return null;
+      }
+    })
+  );
+  rejectIfErrors();
+
+  await loadExchangeRates();
+  const samplesUsed = prepared.some((line) => line.isSample) ? await loadSamplesUsed(cartToken) : null;
+
+  // 3. Apply them all under one lock - throwing here means nothing is saved
+  const cart = await updateCart(cartToken || generateCartToken(), (cart) => {
+    const lastLineForKey = new Map();
+    if (samplesUsed !== null) cart.samplesUsed = samplesUsed;
+
+    prepared.forEach((line, index) => {
+      try {
+        applyCartLine(cart, line);
+        lastLineForKey.set(line.itemKey, index);
+      } catch (error) {
+        errors.push(lineError(index, error.message, error.code));
+      }
+    });
+
+    // Quantity rules and stock are checked on the item's final quantity (cart + every line for it)
+    for (const [key, index] of lastLineForKey) {
+      const line = prepared[index];
+      const item = cart.items.find((i) => i.key === key);
+
+      try {
+        assertQuantityRules(item);
+        assertAvailableStock(item, line);
+      } catch (error) {
+        errors.push(lineError(index, error.message, error.code));
+      }
+    }
+
+    rejectIfErrors();
+    calculateTotals(cart);
+  }, createEmptyCart);
 
   return {
     cart: formatCartResponse(cart),
@@ -325,41 +745,54 @@ export const addToCart = async (
 
 /**
  * Update cart item quantity
+ * For box-sold tiles `quantity` is the number of boxes; `sqm` (if given) is the
+ * area to cover and is rounded up to whole boxes
+ * @param {Object} [options]
+ * @param {string} [options.layPattern] - Change the laying pattern / wastage allowance
+ * @param {string} [options.expectedHash] - If-Match cart hash (409 if the cart has changed)
  */
-export const updateCartItem = async (itemKey, quantity, sqm, cartToken) => {
+export const updateCartItem = async (itemKey, quantity, sqm, cartToken, options = {}) => {
   if (!cartToken) throw new Error("Cart session required");
-  
-  const cart = cartStorage.get(cartToken);
-  if (!cart) throw new Error("Cart not found");
 
-  const itemIndex = cart.items.findIndex((item) => item.key === itemKey);
-  if (itemIndex === -1) throw new Error("Item not found in cart");
+  const cart = await updateCart(cartToken, (cart) => {
+    assertCartHash(cart, options.expectedHash);
 
-  if (quantity <= 0) {
-    cart.items.splice(itemIndex, 1);
-  } else {
-    const currentItem = cart.items[itemIndex];
+    const itemIndex = cart.items.findIndex((item) => item.key === itemKey);
+    if (itemIndex === -1) throw new Error("Item not found in cart");
 
-    // Validate free sample quantity limit when increasing quantity (per product limit)
-    const itemPrice = parseFloat(currentItem.price || 0);
-    if (itemPrice === 0 && quantity > FREE_SAMPLE_MAX_QTY_PER_PRODUCT) {
-      throw new Error(`Maximum ${FREE_SAMPLE_MAX_QTY_PER_PRODUCT} free samples of this product allowed.`);
-    }
+    if (quantity <= 0) {
+      cart.items.splice(itemIndex, 1);
+    } else {
+      const currentItem = cart.items[itemIndex];
 
-    // Update values
-    cart.items[itemIndex].quantity = quantity;
-    if (sqm !== undefined) {
-      cart.items[itemIndex].sqm = Number(sqm); // ✅ Update SQM
-    }
+      // Free samples are limited per product
+      if (isFreeSample(currentItem)) {
+        assertSampleLimits(cart, currentItem.key, quantity);
+      }
 
-    // Recalculate Line Total
-    const item = cart.items[itemIndex];
-    const multiplier = item.sqm > 0 ? item.sqm : item.quantity; // ✅ Use SQM if tile
-    item.lineTotal = (multiplier * parseFloat(item.price)).toFixed(2);
-  }
+      // Update values
+      const item = cart.items[itemIndex];
+      item.quantity = quantity;
+      if (sqm !== undefined) {
+        item.sqm = Number(sqm); // ✅ Update SQM
+      }
 
-  calculateTotals(cart);
-  cartStorage.set(cartToken, cart);
+      if (item.coveragePerBox) {
+        if (options.layPattern !== undefined) setLayPattern(item, options.layPattern);
+
+        // Box count changed directly - work back to the area those boxes cover
+        item.requestedSqm = sqm !== undefined
+          ? Number(sqm)
+          : (quantity * item.coveragePerBox) / (1 + (item.wastagePercent || 0) / 100);
+      }
+
+      // Recalculate Line Total (uses SQM if tile)
+      recalculateItem(item);
+      assertQuantityRules(item);
+    }
+
+    calculateTotals(cart);
+  });
 
   return {
     cart: formatCartResponse(cart),
@@ -370,29 +803,27 @@ export const updateCartItem = async (itemKey, quantity, sqm, cartToken) => {
 
 /**
  * Remove item from cart
+ * @param {Object} [options]
+ * @param {string} [options.expectedHash] - If-Match cart hash (409 if the cart has changed)
  */
-export const removeFromCart = async (itemKey, cartToken) => {
+export const removeFromCart = async (itemKey, cartToken, options = {}) => {
   if (!cartToken) {
     throw new Error("Cart session required");
   }
 
-  const cart = cartStorage.get(cartToken);
-  if (!cart) {
-    throw new Error("Cart not found");
-  }
-
-  const itemIndex = cart.items.findIndex((item) => item.key === itemKey);
-  if (itemIndex === -1) {
-    throw new Error("Item not found in cart");
-  }
+  const cart = await updateCart(cartToken, (cart) => {
+    assertCartHash(cart, options.expectedHash);
 
-  cart.items.splice(itemIndex, 1);
+    const itemIndex = cart.items.findIndex((item) => item.key === itemKey);
+    if (itemIndex === -1) {
+      throw new Error("Item not found in cart");
+    }
 
-  // Recalculate totals
-  calculateTotals(cart);
+    cart.items.splice(itemIndex, 1);
 
-  // Save to storage
-  cartStorage.set(cartToken, cart);
+    // Recalculate totals
+    calculateTotals(cart);
+  });
 
   return {
     cart: formatCartResponse(cart),
@@ -403,25 +834,26 @@ export const removeFromCart = async (itemKey, cartToken) => {
 
 /**
  * Clear entire cart
+ * @param {Object} [options]
+ * @param {string} [options.expectedHash] - If-Match cart hash (409 if the cart has changed)
  */
-export const clearCart = async (cartToken) => {
+export const clearCart = async (cartToken, options = {}) => {
   if (!cartToken) {
     throw new Error("Cart session required");
   }
 
-  const cart = cartStorage.get(cartToken);
-  if (!cart) {
-    throw new Error("Cart not found");
-  }
+  const cart = await updateCart(cartToken, (cart) => {
+    assertCartHash(cart, options.expectedHash);
 
-  cart.items = [];
-  cart.coupons = [];
+    cart.items = [];
+    cart.coupons = [];
 
-  // Recalculate totals
-  calculateTotals(cart);
+    // Recalculate totals
+    calculateTotals(cart);
+  });
 
-  // Save to storage
-  cartStorage.set(cartToken, cart);
+  // Only once the cart has actually been emptied
+  await releaseCartReservation(cartToken);
 
   return {
     cart: formatCartResponse(cart),
@@ -430,94 +862,212 @@ export const clearCart = async (cartToken) => {
   };
 };
 
+/**
+ * Check whether a coupon code is already on the cart
+ */
+const hasCoupon = (cart, couponCode) => {
+  return cart.coupons.some((c) => c.code.toLowerCase() === couponCode.toLowerCase());
+};
+
 /**
  * Apply coupon to cart
+ * The coupon is checked against all WooCommerce restrictions before it's added
+ * @param {Object} [options]
+ * @param {string} [options.expectedHash] - If-Match cart hash (409 if the cart has changed)
  */
-export const applyCoupon = async (couponCode, cartToken) => {
+export const applyCoupon = async (couponCode, cartToken, options = {}) => {
   if (!cartToken) {
     throw new Error("Cart session required");
   }
 
-  const cart = cartStorage.get(cartToken);
-  if (!cart) {
+  const existingCart = await loadCart(cartToken);
+  if (!existingCart) {
     throw new Error("Cart not found");
   }
 
+  // Fail fast before calling WooCommerce (re-checked under the lock below)
+  assertCartHash(existingCart, options.expectedHash);
+
   // Check if coupon already applied
-  if (cart.coupons.some((c) => c.code.toLowerCase() === couponCode.toLowerCase())) {
-    throw new Error("Coupon already applied");
+  if (hasCoupon(existingCart, couponCode)) {
+    throw couponError("Coupon already applied", "coupon_already_applied");
   }
 
-  // Validate coupon with WooCommerce
+  // Fetch coupon from WooCommerce
+  let wcCoupon;
   try {
-    const { data: coupons } = await wcApi.get("coupons", { code: couponCode });
+    wcCoupon = await fetchCouponByCode(couponCode);
+  } catch (error) {
+    console.error(`Failed to fetch coupon ${couponCode}:`, error.message);
+    throw new Error("Failed to validate coupon");
+  }
+
+  if (!wcCoupon) {
+    throw couponError("Invalid coupon code", "coupon_invalid");
+  }
+
+  const coupon = toCartCoupon(wcCoupon);
+
+  const cart = await updateCart(cartToken, (cart) => {
+    assertCartHash(cart, options.expectedHash);
 
-    if (!coupons || coupons.length === 0) {
-      throw new Error("Invalid coupon code");
+    // Another request may have applied it while we were validating
+    if (hasCoupon(cart, coupon.code)) {
+      throw couponError("Coupon already applied", "coupon_already_applied");
     }
 
-    const coupon = coupons[0];
+    assertCouponApplicable(coupon, cart, getCouponContext(cart));
 
-    // Check if coupon is valid
-    if (coupon.date_expires && new Date(coupon.date_expires) < new Date()) {
-      throw new Error("Coupon has expired");
+    // Individual use coupons replace any other coupons (same as WooCommerce)
+    if (coupon.individualUse) {
+      cart.coupons = [];
     }
 
-    // Add coupon to cart
-    cart.coupons.push({
-      code: coupon.code,
-      discountType: coupon.discount_type,
-      amount: parseFloat(coupon.amount),
-      description: coupon.description,
-    });
+    cart.coupons.push(coupon);
 
     // Recalculate totals
     calculateTotals(cart);
+  });
 
-    // Save to storage
-    cartStorage.set(cartToken, cart);
-
-    return {
-      cart: formatCartResponse(cart),
-      cartToken: cart.cartToken,
-      cartHash: generateCartHash(cart),
-    };
-  } catch (error) {
-    if (error.message.includes("Invalid") || error.message.includes("expired")) {
-      throw error;
-    }
-    throw new Error("Failed to validate coupon");
-  }
+  return {
+    cart: formatCartResponse(cart),
+    cartToken: cart.cartToken,
+    cartHash: generateCartHash(cart),
+  };
 };
 
 /**
  * Remove coupon from cart
+ * @param {Object} [options]
+ * @param {string} [options.expectedHash] - If-Match cart hash (409 if the cart has changed)
  */
-export const removeCoupon = async (couponCode, cartToken) => {
+export const removeCoupon = async (couponCode, cartToken, options = {}) => {
   if (!cartToken) {
     throw new Error("Cart session required");
   }
 
-  const cart = cartStorage.get(cartToken);
-  if (!cart) {
-    throw new Error("Cart not found");
-  }
+  const cart = await updateCart(cartToken, (cart) => {
+    assertCartHash(cart, options.expectedHash);
 
-  const couponIndex = cart.coupons.findIndex(
-    (c) => c.code.toLowerCase() === couponCode.toLowerCase()
-  );
+    const couponIndex = cart.coupons.findIndex(
+      (c) => c.code.toLowerCase() === couponCode.toLowerCase()
+    );
+
+    if (couponIndex === -1) {
+      throw new Error("Coupon not found in cart");
+    }
+
+    cart.coupons.splice(couponIndex, 1);
+
+    // Recalculate totals
+    calculateTotals(cart);
+  });
+
+  return {
+    cart: formatCartResponse(cart),
+    cartToken: cart.cartToken,
+    cartHash: generateCartHash(cart),
+  };
+};
+
+/**
+ * Record the shopper's email on the cart
+ * Known once they log in or type their billing email at checkout; used for
+ * email-restricted coupons, the free sample allowance and abandoned cart
+ * recovery emails.
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Object} contact
+ * @param {string} contact.email - Customer email
+ * @param {string} [contact.firstName] - Used to personalise recovery emails
+ */
+export const setCartContact = async (cartToken, { email, firstName } = {}) => {
+  if (!cartToken || !email) return null;
 
-  if (couponIndex === -1) {
-    throw new Error("Coupon not found in cart");
+  const current = await loadCart(cartToken);
+  const customerEmail = String(email).trim().toLowerCase();
+  const samplesUsed = await getSampleUsage({ customerId: current?.customerId, email: customerEmail });
+
+  const cart = await updateCart(cartToken, (cart) => {
+    cart.customerEmail = customerEmail;
+    if (firstName) cart.customerFirstName = firstName;
+
+    // Email-restricted coupons and the free sample allowance may change
+    cart.samplesUsed = samplesUsed;
+    calculateTotals(cart);
+  });
+
+  return {
+    cart: formatCartResponse(cart),
+    cartToken: cart.cartToken,
+    cartHash: generateCartHash(cart),
+  };
+};
+
+/**
+ * Set the addresses VAT is calculated for
+ * Until one is given the cart is taxed at the store's base location. Deliveries
+ * outside the UK (and NI postcodes with their own rates) change the tax.
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Object} addresses
+ * @param {Object} [addresses.shipping] - { country, state, postcode, city }
+ * @param {Object} [addresses.billing] - { country, state, postcode, city }
+ */
+export const setCartTaxAddress = async (cartToken, { shipping = null, billing = null } = {}) => {
+  if (!cartToken) {
+    throw new Error("Cart session required");
   }
 
-  cart.coupons.splice(couponIndex, 1);
+  const pick = (address) =>
+    address?.country
+      ? {
+          country: String(address.country).toUpperCase(),
+          state: address.state || "",
+          postcode: address.postcode || "",
+          city: address.city || "",
+        }
+      : null;
 
-  // Recalculate totals
-  calculateTotals(cart);
+  const cart = await updateCart(cartToken, (cart) => {
+    cart.taxAddresses = { shipping: pick(shipping), billing: pick(billing) };
+    calculateTotals(cart);
+  });
 
-  // Save to storage
-  cartStorage.set(cartToken, cart);
+  return {
+    cart: formatCartResponse(cart),
+    cartToken: cart.cartToken,
+    cartHash: generateCartHash(cart),
+  };
+};
+
+/**
+ * Switch the cart to another currency
+ * Every item is repriced from its store-currency price. Quoted carts keep the
+ * currency they were quoted in.
+ *
+ * @param {string|null} cartToken - Cart session token (null = new cart)
+ * @param {string} currency - Currency code (e.g. "EUR")
+ */
+export const setCartCurrency = async (cartToken, currency) => {
+  const code = assertCurrency(currency);
+  await loadExchangeRates();
+
+  const cart = await updateCart(
+    cartToken || generateCartToken(),
+    (cart) => {
+      if (cart.quote && (cart.currency || BASE_CURRENCY) !== code) {
+        const error = new Error("A quoted cart can't change currency");
+        error.status = 409;
+        throw error;
+      }
+
+      cart.currency = code;
+      repriceItems(cart);
+      calculateTotals(cart);
+    },
+    (token) => createEmptyCart(token, code)
+  );
 
   return {
     cart: formatCartResponse(cart),
@@ -534,7 +1084,7 @@ export const getCartTotals = async (cartToken) => {
     throw new Error("Cart session required");
   }
 
-  const cart = cartStorage.get(cartToken);
+  const cart = await loadCart(cartToken);
   if (!cart) {
     throw new Error("Cart not found");
   }
@@ -542,7 +1092,209 @@ export const getCartTotals = async (cartToken) => {
   return {
     itemsCount: cart.itemsCount,
     totals: cart.totals,
-    coupons: cart.coupons,
+    coupons: cart.coupons.map(formatCartCoupon),
+  };
+};
+
+/**
+ * Fetch the live state of a cart line
+ * Deleted and unpublished products come back as { unavailable: true }
+ */
+const resolveCartLine = async (item, cartToken) => {
+  let resolved;
+
+  try {
+    resolved = await resolveCartProduct(item.productId, item.variationId);
+  } catch (error) {
+    if (error.status === 404) return { unavailable: true };
+    throw new Error("Failed to validate cart");
+  }
+
+  const { product, variation, variationError } = resolved;
+
+  if (variationError) {
+    if (variationError.response?.status === 404) return { unavailable: true };
+    throw new Error("Failed to validate cart");
+  }
+
+  if (product.status !== "publish" || (variation?.status && variation.status !== "publish")) {
+    return { unavailable: true };
+  }
+
+  const stockSource = resolved.stockVariationId ? variation : product;
+  const backordersAllowed = Boolean(stockSource.backorders) && stockSource.backorders !== "no";
+  const availableStock = await getAvailableStock(
+    item.productId,
+    resolved.stockVariationId,
+    resolved.stockQuantity,
+    cartToken
+  );
+
+  return {
+    unavailable: false,
+    price: resolved.price,
+    onSale: resolved.onSale,
+    taxClass: resolved.taxClass,
+    taxStatus: resolved.taxStatus,
+    isSample: resolved.isSample,
+    volumeTiers: resolved.volumeTiers,
+    quantityRules: resolved.quantityRules,
+    stockStatus: resolved.stockStatus,
+    availableStock,
+    outOfStock:
+      resolved.stockStatus === "outofstock" || (availableStock === 0 && !backordersAllowed),
+    insufficientStock:
+      !backordersAllowed && availableStock !== null && item.quantity > availableStock,
+  };
+};
+
+/**
+ * Revalidate the cart against WooCommerce before checkout
+ * Every line is repriced, deleted/unpublished products are removed and
+ * out-of-stock lines are flagged (left in the cart for the shopper to deal with).
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Object} [contact] - { email } the order will be placed with, for the free sample allowance
+ * @returns {Promise<Object>} Cart plus `valid` and `changes` - one entry per
+ *   problem: { key, productId, variationId, name, reason, removed, ... }
+ *   reason is "price_changed" (oldPrice/newPrice, oldLineTotal/newLineTotal),
+ *   "sample_charge_changed" (oldLineTotal/newLineTotal), "unavailable",
+ *   "out_of_stock", "insufficient_stock" (availableQuantity) or
+ *   "quantity_not_allowed" (code/message - see utils/quantity-rules.js)
+ */
+export const validateCart = async (cartToken, contact = {}) => {
+  if (!cartToken) {
+    throw new Error("Cart session required");
+  }
+
+  const current = await loadCart(cartToken);
+  if (!current) {
+    throw new Error("Cart not found");
+  }
+
+  // Fetch live product data before taking the lock
+  await loadExchangeRates();
+  const samplesUsed = await getSampleUsage({
+    ...getCouponContext(current),
+    ...(contact.email && { email: String(contact.email).trim().toLowerCase() }),
+  });
+  const lines = new Map();
+  await Promise.all(
+    current.items.map(async (item) => {
+      lines.set(item.key, await resolveCartLine(item, cartToken));
+    })
+  );
+
+  const changes = [];
+
+  const cart = await updateCart(cartToken, (cart) => {
+    const sampleLineTotals = new Map(
+      cart.items.filter(isFreeSample).map((item) => [item.key, item.lineTotal])
+    );
+
+    cart.items = cart.items.filter((item) => {
+      const line = lines.get(item.key);
+
+      // Added since we looked - it was priced when it was added
+      if (!line) return true;
+
+      const change = {
+        key: item.key,
+        productId: item.productId,
+        variationId: item.variationId || null,
+        name: item.variationName ? `${item.name} - ${item.variationName}` : item.name,
+      };
+
+      if (line.unavailable) {
+        changes.push({ ...change, reason: "unavailable", removed: true });
+        return false;
+      }
+
+      item.onSale = line.onSale;
+      item.taxClass = line.taxClass;
+      item.taxStatus = line.taxStatus;
+      item.isSample = line.isSample;
+      item.quantityRules = line.quantityRules;
+      item.stockStatus = line.stockStatus;
+      item.stockQuantity = line.availableStock;
+
+      item.basePrice = line.price.toFixed(2);
+
+      const newPrice = convertPrice(line.price, cart.currency || BASE_CURRENCY).toFixed(2);
+      const tiersChanged = JSON.stringify(line.volumeTiers) !== JSON.stringify(item.volumeTiers ?? null);
+      if (newPrice !== item.price || tiersChanged) {
+        const oldPrice = item.price;
+        const oldLineTotal = item.lineTotal;
+
+        item.price = newPrice;
+        item.volumeTiers = line.volumeTiers;
+        recalculateItem(item);
+
+        // New tiers the line doesn't reach don't change what the shopper pays
+        if (newPrice !== oldPrice || item.lineTotal !== oldLineTotal) {
+          changes.push({
+            ...change,
+            reason: "price_changed",
+            removed: false,
+            oldPrice,
+            newPrice,
+            oldLineTotal,
+            newLineTotal: item.lineTotal,
+          });
+        }
+      }
+
+      if (line.outOfStock) {
+        changes.push({ ...change, reason: "out_of_stock", removed: false, availableQuantity: 0 });
+      } else if (line.insufficientStock) {
+        changes.push({
+          ...change,
+          reason: "insufficient_stock",
+          removed: false,
+          availableQuantity: line.availableStock,
+        });
+      }
+
+      // The product's quantity rules may have changed since it was added
+      const broken = brokenQuantityRule(item);
+      if (broken) {
+        changes.push({ ...change, reason: "quantity_not_allowed", removed: false, ...broken });
+      }
+
+      return true;
+    });
+
+    // The shopper may have used up their free sample allowance since adding these
+    cart.samplesUsed = samplesUsed;
+    calculateTotals(cart);
+
+    for (const item of cart.items.filter(isFreeSample)) {
+      const oldLineTotal = sampleLineTotals.get(item.key);
+      if (oldLineTotal === undefined || oldLineTotal === item.lineTotal) continue;
+
+      changes.push({
+        key: item.key,
+        productId: item.productId,
+        variationId: item.variationId || null,
+        name: item.variationName ? `${item.name} - ${item.variationName}` : item.name,
+        reason: "sample_charge_changed",
+        removed: false,
+        oldLineTotal,
+        newLineTotal: item.lineTotal,
+      });
+    }
+  });
+
+  if (changes.length > 0) {
+    console.log(`[Cart] Validation found ${changes.length} change(s) in cart ${cartToken}`);
+  }
+
+  return {
+    cart: formatCartResponse(cart),
+    cartToken: cart.cartToken,
+    cartHash: generateCartHash(cart),
+    valid: changes.length === 0,
+    changes,
   };
 };
 
@@ -552,9 +1304,10 @@ export const getCartTotals = async (cartToken) => {
 const formatCartResponse = (cart) => {
   return {
     items: cart.items,
-    coupons: cart.coupons,
+    coupons: cart.coupons.map(formatCartCoupon),
     totals: cart.totals,
     itemsCount: cart.itemsCount,
+    samples: getSampleSummary(cart),
   };
 };
 
@@ -566,7 +1319,7 @@ export const getCartForCheckout = async (cartToken) => {
     throw new Error("Cart session required");
   }
 
-  const cart = cartStorage.get(cartToken);
+  const cart = await loadCart(cartToken);
   if (!cart) {
     throw new Error("Cart not found");
   }
@@ -581,8 +1334,178 @@ export const getCartForCheckout = async (cartToken) => {
 /**
  * Delete cart after successful checkout
  */
-export const deleteCart = (cartToken) => {
+export const deleteCart = async (cartToken) => {
   if (cartToken) {
-    cartStorage.delete(cartToken);
+    await removeCart(cartToken);
+    await releaseCartReservation(cartToken);
   }
 };
+
+
+/**
+ * Merge guest cart items into a customer's cart
+ * Matching item keys have their quantity and sqm summed; free samples stay
+ * within the per-product and per-cart limits. A summed line that breaks the
+ * product's quantity rules keeps the guest line (what the shopper just chose),
+ * or the customer's own if that breaks them too.
+ */
+const mergeCartItems = (customerCart, guestCart) => {
+  for (const guestItem of guestCart.items) {
+    const index = customerCart.items.findIndex((item) => item.key === guestItem.key);
+
+    if (index === -1) {
+      const freeSamples = customerCart.items.filter(isFreeSample).length;
+      if (isFreeSample(guestItem) && freeSamples >= SAMPLE_POLICY.maxDistinctPerCart) continue;
+
+      customerCart.items.push(guestItem);
+      continue;
+    }
+
+    const existing = customerCart.items[index];
+    const merged = {
+      ...existing,
+      quantity: existing.quantity + guestItem.quantity,
+      sqm: Number(((existing.sqm || 0) + (guestItem.sqm || 0)).toFixed(2)),
+    };
+
+    if (existing.coveragePerBox) {
+      merged.requestedSqm = Number(
+        ((existing.requestedSqm || 0) + (guestItem.requestedSqm || guestItem.sqm || 0)).toFixed(2)
+      );
+    }
+
+    if (isFreeSample(merged)) {
+      merged.quantity = Math.min(merged.quantity, SAMPLE_POLICY.maxQuantityPerProduct);
+    }
+
+    recalculateItem(merged);
+
+    if (!brokenQuantityRule(merged)) {
+      customerCart.items[index] = merged;
+    } else if (!brokenQuantityRule(guestItem)) {
+      customerCart.items[index] = guestItem;
+    }
+  }
+
+  for (const coupon of guestCart.coupons) {
+    if (!hasCoupon(customerCart, coupon.code)) {
+      customerCart.coupons.push(coupon);
+    }
+  }
+};
+
+/**
+ * Create a new cart from frozen lines (e.g. an accepted quote)
+ * Prices are kept exactly as given - nothing is re-fetched from WooCommerce.
+ *
+ * @param {Array} items - Cart items
+ * @param {Array} [coupons] - Cart coupons (re-validated by calculateTotals)
+ * @param {Object} [extra] - Extra cart fields (e.g. quote, customerId)
+ * @returns {Promise<Object>} The saved cart
+ */
+export const createCartFromItems = async (items, coupons = [], extra = {}) => {
+  const cart = {
+    ...createEmptyCart(generateCartToken()),
+    ...extra,
+    items: items.map((item) => ({ ...item })),
+    coupons: coupons.map((coupon) => ({ ...coupon })),
+  };
+
+  calculateTotals(cart);
+  return saveCart(cart);
+};
+
+/**
+ * Pick the cart a request works on
+ * Signed-in customers use their saved cart. Until they have one they keep
+ * using the guest cart they sent, unless it belongs to another customer.
+ * Guest carts are only merged in by mergeGuestCart (login, POST /api/cart/merge).
+ *
+ * @param {string|null} guestToken - Cart token the client sent (X-Cart-Token)
+ * @param {number|string|null} customerId - WooCommerce customer ID from the JWT
+ * @returns {Promise<string|null>} Cart token, or null to start a new cart
+ */
+export const resolveCartToken = async (guestToken, customerId) => {
+  if (!customerId) return guestToken;
+
+  const customerToken = await getCustomerCartToken(customerId);
+  if (customerToken || !guestToken) return customerToken;
+
+  const guestCart = await loadCart(guestToken);
+  if (guestCart?.customerId && String(guestCart.customerId) !== String(customerId)) {
+    return null;
+  }
+
+  return guestToken;
+};
+
+/**
+ * Link a guest cart to a logged-in customer
+ *
+ * - Customer has no saved cart: the guest cart becomes the customer's cart
+ * - Customer has a saved cart: guest items are merged into it and the guest cart is deleted
+ * - Neither exists: an empty cart is created and linked to the customer
+ *
+ * Both carts are locked (in token order) while they're merged.
+ *
+ * @param {string|null} guestToken - Cart token the client sent (X-Cart-Token)
+ * @param {number|string} customerId - WooCommerce customer ID from the JWT
+ * @returns {Promise<string|null>} Token of the customer's cart
+ */
+export const mergeGuestCart = async (guestToken, customerId) => {
+  if (!customerId) return guestToken;
+
+  const customerToken = await getCustomerCartToken(customerId);
+  const guestCart = guestToken && guestToken !== customerToken
+    ? await loadCart(guestToken)
+    : null;
+
+  const ownsGuestCart = guestCart
+    && (!guestCart.customerId || String(guestCart.customerId) === String(customerId));
+
+  // Nothing to adopt (or the cart is another customer's) - keep or start the customer's own
+  if (!ownsGuestCart) {
+    if (customerToken) return customerToken;
+
+    const cart = await saveCart({
+      ...createEmptyCart(generateCartToken()),
+      customerId,
+    });
+    return cart.cartToken;
+  }
+
+  // First cart for this customer - adopt the guest cart as-is
+  if (!customerToken) {
+    await updateCart(guestToken, (cart) => {
+      cart.customerId = customerId;
+    });
+    return guestToken;
+  }
+
+  await loadExchangeRates();
+
+  await withCartLocks([customerToken, guestToken], async (lock) => {
+    const customerCart = (await loadCart(customerToken)) || createEmptyCart(customerToken);
+    const latestGuestCart = await loadCart(guestToken);
+
+    if (latestGuestCart) {
+      // Keep the currency the shopper was just browsing in
+      const guestCurrency = latestGuestCart.currency || BASE_CURRENCY;
+      if ((customerCart.currency || BASE_CURRENCY) !== guestCurrency) {
+        customerCart.currency = guestCurrency;
+        repriceItems(customerCart);
+      }
+
+      mergeCartItems(customerCart, latestGuestCart);
+    }
+
+    customerCart.customerId = customerId;
+    calculateTotals(customerCart);
+
+    await lock.assertHeld();
+    await saveCart(customerCart);
+    if (latestGuestCart) await removeCart(guestToken);
+  });
+
+  return customerToken;
+};
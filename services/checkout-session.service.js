@@ -0,0 +1,401 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+import { isValidCartToken } from "./cart-store.service.js";
+
+/**
+ * Checkout Sessions
+ * Where a shopper has got to in checkout, kept in Redis so a refresh, a crash
+ * or another device can pick it up again (GET /api/checkout/session):
+ *
+ *   cart_validated -> addresses -> shipping_selected -> order_created -> payment_pending -> paid / failed
+ *
+ * A step can only be entered from the states listed in TRANSITIONS - anything
+ * else is a 409 carrying the current session. Until the order is placed the
+ * shopper can step back (change the address, pick another rate); after that
+ * only the payment moves on. Validating the cart again starts over from
+ * cart_validated - or, once an order was placed, starts a new session.
+ *
+ * The WooCommerce Store API session token (its Cart-Token header) lives here
+ * too, so shipping and checkout share one WooCommerce cart - the rate picked
+ * while calculating shipping is the rate the order is placed with.
+ *
+ * Keys (cart tokens are checked with isValidCartToken before they're used):
+ *   checkout-session:cart:<cartToken> - JSON session (sliding 7 day TTL)
+ *   checkout-session:order:<orderId>  - cart token of the session that placed the order
+ *   checkout-session:wc:<cartToken>   - WooCommerce Store API session token
+ *   checkout-session:lock:<cartToken> - held while the session changes state
+ */
+
+export const CHECKOUT_SESSION_KEY_PREFIX = "checkout-session:";
+
+export const CHECKOUT_STATES = {
+  CART_VALIDATED: "cart_validated",
+  ADDRESSES: "addresses",
+  SHIPPING_SELECTED: "shipping_selected",
+  ORDER_CREATED: "order_created",
+  PAYMENT_PENDING: "payment_pending",
+  PAID: "paid",
+  FAILED: "failed",
+};
+
+const {
+  CART_VALIDATED,
+  ADDRESSES,
+  SHIPPING_SELECTED,
+  ORDER_CREATED,
+  PAYMENT_PENDING,
+  PAID,
+  FAILED,
+} = CHECKOUT_STATES;
+
+// State -> states it can move to (cart_validated can always be entered - see above)
+const TRANSITIONS = {
+  [CART_VALIDATED]: [ADDRESSES],
+  [ADDRESSES]: [ADDRESSES, SHIPPING_SELECTED],
+  [SHIPPING_SELECTED]: [ADDRESSES, SHIPPING_SELECTED, ORDER_CREATED],
+  [ORDER_CREATED]: [PAYMENT_PENDING, PAID, FAILED],
+  [PAYMENT_PENDING]: [PAYMENT_PENDING, PAID, FAILED],
+  [FAILED]: [PAYMENT_PENDING, PAID, FAILED],
+  [PAID]: [],
+};
+
+// States reached once the order exists
+const ORDER_STATES = [ORDER_CREATED, PAYMENT_PENDING, PAID, FAILED];
+
+const SESSION_TTL = 7 * 24 * 60 * 60; // Refreshed on every change
+const MAX_HISTORY = 50;
+
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_MS = 50;
+const LOCK_WAIT_MS = 5 * 1000;
+
+// Releases the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+const sessionKey = (cartToken) => `${CHECKOUT_SESSION_KEY_PREFIX}cart:${cartToken}`;
+const orderIndexKey = (orderId) => `${CHECKOUT_SESSION_KEY_PREFIX}order:${orderId}`;
+const wcSessionKey = (cartToken) => `${CHECKOUT_SESSION_KEY_PREFIX}wc:${cartToken}`;
+const lockKey = (cartToken) => `${CHECKOUT_SESSION_KEY_PREFIX}lock:${cartToken}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const checkoutSessionError = (message, status, session = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (status === 409) error.code = "checkout_state_conflict";
+  if (session) error.data = { session: formatSession(session) };
+  return error;
+};
+
+const nextStates = (state) => [CART_VALIDATED, ...(TRANSITIONS[state] || [])];
+
+/**
+ * Session for the API - the state, what's been chosen so far and where it can go next
+ */
+const formatSession = (session) => ({
+  id: session.id,
+  state: session.state,
+  nextStates: nextStates(session.state),
+  cart: session.cart,
+  addresses: session.addresses,
+  shipping: session.shipping,
+  order: session.order,
+  payment: session.payment,
+  history: session.history,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+});
+
+const createSession = (cartToken) => {
+  const now = Date.now();
+
+  return {
+    id: crypto.randomBytes(12).toString("hex"),
+    cartToken,
+    state: null,
+    cart: null,
+    addresses: null,
+    shipping: null,
+    order: null,
+    payment: null,
+    history: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+const loadSession = async (cartToken) => {
+  if (!isValidCartToken(cartToken)) return null;
+
+  const raw = await redisClient.get(sessionKey(cartToken));
+  if (!raw) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    // Left in place for inspection - the next save overwrites it
+    console.error(`[CheckoutSession] Corrupt session for ${cartToken}:`, error.message);
+    return null;
+  }
+};
+
+const saveSession = async (session) => {
+  const transaction = redisClient.multi();
+  transaction.set(sessionKey(session.cartToken), JSON.stringify(session), "EX", SESSION_TTL);
+
+  if (session.order?.orderId) {
+    transaction.set(orderIndexKey(session.order.orderId), session.cartToken, "EX", SESSION_TTL);
+  }
+
+  await transaction.exec();
+  return session;
+};
+
+/**
+ * Run a function while holding the session's lock, so two requests can't
+ * both move it on from the same state
+ */
+const withSessionLock = async (cartToken, fn) => {
+  if (!isValidCartToken(cartToken)) {
+    throw checkoutSessionError("Invalid cart token", 400);
+  }
+
+  const key = lockKey(cartToken);
+  const owner = crypto.randomBytes(16).toString("hex");
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (true) {
+    const acquired = await redisClient.set(key, owner, "PX", LOCK_TTL_MS, "NX");
+    if (acquired) break;
+
+    if (Date.now() > deadline) {
+      throw checkoutSessionError("Checkout is being updated, please try again", 409);
+    }
+
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, owner);
+    } catch (error) {
+      console.error(`[CheckoutSession] Failed to release lock for ${cartToken}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Whether a session can move to a state
+ */
+const canEnter = (session, state) =>
+  state === CART_VALIDATED || Boolean(session?.state && TRANSITIONS[session.state].includes(state));
+
+const assertCanEnter = (session, state) => {
+  if (canEnter(session, state)) return;
+
+  const message = session?.state
+    ? `Checkout can't move from ${session.state} to ${state}`
+    : `Checkout hasn't started - validate the cart before ${state}`;
+  throw checkoutSessionError(message, 409, session);
+};
+
+/**
+ * Move a session to a state
+ * @param {string} cartToken - Cart session token
+ * @param {string} state - One of CHECKOUT_STATES
+ * @param {Function} [update] - Receives the session to fill in the step's details
+ *   (may throw to refuse the move)
+ * @returns {Promise<Object>} The formatted session
+ * @throws 409 if the session can't move to the state
+ */
+const transitionSession = (cartToken, state, update = () => {}) =>
+  withSessionLock(cartToken, async () => {
+    let session = await loadSession(cartToken);
+    assertCanEnter(session, state);
+
+    // Validating a new cart after an order was placed is a new checkout
+    if (!session || (state === CART_VALIDATED && ORDER_STATES.includes(session.state))) {
+      session = createSession(cartToken);
+    }
+
+    update(session);
+
+    const now = Date.now();
+    if (session.state !== state) {
+      session.history = [...session.history, { state, at: now }].slice(-MAX_HISTORY);
+      session.state = state;
+    }
+    session.updatedAt = now;
+
+    await saveSession(session);
+    return formatSession(session);
+  });
+
+/**
+ * Get a shopper's checkout session
+ * @param {string} cartToken - Cart session token
+ * @returns {Promise<Object|null>} Session, or null if checkout hasn't started
+ */
+export const getCheckoutSession = async (cartToken) => {
+  const session = await loadSession(cartToken);
+  return session ? formatSession(session) : null;
+};
+
+/**
+ * Check a session could move to a state, before doing the work for it
+ * @throws 409 with the current session if it can't
+ */
+export const assertCheckoutTransition = async (cartToken, state) => {
+  assertCanEnter(await loadSession(cartToken), state);
+};
+
+/**
+ * Start (or keep) a checkout once the cart has been validated
+ * Progress is kept if the cart hasn't changed since it was last validated;
+ * a changed cart goes back to cart_validated (addresses are kept, the
+ * shipping rate has to be picked again).
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Object} validation - From validateCart: { cart, cartHash }
+ */
+export const startCheckoutSession = async (cartToken, { cart, cartHash }) => {
+  const session = await loadSession(cartToken);
+
+  if (session && !ORDER_STATES.includes(session.state) && session.cart?.cartHash === cartHash) {
+    return formatSession(session);
+  }
+
+  return transitionSession(cartToken, CART_VALIDATED, (session) => {
+    session.cart = {
+      cartHash,
+      itemsCount: cart.itemsCount,
+      total: cart.totals.total,
+      currency: cart.totals.currency,
+    };
+    session.shipping = null;
+  });
+};
+
+/**
+ * Record the shopper's addresses
+ * A new shipping address clears the shipping rate - the rates depend on it.
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {Object} addresses - { billingAddress, shippingAddress }
+ */
+export const setCheckoutAddresses = (cartToken, { billingAddress, shippingAddress }) =>
+  transitionSession(cartToken, ADDRESSES, (session) => {
+    const shippingChanged =
+      JSON.stringify(session.addresses?.shipping ?? null) !== JSON.stringify(shippingAddress);
+
+    session.addresses = { billing: billingAddress, shipping: shippingAddress };
+    if (shippingChanged) session.shipping = null;
+  });
+
+/**
+ * Record the shipping rate the shopper picked
+ * @param {string} cartToken - Cart session token
+ * @param {Object} rate - { rateId, title?, cost? }
+ */
+export const selectCheckoutShipping = (cartToken, { rateId, title, cost }) =>
+  transitionSession(cartToken, SHIPPING_SELECTED, (session) => {
+    // Details we already have for the same rate are kept if none are given
+    const previous = session.shipping?.rateId === rateId ? session.shipping : {};
+
+    session.shipping = {
+      rateId,
+      title: title ?? previous.title ?? null,
+      cost: cost ?? previous.cost ?? null,
+    };
+  });
+
+/**
+ * Record the order placed for a checkout
+ * @param {string} cartToken - Cart session token
+ * @param {Object} order - { orderId, orderKey, status, paymentUrl, paymentRequired, totals }
+ */
+export const recordCheckoutOrder = (cartToken, { orderId, orderKey, status, paymentUrl, paymentRequired, totals }) =>
+  transitionSession(cartToken, ORDER_CREATED, (session) => {
+    session.order = { orderId, orderKey, status, paymentUrl, paymentRequired, totals };
+  });
+
+/**
+ * Move the checkout that placed an order on with its payment
+ * Payments are settled by WooCommerce and the providers - the session only
+ * follows them, so this never throws: orders placed without a session are
+ * skipped and refused moves (e.g. a late failure after a success) are logged.
+ *
+ * @param {number|string} orderId - WooCommerce order ID
+ * @param {string} state - payment_pending, paid or failed
+ * @param {Object} [payment] - { provider, status, amount, currency, transactionId, message }
+ * @returns {Promise<Object|null>} The session, or null if it wasn't changed
+ */
+export const recordCheckoutPayment = async (orderId, state, payment = {}) => {
+  try {
+    const cartToken = await redisClient.get(orderIndexKey(orderId));
+    if (!cartToken) return null;
+
+    return await transitionSession(cartToken, state, (session) => {
+      // The cart has moved on to a new checkout since this order
+      if (String(session.order?.orderId) !== String(orderId)) {
+        throw checkoutSessionError(`Checkout session has moved on from order ${orderId}`, 409);
+      }
+
+      session.payment = { ...session.payment, ...payment };
+    });
+  } catch (error) {
+    console.warn(`[CheckoutSession] Order ${orderId} not moved to ${state}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * WooCommerce Store API session token for a cart (sent as its Cart-Token header)
+ * @returns {Promise<string|null>}
+ */
+export const getWcSessionToken = async (cartToken) => {
+  if (!isValidCartToken(cartToken)) return null;
+  return redisClient.get(wcSessionKey(cartToken));
+};
+
+/**
+ * Keep the WooCommerce session token from a Store API response
+ * @param {string} cartToken - Cart session token
+ * @param {Object} response - Axios response from the Store API
+ */
+export const saveWcSessionToken = async (cartToken, response) => {
+  const wcSession = response.headers["x-wc-session"] || response.headers["cart-token"];
+  if (isValidCartToken(cartToken) && wcSession) {
+    await redisClient.set(wcSessionKey(cartToken), wcSession, "EX", SESSION_TTL);
+  }
+};
+
+/**
+ * Forget a cart's WooCommerce session (its order has been placed)
+ */
+export const clearWcSessionToken = async (cartToken) => {
+  if (isValidCartToken(cartToken)) {
+    await redisClient.del(wcSessionKey(cartToken));
+  }
+};
+
+export default {
+  CHECKOUT_STATES,
+  getCheckoutSession,
+  assertCheckoutTransition,
+  startCheckoutSession,
+  setCheckoutAddresses,
+  selectCheckoutShipping,
+  recordCheckoutOrder,
+  recordCheckoutPayment,
+  getWcSessionToken,
+  saveWcSessionToken,
+  clearWcSessionToken,
+};
@@ -1,6 +1,11 @@
 import axios from "axios";
 import crypto from "crypto";
 import { getCartForCheckout, deleteCart } from "./cart.service.js";
+import { attachReservationToOrder } from "./stock-reservation.service.js";
+import { refreshCartCoupons } from "./coupon.service.js";
+import { loadTaxConfig, getTaxLocation, calculateCartTax, formatOrderTaxes } from "./tax.service.js";
+import { BASE_CURRENCY, convertAmount, loadExchangeRates } from "./currency.service.js";
+import { getWcSessionToken, saveWcSessionToken, clearWcSessionToken } from "./checkout-session.service.js";
 
 const WC_SITE_URL = process.env.WC_SITE_URL;
 const WC_CONSUMER_KEY = process.env.WC_CONSUMER_KEY;
@@ -32,38 +37,16 @@ const wcRestApi = axios.create({
   },
 });
 
-/**
- * Session storage for WooCommerce Store API
- * Maps our cart tokens to WC session tokens
- */
-const wcSessionStorage = new Map();
-
-/**
- * Get WC session for cart token
- */
-const getWcSession = (cartToken) => {
-  return wcSessionStorage.get(cartToken) || null;
-};
-
-/**
- * Save WC session from response
- */
-const saveWcSession = (cartToken, response) => {
-  const wcSession = response.headers["x-wc-session"] || response.headers["cart-token"];
-  if (wcSession) {
-    wcSessionStorage.set(cartToken, wcSession);
-  }
-};
-
 /**
  * Build Store API headers
+ * The WooCommerce session is shared with shipping (see checkout-session.service.js)
  */
-const buildStoreApiHeaders = (cartToken) => {
+const buildStoreApiHeaders = async (cartToken) => {
   const headers = {
     "Content-Type": "application/json",
   };
 
-  const wcSession = getWcSession(cartToken);
+  const wcSession = await getWcSessionToken(cartToken);
   if (wcSession) {
     headers["Cart-Token"] = wcSession;
   }
@@ -84,12 +67,12 @@ const generateNonce = () => {
  */
 const syncCartToWooCommerce = async (cartToken, cartItems) => {
   try {
-    const headers = buildStoreApiHeaders(cartToken);
+    const headers = await buildStoreApiHeaders(cartToken);
 
     // First, get or create WC cart session
     try {
       const cartResponse = await storeApi.get("/cart", { headers });
-      saveWcSession(cartToken, cartResponse);
+      await saveWcSessionToken(cartToken, cartResponse);
 
       // Clear existing items
       const existingItems = cartResponse.data.items || [];
@@ -98,7 +81,7 @@ const syncCartToWooCommerce = async (cartToken, cartItems) => {
           await storeApi.post(
             "/cart/remove-item",
             { key: item.key },
-            { headers: buildStoreApiHeaders(cartToken) }
+            { headers: await buildStoreApiHeaders(cartToken) }
           );
         } catch (e) {
           // Ignore removal errors
@@ -119,10 +102,10 @@ const syncCartToWooCommerce = async (cartToken, cartItems) => {
         };
 
         const response = await storeApi.post("/cart/add-item", addItemPayload, {
-          headers: buildStoreApiHeaders(cartToken),
+          headers: await buildStoreApiHeaders(cartToken),
         });
 
-        saveWcSession(cartToken, response);
+        await saveWcSessionToken(cartToken, response);
       } catch (error) {
         console.error(
           `[Checkout] Failed to add item ${item.productId} to WC cart:`,
@@ -171,10 +154,10 @@ const updateCustomerAddresses = async (cartToken, billingAddress, shippingAddres
     };
 
     const response = await storeApi.post("/cart/update-customer", payload, {
-      headers: buildStoreApiHeaders(cartToken),
+      headers: await buildStoreApiHeaders(cartToken),
     });
 
-    saveWcSession(cartToken, response);
+    await saveWcSessionToken(cartToken, response);
     return response.data;
   } catch (error) {
     console.error("[Checkout] Failed to update addresses:", error.response?.data || error.message);
@@ -194,11 +177,11 @@ const selectShippingMethod = async (cartToken, rateId) => {
         rate_id: rateId,
       },
       {
-        headers: buildStoreApiHeaders(cartToken),
+        headers: await buildStoreApiHeaders(cartToken),
       }
     );
 
-    saveWcSession(cartToken, response);
+    await saveWcSessionToken(cartToken, response);
     return response.data;
   } catch (error) {
     console.error("[Checkout] Failed to select shipping:", error.response?.data || error.message);
@@ -217,10 +200,10 @@ export const getPaymentGateways = async (cartToken) => {
 
     // Get checkout data which includes payment methods
     const response = await storeApi.get("/checkout", {
-      headers: buildStoreApiHeaders(cartToken),
+      headers: await buildStoreApiHeaders(cartToken),
     });
 
-    saveWcSession(cartToken, response);
+    await saveWcSessionToken(cartToken, response);
 
     const paymentMethods = response.data.payment_methods || [];
 
@@ -270,6 +253,9 @@ export const placeOrder = async (cartToken, checkoutData) => {
     password,
   } = checkoutData;
 
+  // Set once the checkout request is sent - from then on a failure may still have created the order
+  let checkoutSubmitted = false;
+
   try {
     // Step 1: Get our cart data
     console.log("[Checkout] Getting cart for checkout...");
@@ -331,8 +317,9 @@ export const placeOrder = async (cartToken, checkoutData) => {
       checkoutPayload.password = password;
     }
 
+    checkoutSubmitted = true;
     const response = await storeApi.post("/checkout", checkoutPayload, {
-      headers: buildStoreApiHeaders(cartToken),
+      headers: await buildStoreApiHeaders(cartToken),
     });
 
     const orderData = response.data;
@@ -341,8 +328,10 @@ export const placeOrder = async (cartToken, checkoutData) => {
     console.log("[Checkout] Payment result:", JSON.stringify(orderData.payment_result, null, 2));
 
     // Step 6: Clear local cart after successful order
-    deleteCart(cartToken);
-    wcSessionStorage.delete(cartToken);
+    // (the stock hold moves to the order first - deleting the cart would release it)
+    await attachReservationToOrder(cartToken, orderData.order_id);
+    await deleteCart(cartToken);
+    await clearWcSessionToken(cartToken);
 
     // Get payment redirect URL - try from API response first, then generate manually
     let paymentUrl = orderData.payment_result?.redirect_url || null;
@@ -386,6 +375,18 @@ export const placeOrder = async (cartToken, checkoutData) => {
       errorMessage = Object.values(params).join(". ");
     }
 
+    // No answer (timeout, 5xx) or a failure after WooCommerce accepted it - don't
+    // let the caller retry another way and create a second order
+    const rejected = error.response?.status >= 400 && error.response?.status < 500;
+    if (checkoutSubmitted && !rejected) {
+      const uncertain = new Error(
+        "We couldn't confirm whether your order was placed. Please check your email for an order confirmation before trying again."
+      );
+      uncertain.status = 502;
+      uncertain.orderMayExist = true;
+      throw uncertain;
+    }
+
     throw new Error(errorMessage);
   }
 };
@@ -521,6 +522,28 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
       throw new Error("Cart is empty");
     }
 
+    // Re-check coupons against fresh WooCommerce data and the billing email.
+    // Only coupons that still apply are sent, so WooCommerce's discount matches the cart.
+    const { discount: expectedDiscount } = await refreshCartCoupons(cart, {
+      customerId: customerId || cart.customerId,
+      email: billingAddress.email,
+    });
+
+    // The order is created in the cart's currency. Shipping methods are
+    // priced in the store currency, so the shipping cost is converted too.
+    const currency = cart.currency || BASE_CURRENCY;
+    await loadExchangeRates();
+    const orderShippingCost = convertAmount(shippingCost || 0, currency);
+
+    // VAT for the order's address, worked out exactly as the cart does
+    const taxConfig = await loadTaxConfig();
+    const expectedTax = calculateCartTax(cart, {
+      config: taxConfig,
+      location: taxConfig ? getTaxLocation(taxConfig, { billing: billingAddress, shipping: shippingAddress }) : null,
+      shippingTotal: orderShippingCost,
+    });
+    const taxLines = new Map(expectedTax.lines.map((line) => [line.key, line]));
+
     // Build line items for WooCommerce
     // IMPORTANT: Our prices are per sqm, so we override the line totals
     // to ensure correct pricing (price × sqm, not price × quantity)
@@ -533,10 +556,57 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
 
       // If item has sqm pricing, override the totals
       // WooCommerce would otherwise calculate price × quantity
-      if (item.sqm && parseFloat(item.sqm) > 0) {
-        lineItem.subtotal = item.lineTotal; // price × sqm
-        lineItem.total = item.lineTotal;    // price × sqm
-        console.log(`[Checkout] Line item ${item.name}: qty=${item.quantity}, sqm=${item.sqm}, price=${item.price}/sqm, total=${item.lineTotal}`);
+      // Quoted carts always override - the customer pays the quoted price
+      // When taxes are on every line is sent with its net amount, so
+      // WooCommerce taxes the same amounts the cart did
+      // Volume tier prices and charges for free samples beyond the shopper's
+      // allowance are ours too - WooCommerce doesn't know about them
+      if (
+        (item.sqm && parseFloat(item.sqm) > 0) ||
+        cart.quote ||
+        expectedTax.enabled ||
+        item.volumePricing?.currentTier ||
+        item.sampleCharge
+      ) {
+        const taxLine = taxLines.get(item.key);
+        lineItem.subtotal = taxLine.subtotal.toFixed(2); // price × sqm, excluding tax
+        lineItem.total = taxLine.total.toFixed(2);       // after coupons, excluding tax
+        console.log(`[Checkout] Line item ${item.name}: qty=${item.quantity}, sqm=${item.sqm}, price=${item.price}/sqm, total=${lineItem.total}, tax=${taxLine.tax.toFixed(2)}`);
+      }
+
+      // Box-sold tiles: quantity is the box count, record what it covers for the warehouse
+      if (item.boxes) {
+        lineItem.meta_data = [
+          { key: "Boxes", value: String(item.boxes) },
+          { key: "Coverage (m²)", value: String(item.sqm) },
+        ];
+        if (item.pieces) {
+          lineItem.meta_data.push({ key: "Pieces", value: String(item.pieces) });
+        }
+        if (item.wastagePercent) {
+          lineItem.meta_data.push({ key: "Wastage", value: `${item.wastagePercent}% (${item.layPattern})` });
+        }
+      }
+
+      if (item.volumePricing?.currentTier) {
+        const { currentTier, listUnitPrice, unitPrice } = item.volumePricing;
+        lineItem.meta_data = [
+          ...(lineItem.meta_data || []),
+          {
+            key: "Volume discount",
+            value: `${currentTier.discountPercent}% (${currentTier.minSqm}+ m²): ${listUnitPrice} → ${unitPrice}/m²`,
+          },
+        ];
+      }
+
+      if (item.sampleCharge) {
+        lineItem.meta_data = [
+          ...(lineItem.meta_data || []),
+          {
+            key: "Sample charge",
+            value: `${item.sampleCharge.chargedQuantity} × ${item.sampleCharge.unitPrice} (${item.sampleCharge.freeQuantity} free)`,
+          },
+        ];
       }
 
       return lineItem;
@@ -550,7 +620,7 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
           {
             method_id: shippingMethodId,
             method_title: shippingMethodTitle || "Shipping",
-            total: shippingCost || "0",
+            total: orderShippingCost.toFixed(2),
           },
         ]
       : [];
@@ -560,6 +630,7 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
       payment_method: paymentMethod || "woocommerce_payments",
       payment_method_title: getPaymentMethodTitle(paymentMethod),
       set_paid: false, // Payment will be handled by redirect
+      currency,
       customer_id: customerId || 0, // 0 = guest order, otherwise links to WC customer
       billing: {
         first_name: billingAddress.first_name || "",
@@ -590,21 +661,47 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
       customer_note: customerNote || "",
     };
 
-    // Apply coupons if any
-    if (cart.coupons && cart.coupons.length > 0) {
+    if (cart.coupons.length > 0) {
       orderPayload.coupon_lines = cart.coupons.map((coupon) => ({
         code: coupon.code,
       }));
     }
 
+    // Orders from an accepted quote keep its reference
+    if (cart.quote) {
+      orderPayload.meta_data = [{ key: "_quote_reference", value: cart.quote.reference }];
+    }
+
+    // Logged-in customers' carts carry their WooCommerce customer ID
+    if (!orderPayload.customer_id && cart.customerId) {
+      orderPayload.customer_id = cart.customerId;
+    }
+
     console.log("[Checkout] Creating order via REST API...");
     console.log("[Checkout] Customer ID:", customerId || "Guest (0)");
     const { data: order } = await wcRestApi.post("/orders", orderPayload);
 
     console.log("[Checkout] Order created:", order.id, "Status:", order.status, "Customer:", order.customer_id);
 
-    // Clear local cart
-    deleteCart(cartToken);
+    // WooCommerce reports the discount excluding tax; the cart's includes it when prices do
+    const orderDiscount = parseFloat(order.discount_total || 0) +
+      (expectedTax.pricesIncludeTax ? parseFloat(order.discount_tax || 0) : 0);
+
+    if (Math.abs(orderDiscount - expectedDiscount) >= 0.01) {
+      console.warn(
+        `[Checkout] Discount mismatch on order ${order.id}: cart ${expectedDiscount.toFixed(2)}, WooCommerce ${orderDiscount.toFixed(2)}`
+      );
+    }
+
+    if (Math.abs(parseFloat(order.total_tax || 0) - expectedTax.tax) >= 0.01) {
+      console.warn(
+        `[Checkout] Tax mismatch on order ${order.id}: cart ${expectedTax.tax.toFixed(2)}, WooCommerce ${order.total_tax}`
+      );
+    }
+
+    // Clear local cart (after moving the stock hold onto the order)
+    await attachReservationToOrder(cartToken, order.id);
+    await deleteCart(cartToken);
 
     // Generate payment URL
     const paymentUrl = `${WC_SITE_URL}/checkout/order-pay/${order.id}/?pay_for_order=true&key=${order.order_key}`;
@@ -623,6 +720,8 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
       paymentRequired,
       totals: {
         total: order.total,
+        tax: order.total_tax,
+        taxes: formatOrderTaxes(order),
         currency: order.currency,
       },
     };
@@ -632,6 +731,10 @@ export const createOrderDirect = async (cartToken, checkoutData) => {
     return result;
   } catch (error) {
     console.error("[Checkout] Direct order creation failed:", error.response?.data || error.message);
+
+    // Our own validation errors (e.g. a coupon that no longer applies) carry a status
+    if (error.status) throw error;
+
     throw new Error(error.response?.data?.message || "Failed to create order");
   }
 };
@@ -654,7 +757,7 @@ const getPaymentMethodTitle = (methodId) => {
  * Update order status in WooCommerce
  * @param {number|string} orderId - Order ID
  * @param {string} status - New status (e.g., 'processing', 'completed', 'cancelled')
- * @param {Object} metadata - Additional data to add to order notes
+ * @param {Object} metadata - Payment details: { transactionId?, meta? } (meta is saved as order meta_data)
  */
 export const updateOrderStatus = async (orderId, status, metadata = {}) => {
   try {
@@ -662,14 +765,14 @@ export const updateOrderStatus = async (orderId, status, metadata = {}) => {
       status,
     };
 
-    // Add a note about the payment
-    if (metadata.paymentIntentId) {
-      updatePayload.meta_data = [
-        {
-          key: "_stripe_payment_intent_id",
-          value: metadata.paymentIntentId,
-        },
-      ];
+    // Record the payment on the order (provider IDs are needed for refunds)
+    if (metadata.transactionId) {
+      updatePayload.transaction_id = String(metadata.transactionId);
+    }
+
+    const meta = Object.entries(metadata.meta || {}).filter(([, value]) => value);
+    if (meta.length > 0) {
+      updatePayload.meta_data = meta.map(([key, value]) => ({ key, value: String(value) }));
     }
 
     const { data: order } = await wcRestApi.put(`/orders/${orderId}`, updatePayload);
@@ -689,6 +792,116 @@ export const updateOrderStatus = async (orderId, status, metadata = {}) => {
   }
 };
 
+/**
+ * Get an order's payment details for staff (refunds)
+ * Unlike getOrder this includes the order meta, so it must never be sent to shoppers.
+ *
+ * @param {number|string} orderId - Order ID
+ * @returns {Promise<Object>} { id, status, total, currency, paymentMethod, transactionId, meta, lineItems }
+ */
+export const getOrderPaymentDetails = async (orderId) => {
+  try {
+    const { data: order } = await wcRestApi.get(`/orders/${orderId}`);
+
+    return {
+      id: order.id,
+      status: order.status,
+      total: order.total,
+      currency: order.currency,
+      paymentMethod: order.payment_method,
+      transactionId: order.transaction_id,
+      meta: Object.fromEntries((order.meta_data || []).map((meta) => [meta.key, meta.value])),
+      lineItems: order.line_items.map((item) => ({
+        id: item.id,
+        name: item.name,
+        quantity: item.quantity,
+        total: item.total,
+        taxes: (item.taxes || []).map((tax) => ({ id: tax.id, total: tax.total })),
+      })),
+    };
+  } catch (error) {
+    console.error("[Checkout] Failed to get order:", error.response?.data || error.message);
+    const isMissing = error.response?.status === 404;
+    const failure = new Error(isMissing ? "Order not found" : "Failed to retrieve order details");
+    failure.status = isMissing ? 404 : 500;
+    throw failure;
+  }
+};
+
+/**
+ * Add a private note to an order (visible to staff in WooCommerce)
+ * @param {number|string} orderId - Order ID
+ * @param {string} note - Note text
+ */
+export const addOrderNote = async (orderId, note) => {
+  try {
+    await wcRestApi.post(`/orders/${orderId}/notes`, { note, customer_note: false });
+  } catch (error) {
+    console.error("[Checkout] Failed to add order note:", error.response?.data || error.message);
+    throw new Error("Failed to add order note");
+  }
+};
+
+/**
+ * Get the refunds recorded on an order
+ * @param {number|string} orderId - Order ID
+ * @returns {Promise<Array>} [{ id, amount, reason, dateCreated, meta }]
+ */
+export const getOrderRefunds = async (orderId) => {
+  try {
+    const { data: refunds } = await wcRestApi.get(`/orders/${orderId}/refunds`);
+
+    return refunds.map((refund) => ({
+      id: refund.id,
+      // WooCommerce reports refund amounts as positive strings
+      amount: Math.abs(parseFloat(refund.amount) || 0),
+      reason: refund.reason,
+      dateCreated: refund.date_created,
+      meta: Object.fromEntries((refund.meta_data || []).map((meta) => [meta.key, meta.value])),
+    }));
+  } catch (error) {
+    console.error("[Checkout] Failed to get order refunds:", error.response?.data || error.message);
+    throw new Error("Failed to retrieve order refunds");
+  }
+};
+
+/**
+ * Record a refund on an order
+ * The money is moved by the payment provider - this only records it in
+ * WooCommerce (which marks the order refunded once it's refunded in full).
+ *
+ * @param {number|string} orderId - Order ID
+ * @param {Object} refund - { amount, reason?, meta?, lineItems?, apiRefund? }
+ *   lineItems: [{ id, quantity, refundTotal, refundTax: [{ id, refundTotal }] }] (restocks them)
+ *   apiRefund: have WooCommerce refund through the order's gateway plugin as well
+ * @returns {Promise<Object>} { id, amount }
+ */
+export const createOrderRefund = async (orderId, { amount, reason = "", meta = {}, lineItems = [], apiRefund = false }) => {
+  try {
+    const { data: refund } = await wcRestApi.post(`/orders/${orderId}/refunds`, {
+      amount: String(amount),
+      reason,
+      api_refund: apiRefund,
+      line_items: lineItems.map((item) => ({
+        id: item.id,
+        quantity: item.quantity,
+        refund_total: item.refundTotal,
+        refund_tax: (item.refundTax || []).map((tax) => ({ id: tax.id, refund_total: tax.refundTotal })),
+      })),
+      meta_data: Object.entries(meta)
+        .filter(([, value]) => value)
+        .map(([key, value]) => ({ key, value: String(value) })),
+    });
+
+    console.log("[Checkout] Refund recorded on order", orderId, "->", refund.amount);
+
+    return { id: refund.id, amount: Math.abs(parseFloat(refund.amount) || 0) };
+  } catch (error) {
+    console.error("[Checkout] Failed to record refund:", error.response?.data || error.message);
+    throw new Error(error.response?.data?.message || "Failed to record refund");
+  }
+};
+
 export default {
   getPaymentGateways,
   placeOrder,
@@ -697,4 +910,8 @@ export default {
   confirmOrderPayment,
   createOrderDirect,
   updateOrderStatus,
+  getOrderPaymentDetails,
+  addOrderNote,
+  getOrderRefunds,
+  createOrderRefund,
 };
@@ -0,0 +1,380 @@
+import wcApi from "../config/woocommerce.js";
+import { getCurrencyInfo } from "./currency.service.js";
+
+/**
+ * Coupon Evaluation Engine
+ * Mirrors WooCommerce's coupon rules so the cart shows the same discount
+ * WooCommerce calculates when the order is created with `coupon_lines`.
+ *
+ * Coupons are snapshotted onto the cart when applied (see toCartCoupon) so
+ * they can be re-checked on every cart change without calling WooCommerce.
+ * Checkout refreshes the snapshots (refreshCartCoupons) before the order is created.
+ *
+ * Coupon amounts and spend limits aren't converted: WooCommerce applies them
+ * as-is in the order's currency (a 10.00 coupon is €10 off a EUR order), and
+ * the cart has to show the discount the order will get.
+ */
+
+// WooCommerce applies product-level discounts before cart-level ones
+const DISCOUNT_TYPE_ORDER = ["fixed_product", "percent", "fixed_cart"];
+
+/**
+ * Build a coupon error the controllers can return as-is
+ */
+export const couponError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toPence = (value) => Math.round(parseFloat(value || 0) * 100);
+const toPounds = (pence) => (pence / 100).toFixed(2);
+const toIds = (values) => (values || []).map((value) => Number(value));
+
+const formatCartAmount = (amount, cart) =>
+  `${getCurrencyInfo(cart.currency).currencySymbol}${amount.toFixed(2)}`;
+
+/**
+ * Fetch a coupon from WooCommerce by code
+ * @param {string} code - Coupon code
+ * @returns {Promise<Object|null>} WooCommerce coupon or null if not found
+ */
+export const fetchCouponByCode = async (code) => {
+  const { data: coupons } = await wcApi.get("coupons", { code });
+  return coupons?.[0] || null;
+};
+
+/**
+ * Convert a WooCommerce coupon into the snapshot stored on the cart
+ * @param {Object} coupon - WooCommerce coupon
+ * @returns {Object} Cart coupon
+ */
+export const toCartCoupon = (coupon) => {
+  const usageLimitPerUser = coupon.usage_limit_per_user || null;
+
+  return {
+    code: coupon.code,
+    discountType: coupon.discount_type,
+    amount: parseFloat(coupon.amount),
+    description: coupon.description,
+    freeShipping: Boolean(coupon.free_shipping),
+    individualUse: Boolean(coupon.individual_use),
+    rules: {
+      id: coupon.id,
+      status: coupon.status,
+      dateExpires: coupon.date_expires_gmt || coupon.date_expires || null,
+      minimumAmount: parseFloat(coupon.minimum_amount) || 0,
+      maximumAmount: parseFloat(coupon.maximum_amount) || 0,
+      productIds: toIds(coupon.product_ids),
+      excludedProductIds: toIds(coupon.excluded_product_ids),
+      productCategories: toIds(coupon.product_categories),
+      excludedProductCategories: toIds(coupon.excluded_product_categories),
+      excludeSaleItems: Boolean(coupon.exclude_sale_items),
+      usageLimit: coupon.usage_limit || null,
+      usageCount: coupon.usage_count || 0,
+      usageLimitPerUser,
+      // Only kept when needed - it lists other customers' IDs/emails
+      usedBy: usageLimitPerUser ? (coupon.used_by || []).map(String) : [],
+      emailRestrictions: (coupon.email_restrictions || []).map((email) => email.toLowerCase()),
+    },
+  };
+};
+
+/**
+ * Check if an email matches a WooCommerce email restriction (supports "*" wildcards)
+ */
+const matchesEmailRestriction = (email, restriction) => {
+  if (!restriction.includes("*")) {
+    return email === restriction;
+  }
+
+  const pattern = restriction
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${pattern}$`).test(email);
+};
+
+/**
+ * Check whether a single cart item can receive this coupon's discount
+ */
+const isItemEligible = (coupon, item) => {
+  const rules = coupon.rules || {};
+  const productIds = [Number(item.productId), Number(item.variationId || 0)];
+  const categoryIds = item.categoryIds || [];
+
+  if (rules.productIds?.length && !productIds.some((id) => rules.productIds.includes(id))) {
+    return false;
+  }
+  if (rules.excludedProductIds?.length && productIds.some((id) => rules.excludedProductIds.includes(id))) {
+    return false;
+  }
+  if (rules.productCategories?.length && !categoryIds.some((id) => rules.productCategories.includes(id))) {
+    return false;
+  }
+  if (rules.excludedProductCategories?.length && categoryIds.some((id) => rules.excludedProductCategories.includes(id))) {
+    return false;
+  }
+  if (rules.excludeSaleItems && item.onSale) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Validate a coupon against the cart
+ *
+ * @param {Object} coupon - Cart coupon (see toCartCoupon)
+ * @param {Object} cart - Cart
+ * @param {Object} context - What we know about the shopper
+ * @param {number} [context.customerId] - WooCommerce customer ID
+ * @param {string} [context.email] - Customer / billing email
+ * @returns {{ valid: boolean, reason?: string, code?: string }}
+ */
+export const validateCoupon = (coupon, cart, context = {}) => {
+  const rules = coupon.rules || {};
+  const subtotal = cart.items.reduce((sum, item) => sum + parseFloat(item.lineTotal || 0), 0);
+  const email = context.email?.toLowerCase() || null;
+  const customerId = context.customerId ? String(context.customerId) : null;
+
+  const invalid = (reason, code) => ({ valid: false, reason, code });
+
+  if (rules.status && rules.status !== "publish") {
+    return invalid("This coupon is not active", "coupon_inactive");
+  }
+
+  if (rules.dateExpires && new Date(rules.dateExpires) < new Date()) {
+    return invalid("Coupon has expired", "coupon_expired");
+  }
+
+  if (rules.usageLimit && rules.usageCount >= rules.usageLimit) {
+    return invalid("Coupon usage limit has been reached", "coupon_usage_limit_reached");
+  }
+
+  // Per-user limits can only be checked once we know who the shopper is
+  if (rules.usageLimitPerUser && (customerId || email)) {
+    const timesUsed = (rules.usedBy || []).filter(
+      (usedBy) => usedBy === customerId || usedBy.toLowerCase() === email
+    ).length;
+
+    if (timesUsed >= rules.usageLimitPerUser) {
+      return invalid("You have already used this coupon the maximum number of times", "coupon_user_limit_reached");
+    }
+  }
+
+  // Email restrictions are checked as soon as an email is known (login or billing)
+  if (rules.emailRestrictions?.length && email) {
+    if (!rules.emailRestrictions.some((restriction) => matchesEmailRestriction(email, restriction))) {
+      return invalid("This coupon is not valid for your email address", "coupon_email_restricted");
+    }
+  }
+
+  if (rules.minimumAmount && subtotal < rules.minimumAmount) {
+    return invalid(
+      `The minimum spend for this coupon is ${formatCartAmount(rules.minimumAmount, cart)}`,
+      "coupon_minimum_amount"
+    );
+  }
+
+  if (rules.maximumAmount && subtotal > rules.maximumAmount) {
+    return invalid(
+      `The maximum spend for this coupon is ${formatCartAmount(rules.maximumAmount, cart)}`,
+      "coupon_maximum_amount"
+    );
+  }
+
+  if (coupon.discountType === "fixed_cart") {
+    // Cart coupons are rejected outright when the cart contains excluded items
+    const hasExcludedItem = cart.items.some((item) => {
+      const productIds = [Number(item.productId), Number(item.variationId || 0)];
+      const categoryIds = item.categoryIds || [];
+      return (
+        productIds.some((id) => (rules.excludedProductIds || []).includes(id)) ||
+        categoryIds.some((id) => (rules.excludedProductCategories || []).includes(id)) ||
+        (rules.excludeSaleItems && item.onSale)
+      );
+    });
+
+    if (hasExcludedItem) {
+      return invalid("This coupon is not applicable to some items in your basket", "coupon_excluded_items");
+    }
+  }
+
+  // Product coupons need at least one eligible line; cart coupons only when restricted to products
+  const needsEligibleItem =
+    coupon.discountType !== "fixed_cart" ||
+    rules.productIds?.length > 0 ||
+    rules.productCategories?.length > 0;
+
+  if (needsEligibleItem && !cart.items.some((item) => isItemEligible(coupon, item))) {
+    return invalid("This coupon is not applicable to the items in your basket", "coupon_not_applicable");
+  }
+
+  return { valid: true };
+};
+
+/**
+ * Re-check every coupon on the cart and calculate the discounts
+ *
+ * Valid coupons get their discount; coupons that stopped applying stay on the
+ * cart with `valid: false` and a `reason` so the frontend can explain why.
+ * Each item gets a `discount` for its share of the coupon discounts.
+ *
+ * @param {Object} cart - Cart (mutated)
+ * @param {Object} context - { customerId, email } (see validateCoupon)
+ * @returns {{ discount: number, freeShipping: boolean }}
+ */
+export const applyCartCoupons = (cart, context = {}) => {
+  // Remaining (undiscounted) amount of each line in pence
+  const remaining = new Map(cart.items.map((item) => [item.key, toPence(item.lineTotal)]));
+  const itemDiscounts = new Map(cart.items.map((item) => [item.key, 0]));
+
+  let freeShipping = false;
+
+  const ordered = [...cart.coupons].sort(
+    (a, b) => DISCOUNT_TYPE_ORDER.indexOf(a.discountType) - DISCOUNT_TYPE_ORDER.indexOf(b.discountType)
+  );
+
+  for (const coupon of ordered) {
+    const result = validateCoupon(coupon, cart, context);
+    coupon.valid = result.valid;
+    coupon.reason = result.reason || null;
+    coupon.discount = "0.00";
+
+    if (!result.valid) continue;
+
+    if (coupon.freeShipping) freeShipping = true;
+
+    let couponDiscount = 0;
+    const applyToItem = (item, pence) => {
+      const amount = Math.min(pence, remaining.get(item.key));
+      remaining.set(item.key, remaining.get(item.key) - amount);
+      itemDiscounts.set(item.key, itemDiscounts.get(item.key) + amount);
+      couponDiscount += amount;
+    };
+
+    const eligibleItems = cart.items.filter((item) => isItemEligible(coupon, item));
+
+    if (coupon.discountType === "percent") {
+      // Percentage of the line's original price (WooCommerce non-sequential mode)
+      for (const item of eligibleItems) {
+        applyToItem(item, Math.round(toPence(item.lineTotal) * (coupon.amount / 100)));
+      }
+    } else if (coupon.discountType === "fixed_product") {
+      // Fixed amount per unit on each eligible line
+      for (const item of eligibleItems) {
+        applyToItem(item, toPence(coupon.amount) * item.quantity);
+      }
+    } else {
+      // fixed_cart: spread across eligible items in proportion to what's left on each line
+      const cartAmount = toPence(coupon.amount);
+      const items = eligibleItems.filter((item) => remaining.get(item.key) > 0);
+      const totalRemaining = items.reduce((sum, item) => sum + remaining.get(item.key), 0);
+      let amountLeft = Math.min(cartAmount, totalRemaining);
+
+      items.forEach((item, index) => {
+        const share = index === items.length - 1
+          ? amountLeft
+          : Math.floor((cartAmount * remaining.get(item.key)) / totalRemaining);
+        const applied = Math.min(share, amountLeft);
+        applyToItem(item, applied);
+        amountLeft -= applied;
+      });
+    }
+
+    coupon.discount = toPounds(couponDiscount);
+  }
+
+  for (const item of cart.items) {
+    item.discount = toPounds(itemDiscounts.get(item.key));
+  }
+
+  const discount = [...itemDiscounts.values()].reduce((sum, pence) => sum + pence, 0);
+
+  return {
+    discount: discount / 100,
+    freeShipping,
+  };
+};
+
+/**
+ * Check a coupon can be added to the cart before applying it
+ * Throws a 400 error with a clear reason if it can't.
+ *
+ * @param {Object} coupon - Cart coupon (see toCartCoupon)
+ * @param {Object} cart - Cart
+ * @param {Object} context - { customerId, email }
+ */
+export const assertCouponApplicable = (coupon, cart, context = {}) => {
+  const individualUseCoupon = cart.coupons.find((c) => c.individualUse && c.valid !== false);
+  if (individualUseCoupon && !coupon.individualUse) {
+    throw couponError(
+      `Coupon "${individualUseCoupon.code}" cannot be used with other coupons`,
+      "coupon_individual_use"
+    );
+  }
+
+  const result = validateCoupon(coupon, cart, context);
+  if (!result.valid) {
+    throw couponError(result.reason, result.code);
+  }
+};
+
+/**
+ * Reload every cart coupon from WooCommerce and re-validate it
+ * Used right before order creation so usage counts and restrictions are current.
+ *
+ * @param {Object} cart - Cart (coupons are replaced with fresh snapshots)
+ * @param {Object} context - { customerId, email } - billing email at checkout
+ * @throws 409 error naming the first coupon that no longer applies
+ */
+export const refreshCartCoupons = async (cart, context = {}) => {
+  const refreshed = [];
+
+  for (const coupon of cart.coupons) {
+    if (coupon.valid === false) continue; // Not sent to WooCommerce
+
+    const wcCoupon = await fetchCouponByCode(coupon.code);
+    if (!wcCoupon) {
+      throw couponError(`Coupon "${coupon.code}" no longer exists`, "coupon_invalid", 409);
+    }
+
+    const fresh = toCartCoupon(wcCoupon);
+    const result = validateCoupon(fresh, cart, context);
+    if (!result.valid) {
+      throw couponError(`Coupon "${coupon.code}" can no longer be used: ${result.reason}`, result.code, 409);
+    }
+
+    refreshed.push(fresh);
+  }
+
+  cart.coupons = refreshed;
+  return applyCartCoupons(cart, context);
+};
+
+/**
+ * Public coupon fields for API responses (rules stay server-side)
+ */
+export const formatCartCoupon = (coupon) => ({
+  code: coupon.code,
+  discountType: coupon.discountType,
+  amount: coupon.amount,
+  description: coupon.description,
+  freeShipping: coupon.freeShipping || false,
+  discount: coupon.discount || "0.00",
+  valid: coupon.valid !== false,
+  reason: coupon.reason || null,
+});
+
+export default {
+  couponError,
+  fetchCouponByCode,
+  toCartCoupon,
+  validateCoupon,
+  applyCartCoupons,
+  assertCouponApplicable,
+  refreshCartCoupons,
+  formatCartCoupon,
+};
@@ -0,0 +1,326 @@
+import axios from "axios";
+import redisClient from "../config/redis.js";
+
+/**
+ * Currencies & Exchange Rates
+ * WooCommerce prices everything in the store currency (GBP). Customers can
+ * shop in another supported currency: catalog and cart prices are converted
+ * with the stored exchange-rate table, and orders and payments are created in
+ * the cart's currency.
+ *
+ * The rate table is refreshed by a cron job (see server.js). Staff can pin a
+ * rate with a manual override, which wins until it's cleared.
+ *
+ * Keys:
+ *   currency:rates - JSON { base, rates, overrides, source, fetchedAt }
+ */
+
+export const CURRENCY_KEY_PREFIX = "currency:";
+const RATES_KEY = `${CURRENCY_KEY_PREFIX}rates`;
+
+export const BASE_CURRENCY = "GBP";
+
+/**
+ * Supported currencies and how their prices are rounded
+ * Converted unit prices are rounded to `priceStep` (EUR rounds up to the next
+ * 5 cents so conversion never undercuts the GBP price); everything calculated
+ * from them (line totals, tax, totals) is rounded to `decimals`.
+ */
+export const CURRENCIES = {
+  GBP: { code: "GBP", symbol: "£", decimals: 2, priceStep: 0.01, rounding: "nearest" },
+  EUR: { code: "EUR", symbol: "€", decimals: 2, priceStep: 0.05, rounding: "up" },
+};
+
+const RATES_API_URL = process.env.EXCHANGE_RATES_API_URL || "https://api.frankfurter.app/latest";
+
+// Rates are re-read from Redis this often so overrides reach every instance
+const MEMORY_TTL_MS = 60 * 1000;
+
+let rateTable = null;
+let loadedAt = 0;
+
+const currencyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Normalise a currency code, or null if we don't sell in it
+ */
+export const normalizeCurrency = (code) => {
+  const upper = String(code || "").trim().toUpperCase();
+  return CURRENCIES[upper] ? upper : null;
+};
+
+/**
+ * Validate a currency code from a request (400 if unsupported)
+ */
+export const assertCurrency = (code) => {
+  const currency = normalizeCurrency(code);
+  if (!currency) {
+    throw currencyError(`Unsupported currency. Use one of: ${Object.keys(CURRENCIES).join(", ")}`);
+  }
+  return currency;
+};
+
+/**
+ * Currency the catalog should be priced in for a request
+ * (X-Currency header or ?currency=, falling back to the store currency)
+ */
+export const getRequestCurrency = (req) =>
+  normalizeCurrency(req.headers["x-currency"] || req.query?.currency) || BASE_CURRENCY;
+
+/**
+ * { currency, currencySymbol } for cart and order totals
+ */
+export const getCurrencyInfo = (code) => {
+  const currency = CURRENCIES[normalizeCurrency(code) || BASE_CURRENCY];
+  return { currency: currency.code, currencySymbol: currency.symbol };
+};
+
+/**
+ * Round an amount to the currency's minor unit
+ */
+export const roundAmount = (amount, code = BASE_CURRENCY) => {
+  const factor = 10 ** CURRENCIES[normalizeCurrency(code) || BASE_CURRENCY].decimals;
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Amount in the currency's smallest unit (pence/cents) for payment providers
+ */
+export const toMinorUnits = (amount, code = BASE_CURRENCY) => {
+  const factor = 10 ** CURRENCIES[normalizeCurrency(code) || BASE_CURRENCY].decimals;
+  return Math.round(parseFloat(amount) * factor);
+};
+
+/**
+ * Amount in currency units from a payment provider's minor units
+ */
+export const fromMinorUnits = (amount, code = BASE_CURRENCY) => {
+  const factor = 10 ** CURRENCIES[normalizeCurrency(code) || BASE_CURRENCY].decimals;
+  return Number(amount) / factor;
+};
+
+const emptyTable = () => ({
+  base: BASE_CURRENCY,
+  rates: {},
+  overrides: {},
+  source: null,
+  fetchedAt: null,
+});
+
+/**
+ * Load the rate table into memory
+ * @param {boolean} force - Re-read Redis even if the memory copy is fresh
+ */
+export const loadExchangeRates = async (force = false) => {
+  if (!force && rateTable && Date.now() - loadedAt < MEMORY_TTL_MS) {
+    return rateTable;
+  }
+
+  try {
+    const raw = await redisClient.get(RATES_KEY);
+    rateTable = raw ? JSON.parse(raw) : rateTable || emptyTable();
+    loadedAt = Date.now();
+  } catch (error) {
+    console.error("[Currency] Failed to load exchange rates:", error.message);
+  }
+
+  return rateTable || emptyTable();
+};
+
+const saveRateTable = async (table) => {
+  await redisClient.set(RATES_KEY, JSON.stringify(table));
+  rateTable = table;
+  loadedAt = Date.now();
+  return table;
+};
+
+/**
+ * Effective rate from the store currency (override first, then fetched rate)
+ * Synchronous - uses the in-memory table and refreshes it in the background.
+ *
+ * @throws 503 if there's no rate for the currency
+ */
+export const getExchangeRate = (code) => {
+  const currency = assertCurrency(code);
+  if (currency === BASE_CURRENCY) return 1;
+
+  if (!rateTable || Date.now() - loadedAt >= MEMORY_TTL_MS) {
+    loadExchangeRates(true);
+  }
+
+  const rate = rateTable?.overrides?.[currency]?.rate || rateTable?.rates?.[currency];
+  if (!rate) {
+    throw currencyError(`Prices in ${currency} are not available right now`, 503);
+  }
+
+  return rate;
+};
+
+/**
+ * Convert a store-currency unit price, applying the currency's rounding rule
+ * @param {number|string} amount - Price in GBP
+ * @param {string} code - Target currency
+ * @returns {number}
+ */
+export const convertPrice = (amount, code) => {
+  const value = parseFloat(amount) || 0;
+  const currency = CURRENCIES[assertCurrency(code)];
+  if (currency.code === BASE_CURRENCY || value === 0) return value;
+
+  const converted = value * getExchangeRate(currency.code);
+  const steps = converted / currency.priceStep;
+  const rounded = currency.rounding === "up"
+    ? Math.ceil(Number(steps.toFixed(6)))
+    : Math.round(steps);
+
+  return roundAmount(rounded * currency.priceStep, currency.code);
+};
+
+/**
+ * Convert a store-currency amount that isn't a price (e.g. shipping), minor-unit rounding only
+ */
+export const convertAmount = (amount, code) => {
+  const value = parseFloat(amount) || 0;
+  const currency = assertCurrency(code);
+  if (currency === BASE_CURRENCY) return value;
+
+  return roundAmount(value * getExchangeRate(currency), currency);
+};
+
+/**
+ * Fetch the latest rates and store them (overrides are kept)
+ * Run from the cron schedule in server.js.
+ */
+export const refreshExchangeRates = async () => {
+  const symbols = Object.keys(CURRENCIES).filter((code) => code !== BASE_CURRENCY);
+
+  const { data } = await axios.get(RATES_API_URL, {
+    params: { from: BASE_CURRENCY, to: symbols.join(",") },
+    timeout: 10000,
+  });
+
+  const rates = {};
+  for (const code of symbols) {
+    const rate = parseFloat(data?.rates?.[code]);
+    if (rate > 0) rates[code] = rate;
+  }
+
+  if (Object.keys(rates).length === 0) {
+    throw new Error("Exchange rate provider returned no rates");
+  }
+
+  const table = await loadExchangeRates(true);
+  await saveRateTable({
+    ...table,
+    rates: { ...table.rates, ...rates },
+    source: RATES_API_URL,
+    fetchedAt: Date.now(),
+  });
+
+  console.log("[Currency] Exchange rates updated:", JSON.stringify(rates));
+  return getExchangeRates();
+};
+
+/**
+ * Pin (or clear, with rate = null) a manual exchange rate
+ * @param {string} code - Currency
+ * @param {number|null} rate - Units of the currency per 1 GBP
+ * @param {Object} [staff] - Staff customer setting it
+ */
+export const setExchangeRateOverride = async (code, rate, staff = null) => {
+  const currency = assertCurrency(code);
+  if (currency === BASE_CURRENCY) {
+    throw currencyError(`${BASE_CURRENCY} is the store currency`);
+  }
+
+  const table = await loadExchangeRates(true);
+  const overrides = { ...table.overrides };
+
+  if (rate === null || rate === undefined) {
+    delete overrides[currency];
+  } else {
+    const value = parseFloat(rate);
+    if (!(value > 0)) throw currencyError("Rate must be a positive number");
+
+    overrides[currency] = { rate: value, setBy: staff?.id || null, setAt: Date.now() };
+  }
+
+  await saveRateTable({ ...table, overrides });
+  console.log(`[Currency] ${currency} override ${overrides[currency] ? `set to ${overrides[currency].rate}` : "cleared"}`);
+
+  return getExchangeRates();
+};
+
+/**
+ * Convert product prices (price, regular_price, sale_price, price_html) from
+ * the store currency. Works on WooCommerce and already-transformed products,
+ * so cached catalog data can be converted per request.
+ * @param {Array} products - Products priced in the store currency
+ * @param {string} currency - Currency to show prices in
+ */
+export const localizeProducts = (products, currency = BASE_CURRENCY) => {
+  if (!currency || currency === BASE_CURRENCY) return products;
+
+  const convert = (value) =>
+    value === "" || value === null || value === undefined
+      ? value
+      : convertPrice(String(value).replace(/,/g, ""), currency).toFixed(2);
+
+  return products.map((product) => ({
+    ...product,
+    price: convert(product.price),
+    regular_price: convert(product.regular_price),
+    sale_price: convert(product.sale_price),
+    // price_html keeps WooCommerce's "1,200.00" style
+    ...("price_html" in product && {
+      price_html: product.price_html
+        ? Number(convert(product.price_html)).toLocaleString("en-GB", { minimumFractionDigits: 2 })
+        : product.price_html,
+    }),
+    ...getCurrencyInfo(currency),
+  }));
+};
+
+/**
+ * The rate table with the effective rate per currency
+ */
+export const getExchangeRates = async () => {
+  const table = await loadExchangeRates();
+
+  return {
+    base: BASE_CURRENCY,
+    currencies: Object.values(CURRENCIES).map((currency) => {
+      const override = table.overrides?.[currency.code] || null;
+      const fetched = currency.code === BASE_CURRENCY ? 1 : table.rates?.[currency.code] || null;
+
+      return {
+        code: currency.code,
+        symbol: currency.symbol,
+        rate: override?.rate || fetched,
+        fetchedRate: fetched,
+        override,
+      };
+    }),
+    source: table.source,
+    fetchedAt: table.fetchedAt,
+  };
+};
+
+export default {
+  BASE_CURRENCY,
+  CURRENCIES,
+  normalizeCurrency,
+  getRequestCurrency,
+  getCurrencyInfo,
+  convertPrice,
+  convertAmount,
+  localizeProducts,
+  loadExchangeRates,
+  refreshExchangeRates,
+  setExchangeRateOverride,
+  getExchangeRates,
+};
@@ -93,7 +93,59 @@ export const sendOrderEmail = async (orderId, emailType) => {
   }
 };
 
+/**
+ * Send an abandoned cart recovery email via WordPress
+ * The plugin renders the email with WooCommerce's template and mailer
+ *
+ * @param {Object} data
+ * @param {string} data.email - Recipient
+ * @param {string} [data.firstName] - Recipient first name
+ * @param {string} data.restoreUrl - Link that restores the cart
+ * @param {Array} data.items - Cart lines ({ name, variation, quantity, sqm, lineTotal, image })
+ * @param {Object} data.totals - Cart totals
+ * @returns {Promise<Object>} Result of email trigger
+ */
+export const sendCartRecoveryEmail = async ({ email, firstName, restoreUrl, items, totals }) => {
+  try {
+    console.log("[Email] Sending cart recovery email to:", email);
+
+    const response = await wpCustomApi.post("/send-cart-recovery-email", {
+      email,
+      first_name: firstName || "",
+      restore_url: restoreUrl,
+      items: items.map((item) => ({
+        name: item.name,
+        variation: item.variationName || "",
+        quantity: item.quantity,
+        sqm: item.sqm || 0,
+        line_total: item.lineTotal,
+        image: item.image || "",
+      })),
+      subtotal: totals.subtotal,
+      total: totals.total,
+      currency: totals.currency,
+    });
+
+    return {
+      success: true,
+      message: response.data.message,
+    };
+  } catch (error) {
+    console.error(
+      "[Email] Failed to send cart recovery email:",
+      error.response?.data || error.message
+    );
+
+    // Don't throw - the job carries on with the next cart
+    return {
+      success: false,
+      message: error.response?.data?.message || error.message,
+    };
+  }
+};
+
 export default {
   sendOrderConfirmationEmail,
   sendOrderEmail,
+  sendCartRecoveryEmail,
 };
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+
+/**
+ * Idempotent Requests
+ * Clients send an `Idempotency-Key` header on requests that must not run
+ * twice (placing an order, starting a payment). The first final response for
+ * a key is stored and replayed for repeats; a repeat that arrives while the
+ * first is still running waits for it.
+ *
+ * A key can only be reused with the same request - a different body for the
+ * same key is rejected with 422.
+ *
+ * Keys:
+ *   idempotency:<scope>:<key>      - JSON { fingerprint, statusCode, body, completedAt } (24h)
+ *   idempotency:lock:<scope>:<key> - held while the first request runs
+ */
+
+export const IDEMPOTENCY_KEY_PREFIX = "idempotency:";
+
+const RESPONSE_TTL = 24 * 60 * 60;
+const LOCK_TTL_MS = 2 * 60 * 1000; // Longest a request can hold its key
+const LOCK_WAIT_MS = 60 * 1000; // Longest a repeat waits for the first request
+const LOCK_RETRY_MS = 200;
+const MAX_KEY_LENGTH = 255;
+
+const responseKey = (scope, key) => `${IDEMPOTENCY_KEY_PREFIX}${scope}:${key}`;
+const lockKey = (scope, key) => `${IDEMPOTENCY_KEY_PREFIX}lock:${scope}:${key}`;
+
+// Only delete the lock if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const idempotencyError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Hash of what makes two requests "the same"
+ * @param {*} request - Anything JSON-serialisable (body, cart token...)
+ */
+export const getRequestFingerprint = (request) =>
+  crypto.createHash("sha256").update(JSON.stringify(request ?? null)).digest("hex");
+
+const loadResponse = async (scope, key) => {
+  const raw = await redisClient.get(responseKey(scope, key));
+  return raw ? JSON.parse(raw) : null;
+};
+
+const assertSameRequest = (stored, fingerprint) => {
+  if (stored.fingerprint !== fingerprint) {
+    throw idempotencyError("This Idempotency-Key was already used for a different request", 422);
+  }
+};
+
+/**
+ * Claim an idempotency key before running a request
+ * Waits while another request holds the key.
+ *
+ * @param {string} scope - What the key is for (e.g. "place-order")
+ * @param {string} key - Client's Idempotency-Key
+ * @param {string} fingerprint - From getRequestFingerprint
+ * @returns {Promise<Object>} { replay: { statusCode, body } } for a repeat, or
+ *   { owner } - pass it to completeIdempotentRequest / releaseIdempotencyKey
+ * @throws 400 (bad key), 422 (key reused for another request), 409 (first request still running)
+ */
+export const beginIdempotentRequest = async (scope, key, fingerprint) => {
+  if (typeof key !== "string" || key.trim() === "" || key.length > MAX_KEY_LENGTH) {
+    throw idempotencyError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  const owner = crypto.randomBytes(16).toString("hex");
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (true) {
+    const stored = await loadResponse(scope, key);
+    if (stored) {
+      assertSameRequest(stored, fingerprint);
+      return { replay: { statusCode: stored.statusCode, body: stored.body } };
+    }
+
+    const acquired = await redisClient.set(lockKey(scope, key), owner, "PX", LOCK_TTL_MS, "NX");
+    if (acquired) {
+      // The first request may have finished between our two reads
+      const finished = await loadResponse(scope, key);
+      if (finished) {
+        await releaseIdempotencyKey(scope, key, owner);
+        assertSameRequest(finished, fingerprint);
+        return { replay: { statusCode: finished.statusCode, body: finished.body } };
+      }
+
+      return { owner };
+    }
+
+    if (Date.now() > deadline) {
+      throw idempotencyError("A request with this Idempotency-Key is still being processed", 409);
+    }
+
+    await sleep(LOCK_RETRY_MS);
+  }
+};
+
+/**
+ * Let go of a key without storing a response (the request can be retried)
+ */
+export const releaseIdempotencyKey = async (scope, key, owner) => {
+  try {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey(scope, key), owner);
+  } catch (error) {
+    console.error(`[Idempotency] Failed to release ${scope} key:`, error.message);
+  }
+};
+
+/**
+ * Store the response for a key and release it
+ * @param {string} scope
+ * @param {string} key
+ * @param {string} owner - From beginIdempotentRequest
+ * @param {string} fingerprint
+ * @param {Object} response - { statusCode, body }
+ */
+export const completeIdempotentRequest = async (scope, key, owner, fingerprint, { statusCode, body }) => {
+  try {
+    await redisClient.set(
+      responseKey(scope, key),
+      JSON.stringify({ fingerprint, statusCode, body, completedAt: Date.now() }),
+      "EX",
+      RESPONSE_TTL
+    );
+  } catch (error) {
+    console.error(`[Idempotency] Failed to store ${scope} response:`, error.message);
+  } finally {
+    await releaseIdempotencyKey(scope, key, owner);
+  }
+};
+
+export default {
+  getRequestFingerprint,
+  beginIdempotentRequest,
+  releaseIdempotencyKey,
+  completeIdempotentRequest,
+};
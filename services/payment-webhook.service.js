@@ -0,0 +1,188 @@
+import redisClient from "../config/redis.js";
+import {
+  getOrder,
+  updateOrderStatus,
+  addOrderNote,
+  getOrderRefunds,
+  createOrderRefund,
+} from "./checkout.service.js";
+import { releaseOrderReservation } from "./stock-reservation.service.js";
+import { roundAmount } from "./currency.service.js";
+import { PAYMENT_KEY_PREFIX, PAID_ORDER_STATUSES, finalizePaidOrder } from "./payment.service.js";
+import { isRefundInProgress } from "./refund.service.js";
+import { CHECKOUT_STATES, recordCheckoutPayment } from "./checkout-session.service.js";
+
+/**
+ * Payment Webhooks
+ * Providers tell us about payments that happen away from the checkout page -
+ * a shopper closing the tab after 3DS, refunds and disputes raised in the
+ * provider's dashboard. Each provider's parseWebhookEvent turns its events
+ * into one of these actions, which are applied to the WooCommerce order here:
+ *
+ *   { type: "payment_succeeded", orderId, amount, currency, transactionId, orderMeta }
+ *   { type: "capture_approved", orderId, ... }  - capture now with provider.confirmPayment(action)
+ *   { type: "payment_failed", orderId, message, retryable? } - retryable: the shopper can still pay
+ *                                                 (note only, the order and its stock hold are kept)
+ *   { type: "refunded", orderId, amountRefunded, currency }   - amountRefunded is the total so far
+ *   { type: "dispute_opened", orderId, disputeId, reason, amount, currency }
+ *
+ * An action can also carry the order's key (orderKey); the order is only
+ * changed if it matches.
+ *
+ * Providers resend events, so each event ID is handled once, and every
+ * action checks the order before changing it.
+ */
+
+const EVENT_PROCESSING_TTL = 5 * 60; // Longest an event can take before a resend is handled
+const EVENT_DONE_TTL = 7 * 24 * 60 * 60; // Longer than providers keep retrying
+
+const eventKey = (provider, eventId) => `${PAYMENT_KEY_PREFIX}event:${provider.id}:${eventId}`;
+
+const handlePaymentSucceeded = async (provider, action) => {
+  try {
+    await finalizePaidOrder(provider, action);
+  } catch (error) {
+    // The order is on hold for staff - a resend wouldn't change anything
+    if (error.code !== "payment_amount_mismatch") throw error;
+  }
+};
+
+const handlePaymentFailed = async (provider, { orderId, message, retryable = false }) => {
+  const { order } = await getOrder(orderId);
+
+  // A later attempt may have succeeded already
+  if (PAID_ORDER_STATUSES.includes(order.status)) return;
+
+  await addOrderNote(orderId, `${provider.label} payment failed${message ? `: ${message}` : ""}`);
+
+  // The shopper can still pay - the stock stays held until the hold expires
+  if (retryable) return;
+
+  if (order.status === "pending") {
+    await updateOrderStatus(orderId, "failed");
+  }
+
+  // Let other shoppers have the stock again
+  await releaseOrderReservation(orderId);
+
+  await recordCheckoutPayment(orderId, CHECKOUT_STATES.FAILED, {
+    provider: provider.id,
+    status: "failed",
+    message,
+  });
+};
+
+/**
+ * Capture a payment the shopper approved but never returned to confirm
+ * The capture result is applied like any other payment event.
+ */
+const handleCaptureApproved = async (provider, action) => {
+  const payment = await provider.confirmPayment(action);
+
+  // Held captures are finished by the provider's completed / denied events
+  if (payment.pending) return;
+
+  if (String(payment.orderId) !== String(action.orderId)) {
+    console.warn(`[${provider.label}] Captured payment belongs to order ${payment.orderId}, not ${action.orderId}`);
+    return;
+  }
+
+  if (payment.paid) {
+    await handlePaymentSucceeded(provider, payment);
+  } else {
+    await handlePaymentFailed(provider, { orderId: payment.orderId, message: `Capture ${payment.status}` });
+  }
+};
+
+/**
+ * Bring the refunds recorded in WooCommerce up to the total refunded by the
+ * provider (refunds made through our own API are already there)
+ */
+const handleRefunded = async (provider, { orderId, amountRefunded, currency }) => {
+  // Our refund API is recording it right now - the provider's resend will find it recorded
+  if (await isRefundInProgress(orderId)) {
+    throw new Error(`Refund in progress for order ${orderId}`);
+  }
+
+  const refunds = await getOrderRefunds(orderId);
+  const recorded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  const missing = roundAmount(amountRefunded - recorded, currency);
+
+  if (missing <= 0) return;
+
+  await createOrderRefund(orderId, {
+    amount: missing.toFixed(2),
+    reason: `Refunded in ${provider.label}`,
+  });
+};
+
+const handleDisputeOpened = async (provider, { orderId, disputeId, reason, amount, currency }) => {
+  const { order } = await getOrder(orderId);
+
+  await addOrderNote(
+    orderId,
+    `${provider.label} dispute ${disputeId} opened (${reason || "no reason given"}) for ${amount} ${currency}. Do not ship until it's resolved.`
+  );
+
+  if (order.status !== "on-hold") {
+    await updateOrderStatus(orderId, "on-hold");
+  }
+};
+
+const ACTION_HANDLERS = {
+  payment_succeeded: handlePaymentSucceeded,
+  capture_approved: handleCaptureApproved,
+  payment_failed: handlePaymentFailed,
+  refunded: handleRefunded,
+  dispute_opened: handleDisputeOpened,
+};
+
+/**
+ * Handle a verified webhook event
+ * @param {Object} provider - The provider that sent it
+ * @param {Object} event - From provider.verifyWebhook
+ * @returns {Promise<Object>} { handled, action?, duplicate? }
+ * @throws If the order couldn't be updated - answer with an error so the provider resends it
+ */
+export const handlePaymentWebhook = async (provider, event) => {
+  const tag = `[${provider.label}]`;
+  const action = await provider.parseWebhookEvent(event);
+
+  if (!action?.orderId) {
+    console.log(tag, "Webhook ignored:", event.type || event.event_type, event.id);
+    return { handled: false };
+  }
+
+  const key = eventKey(provider, event.id);
+  const claimed = await redisClient.set(key, "processing", "EX", EVENT_PROCESSING_TTL, "NX");
+  if (!claimed) {
+    console.log(tag, "Webhook already handled:", event.id);
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    if (action.orderKey) {
+      const { order } = await getOrder(action.orderId);
+      if (order.orderKey !== action.orderKey) {
+        console.warn(tag, "Webhook", event.id, "order key doesn't match order", action.orderId);
+        await redisClient.set(key, "done", "EX", EVENT_DONE_TTL);
+        return { handled: false };
+      }
+    }
+
+    await ACTION_HANDLERS[action.type](provider, action);
+  } catch (error) {
+    // Let the provider's retry through
+    await redisClient.del(key);
+    throw error;
+  }
+
+  await redisClient.set(key, "done", "EX", EVENT_DONE_TTL);
+  console.log(tag, "Webhook", event.id, action.type, "applied to order", action.orderId);
+
+  return { handled: true, action: action.type };
+};
+
+export default {
+  handlePaymentWebhook,
+};
@@ -0,0 +1,296 @@
+import redisClient from "../config/redis.js";
+import { getOrder, getOrderByKey, updateOrderStatus, addOrderNote } from "./checkout.service.js";
+import { releaseOrderReservation } from "./stock-reservation.service.js";
+import { commitSampleUsage } from "./sample-policy.service.js";
+import { sendOrderConfirmationEmail } from "./email.service.js";
+import { roundAmount } from "./currency.service.js";
+import { CHECKOUT_STATES, recordCheckoutPayment } from "./checkout-session.service.js";
+import { log } from "../utils/logger.js";
+import { stripeProvider } from "./stripe.service.js";
+import { paypalProvider } from "./paypal.service.js";
+
+/**
+ * Payment Providers
+ * Checkout talks to every payment provider through the same interface, and
+ * routes pick the provider by ID (/api/checkout/payments/:provider/...).
+ *
+ * A provider is an object with:
+ *   id, label
+ *   transactionMetaKey           - order meta holding the ID refundPayment needs (see orderMeta)
+ *   isConfigured()               - false if its keys are missing
+ *   getConfig()                  - public config for the frontend SDK
+ *   createPayment(params)        - params { orderId, orderKey, amount, currency, customerEmail, idempotencyKey }
+ *                                  (amount in currency units); returns what the frontend needs to pay
+ *   confirmPayment(body)         - confirm/capture from the request body; returns { paid, pending, status,
+ *                                  orderId, orderKey, amount, currency, transactionId, orderMeta, details }
+ *                                  (amount is what was actually taken, in currency units)
+ *   refundPayment(params)        - params { transactionId, amount?, currency, reason?, idempotencyKey? };
+ *                                  returns { refundId, status, amount, currency }
+ *   getPaymentStatus(paymentId)  - current state of a payment, for the frontend
+ *                                  { status, orderId, amount, currency } - never the order key,
+ *                                  anyone with the payment ID can call it
+ *   verifyWebhook({ headers, rawBody }) - the verified event (throws 400 if the signature is bad)
+ *   parseWebhookEvent(event)     - the event as a payment-webhook.service.js action, or null to ignore it
+ *
+ * To add a provider, implement this next to its API client and register it below.
+ */
+
+export const PAYMENT_KEY_PREFIX = "payment:";
+
+// Orders in these states have been paid already
+export const PAID_ORDER_STATUSES = ["processing", "completed", "refunded"];
+
+// Orders in these states can't be paid
+const CANCELLED_ORDER_STATUSES = ["cancelled", "trash"];
+
+// A paid order is finalized once, even if the shopper's confirm and the
+// provider's webhook arrive together
+const FINALIZE_CLAIM_TTL = 30 * 24 * 60 * 60;
+const finalizeClaimKey = (orderId) => `${PAYMENT_KEY_PREFIX}paid:${orderId}`;
+
+// Claim value for an order on hold for a mismatch - repeats get the same answer
+const MISMATCH_CLAIM = "amount_mismatch";
+
+const providers = new Map();
+
+/**
+ * Add a provider to the registry (replaces one with the same ID)
+ * @param {Object} provider - See the interface above
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.id, provider);
+};
+
+/**
+ * Get a provider by ID
+ * @throws 404 if there is no such provider
+ */
+export const getPaymentProvider = (providerId) => {
+  const provider = providers.get(String(providerId || "").toLowerCase());
+
+  if (!provider) {
+    const error = new Error(`Unknown payment provider: ${providerId}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Find the provider that took an order's payment, from the order's meta
+ * @param {Object} order - From getOrderPaymentDetails
+ * @returns {Object|null} { provider, transactionId }, or null if none of ours did
+ */
+export const findOrderPaymentProvider = (order) => {
+  for (const provider of providers.values()) {
+    const transactionId = order.meta?.[provider.transactionMetaKey];
+    if (transactionId) return { provider, transactionId };
+  }
+
+  return null;
+};
+
+/**
+ * Providers for the frontend
+ * @returns {Array} [{ id, label, configured }]
+ */
+export const listPaymentProviders = () =>
+  [...providers.values()].map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+    configured: provider.isConfigured(),
+  }));
+
+const paymentError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+const amountMismatchError = () =>
+  paymentError(
+    "The amount paid doesn't match your order total. Your order is on hold and we'll be in touch.",
+    409,
+    "payment_amount_mismatch"
+  );
+
+/**
+ * What to charge for an order - always the WooCommerce order total, never
+ * an amount sent by the client
+ *
+ * @param {number|string} orderId - Order ID
+ * @param {string} orderKey - Order key
+ * @returns {Promise<Object>} { order, amount, currency }
+ * @throws 409 if the order is already paid or cancelled, 400 if there's nothing to pay
+ */
+export const getPayableOrder = async (orderId, orderKey) => {
+  const { order } = await getOrderByKey(orderId, orderKey);
+
+  if (PAID_ORDER_STATUSES.includes(order.status)) {
+    throw paymentError("This order has already been paid", 409, "order_paid");
+  }
+
+  if (CANCELLED_ORDER_STATUSES.includes(order.status)) {
+    throw paymentError("This order has been cancelled", 409, "order_cancelled");
+  }
+
+  // Already paid with the wrong amount - staff sort it out, not another payment
+  if ((await redisClient.get(finalizeClaimKey(orderId))) === MISMATCH_CLAIM) {
+    throw amountMismatchError();
+  }
+
+  const amount = roundAmount(parseFloat(order.total) || 0, order.currency);
+  if (amount <= 0) {
+    throw paymentError("This order has nothing to pay", 400);
+  }
+
+  return { order, amount, currency: order.currency };
+};
+
+/**
+ * Whether a payment covers an order's total exactly, in its currency
+ */
+const matchesOrderTotal = (order, { amount, currency }) =>
+  String(currency || "").toUpperCase() === order.currency &&
+  roundAmount(parseFloat(amount), order.currency) === roundAmount(parseFloat(order.total), order.currency);
+
+/**
+ * Put an order paid with the wrong amount on hold for staff
+ * @throws 409 payment_amount_mismatch, always
+ */
+const holdMismatchedPayment = async (provider, order, { amount, currency, transactionId, orderMeta }) => {
+  log.security("payment_amount_mismatch", {
+    provider: provider.id,
+    orderId: order.id,
+    orderTotal: order.total,
+    orderCurrency: order.currency,
+    paidAmount: amount,
+    paidCurrency: currency,
+    transactionId,
+  });
+
+  await updateOrderStatus(order.id, "on-hold", { transactionId, meta: orderMeta });
+  await addOrderNote(
+    order.id,
+    `${provider.label} payment ${transactionId} of ${amount} ${currency} doesn't match the order total of ${order.total} ${order.currency}. Check the payment before shipping.`
+  );
+  await redisClient.set(finalizeClaimKey(order.id), MISMATCH_CLAIM, "EX", FINALIZE_CLAIM_TTL);
+
+  throw amountMismatchError();
+};
+
+/**
+ * Mark a paid order as processing, stop holding its stock, count its free
+ * samples and send the confirmation email. Does nothing if the order was already finalized.
+ *
+ * If the amount taken isn't the order total the order is put on hold for
+ * staff to check instead, and a security event is logged.
+ *
+ * @param {Object} provider - The provider that took the payment
+ * @param {Object} payment - From provider.confirmPayment
+ * @returns {Promise<boolean>} false if it was already finalized
+ * @throws 409 (code payment_amount_mismatch) if the amount doesn't match, or
+ *   any error updating the order (it can be retried)
+ */
+export const finalizePaidOrder = async (provider, payment) => {
+  const { orderId, transactionId, orderMeta } = payment;
+  const tag = `[${provider.label}]`;
+
+  const claimed = await redisClient.set(finalizeClaimKey(orderId), provider.id, "EX", FINALIZE_CLAIM_TTL, "NX");
+  if (!claimed) {
+    if ((await redisClient.get(finalizeClaimKey(orderId))) === MISMATCH_CLAIM) {
+      throw amountMismatchError();
+    }
+
+    console.log(tag, "Order", orderId, "already finalized");
+    return false;
+  }
+
+  try {
+    const { order } = await getOrder(orderId);
+    if (PAID_ORDER_STATUSES.includes(order.status)) {
+      console.log(tag, "Order", orderId, "already", order.status);
+      return false;
+    }
+
+    if (!matchesOrderTotal(order, payment)) {
+      await holdMismatchedPayment(provider, order, payment);
+    } else {
+      await updateOrderStatus(orderId, "processing", {
+        paymentMethod: provider.id,
+        transactionId,
+        meta: orderMeta,
+      });
+      console.log(tag, "Order", orderId, "marked as processing");
+    }
+  } catch (error) {
+    // Retries are welcome unless the order is on hold for a mismatch
+    if (error.code !== "payment_amount_mismatch") {
+      await redisClient.del(finalizeClaimKey(orderId));
+    }
+    throw error;
+  }
+
+  // WooCommerce reduces stock itself now the order is processing
+  await releaseOrderReservation(orderId);
+
+  // Free samples only use up the shopper's allowance once they're paid for
+  await commitSampleUsage(orderId);
+
+  await recordCheckoutPayment(orderId, CHECKOUT_STATES.PAID, {
+    provider: provider.id,
+    status: "paid",
+    amount: payment.amount,
+    currency: payment.currency,
+    transactionId,
+  });
+
+  // Send order confirmation email to customer
+  const emailResult = await sendOrderConfirmationEmail(orderId);
+  if (emailResult.success) {
+    console.log(tag, "Order confirmation email sent for order", orderId);
+  } else {
+    console.warn(tag, "Failed to send order email:", emailResult.message);
+  }
+
+  return true;
+};
+
+/**
+ * Act on the outcome of a payment: finalize the order if it's paid, or let
+ * other shoppers have its stock again if the payment is over (cancelled or
+ * declined). Payments that can still complete - awaiting 3-D Secure, a new
+ * card or the bank - keep their hold until it expires.
+ *
+ * @param {Object} provider - The provider that took the payment
+ * @param {Object} payment - From provider.confirmPayment
+ */
+export const settleOrderPayment = async (provider, payment) => {
+  if (!payment.orderId) return;
+
+  if (payment.paid) {
+    await finalizePaidOrder(provider, payment);
+  } else if (!payment.pending) {
+    await releaseOrderReservation(payment.orderId);
+    await recordCheckoutPayment(payment.orderId, CHECKOUT_STATES.FAILED, {
+      provider: provider.id,
+      status: payment.status,
+    });
+  }
+};
+
+registerPaymentProvider(stripeProvider);
+registerPaymentProvider(paypalProvider);
+
+export default {
+  PAID_ORDER_STATUSES,
+  getPayableOrder,
+  registerPaymentProvider,
+  getPaymentProvider,
+  findOrderPaymentProvider,
+  listPaymentProviders,
+  finalizePaidOrder,
+  settleOrderPayment,
+};
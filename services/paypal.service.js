@@ -1,3 +1,5 @@
+import { BASE_CURRENCY } from "./currency.service.js";
+
 /**
  * PayPal Payment Service
  * Handles PayPal order creation and capture using PayPal REST API v2
@@ -6,6 +8,7 @@
 const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
 const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
 const PAYPAL_MERCHANT_ID = process.env.PAYPAL_LIVE_MERCHANT_ID;
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID;
 
 // Use sandbox for testing, live for production
 const PAYPAL_BASE_URL = process.env.NODE_ENV === 'production'
@@ -45,18 +48,20 @@ const getAccessToken = async () => {
  * Create a PayPal order
  * @param {Object} params - Order parameters
  * @param {number} params.amount - Amount in currency units (e.g., 10.99)
- * @param {string} params.currency - Currency code (e.g., 'GBP')
+ * @param {string} params.currency - Currency code (e.g., 'GBP', 'EUR')
  * @param {number} params.orderId - WooCommerce order ID
  * @param {string} params.orderKey - WooCommerce order key
  * @param {string} params.description - Order description
+ * @param {string} [params.requestId] - PayPal-Request-Id; PayPal returns the same order for repeats
  * @returns {Promise<Object>} PayPal order object with approval URL
  */
 export const createPayPalOrder = async ({
   amount,
-  currency = 'GBP',
+  currency = BASE_CURRENCY,
   orderId,
   orderKey,
   description,
+  requestId,
 }) => {
   try {
     const accessToken = await getAccessToken();
@@ -88,7 +93,7 @@ export const createPayPalOrder = async ({
       headers: {
         'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json',
-        'PayPal-Request-Id': `order-${orderId}-${Date.now()}`, // Idempotency key
+        'PayPal-Request-Id': requestId || `order-${orderId}-${Date.now()}`, // Idempotency key
       },
       body: JSON.stringify(orderData),
     });
@@ -171,6 +176,7 @@ export const capturePayPalOrder = async (paypalOrderId) => {
       orderId,
       orderKey,
       captureId: capture?.id,
+      captureStatus: capture?.status,
       amount: capture?.amount?.value,
       currency: capture?.amount?.currency_code,
       payerEmail: captureData.payer?.email_address,
@@ -224,6 +230,104 @@ export const getPayPalOrder = async (paypalOrderId) => {
   }
 };
 
+/**
+ * Get a captured payment
+ * @param {string} captureId - The capture ID
+ * @returns {Promise<Object>} Capture details, with the PayPal order it belongs to
+ */
+export const getPayPalCapture = async (captureId) => {
+  try {
+    const accessToken = await getAccessToken();
+
+    const response = await fetch(`${PAYPAL_BASE_URL}/v2/payments/captures/${captureId}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error('[PayPal] Failed to get capture:', errorData);
+      throw new Error(errorData.message || 'Failed to get PayPal capture details');
+    }
+
+    const capture = await response.json();
+
+    return {
+      success: true,
+      captureId: capture.id,
+      status: capture.status,
+      paypalOrderId: capture.supplementary_data?.related_ids?.order_id,
+      orderKey: capture.custom_id,
+      amount: capture.amount?.value,
+      currency: capture.amount?.currency_code,
+    };
+  } catch (error) {
+    console.error('[PayPal] Failed to get capture:', error.message);
+    throw new Error(error.message || 'Failed to get PayPal capture details');
+  }
+};
+
+/**
+ * Refund a captured payment (in full, or part of it)
+ * @param {Object} params - Refund parameters
+ * @param {string} params.captureId - The capture to refund
+ * @param {number} [params.amount] - Amount in currency units (omit for the full amount)
+ * @param {string} [params.currency] - Currency code (required with amount)
+ * @param {string} [params.note] - Note shown to the payer
+ * @param {string} [params.requestId] - PayPal-Request-Id; PayPal returns the same refund for repeats
+ * @returns {Promise<Object>} Refund result
+ */
+export const refundPayPalCapture = async ({ captureId, amount, currency = BASE_CURRENCY, note, requestId }) => {
+  try {
+    const accessToken = await getAccessToken();
+
+    const refundData = {};
+    if (amount) {
+      refundData.amount = {
+        currency_code: currency.toUpperCase(),
+        value: parseFloat(amount).toFixed(2),
+      };
+    }
+    if (note) {
+      refundData.note_to_payer = note.slice(0, 255);
+    }
+
+    const response = await fetch(`${PAYPAL_BASE_URL}/v2/payments/captures/${captureId}/refund`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'PayPal-Request-Id': requestId || `refund-${captureId}-${Date.now()}`,
+      },
+      body: JSON.stringify(refundData),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      console.error('[PayPal] Failed to refund capture:', errorData);
+      throw new Error(errorData.details?.[0]?.description || errorData.message || 'Failed to refund PayPal payment');
+    }
+
+    const refund = await response.json();
+
+    console.log('[PayPal] Refund created:', refund.id, 'Status:', refund.status);
+
+    return {
+      success: true,
+      refundId: refund.id,
+      status: refund.status,
+      amount: refund.amount?.value,
+      currency: refund.amount?.currency_code,
+    };
+  } catch (error) {
+    console.error('[PayPal] Failed to refund capture:', error.message);
+    throw new Error(error.message || 'Failed to refund PayPal payment');
+  }
+};
+
 /**
  * Verify webhook signature (for PayPal webhooks)
  * @param {Object} headers - Request headers
@@ -283,11 +387,216 @@ export const getMerchantId = () => {
   return PAYPAL_MERCHANT_ID;
 };
 
+/**
+ * WooCommerce order a capture belongs to - its PayPal order's reference_id
+ * (the capture only carries the order key, as custom_id)
+ * @returns {Promise<Object>} { orderId, orderKey }
+ */
+const getOrderForCapture = async (paypalOrderId, orderKey) => {
+  if (!paypalOrderId) return { orderId: null, orderKey };
+
+  const paypalOrder = await getPayPalOrder(paypalOrderId);
+  return { orderId: paypalOrder.orderId, orderKey: orderKey || paypalOrder.orderKey };
+};
+
+/**
+ * Turn a PayPal event into a webhook action (see payment-webhook.service.js)
+ * @param {Object} event - Verified PayPal webhook event
+ * @returns {Promise<Object|null>} null for events we don't act on
+ */
+export const parseWebhookEvent = async (event) => {
+  const resource = event.resource || {};
+
+  switch (event.event_type) {
+    // The shopper approved but never came back to capture - the webhook
+    // handler captures it once the event is claimed and the order key checked
+    case 'CHECKOUT.ORDER.APPROVED': {
+      const purchaseUnit = resource.purchase_units?.[0];
+      const { orderId, orderKey } = purchaseUnit?.reference_id
+        ? { orderId: purchaseUnit.reference_id, orderKey: purchaseUnit.custom_id }
+        : await getPayPalOrder(resource.id);
+
+      return {
+        type: 'capture_approved',
+        paypalOrderId: resource.id,
+        orderId,
+        orderKey,
+      };
+    }
+
+    case 'PAYMENT.CAPTURE.COMPLETED': {
+      const paypalOrderId = resource.supplementary_data?.related_ids?.order_id;
+      const { orderId, orderKey } = await getOrderForCapture(paypalOrderId, resource.custom_id);
+      return {
+        type: 'payment_succeeded',
+        orderId,
+        orderKey,
+        amount: resource.amount?.value,
+        currency: resource.amount?.currency_code,
+        transactionId: resource.id,
+        orderMeta: { _paypal_order_id: paypalOrderId, _paypal_capture_id: resource.id },
+      };
+    }
+
+    case 'PAYMENT.CAPTURE.DENIED': {
+      const { orderId, orderKey } = await getOrderForCapture(
+        resource.supplementary_data?.related_ids?.order_id,
+        resource.custom_id
+      );
+      return {
+        type: 'payment_failed',
+        orderId,
+        orderKey,
+        message: resource.status_details?.reason || 'Capture denied',
+      };
+    }
+
+    // The resource is the refund - its "up" link is the capture it refunds
+    case 'PAYMENT.CAPTURE.REFUNDED': {
+      const captureId = resource.links?.find((link) => link.rel === 'up')?.href?.split('/').pop();
+      if (!captureId) return null;
+
+      const capture = await getPayPalCapture(captureId);
+
+      // This refund's own amount isn't the running total - only a fully refunded capture tells us that
+      const totalRefunded = resource.seller_payable_breakdown?.total_refunded_amount
+        || (capture.status === 'REFUNDED' && { value: capture.amount, currency_code: capture.currency });
+
+      if (!totalRefunded) {
+        console.warn(`[PayPal] Refund ${resource.id} has no refunded total, skipped`);
+        return null;
+      }
+
+      const { orderId, orderKey } = await getOrderForCapture(capture.paypalOrderId, capture.orderKey);
+
+      return {
+        type: 'refunded',
+        orderId,
+        orderKey,
+        amountRefunded: parseFloat(totalRefunded?.value) || 0,
+        currency: totalRefunded?.currency_code || capture.currency,
+      };
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * PayPal as a payment provider (see payment.service.js)
+ */
+export const paypalProvider = {
+  id: 'paypal',
+  label: 'PayPal',
+  transactionMetaKey: '_paypal_capture_id',
+
+  isConfigured: () => Boolean(PAYPAL_CLIENT_ID && PAYPAL_CLIENT_SECRET),
+
+  getConfig: () => ({ clientId: getClientId() }),
+
+  createPayment: async ({ orderId, orderKey, amount, currency, idempotencyKey }) => {
+    const result = await createPayPalOrder({
+      amount,
+      currency,
+      orderId,
+      orderKey,
+      description: `Order #${orderId}`,
+      requestId: idempotencyKey,
+    });
+
+    return { paypalOrderId: result.paypalOrderId, approvalUrl: result.approvalUrl };
+  },
+
+  confirmPayment: async ({ paypalOrderId }) => {
+    if (!paypalOrderId) {
+      const error = new Error('PayPal order ID is required');
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await capturePayPalOrder(paypalOrderId);
+
+    // A capture can be held for review (PENDING) even when the order is COMPLETED
+    const status = result.alreadyCaptured ? 'COMPLETED' : result.captureStatus || result.status;
+
+    return {
+      paid: status === 'COMPLETED',
+      pending: status === 'PENDING',
+      status,
+      orderId: result.orderId,
+      orderKey: result.orderKey,
+      amount: result.amount,
+      currency: result.currency,
+      transactionId: result.captureId,
+      orderMeta: { _paypal_order_id: paypalOrderId, _paypal_capture_id: result.captureId },
+      details: {
+        paypalOrderId: result.paypalOrderId,
+        captureId: result.captureId,
+        status: result.status,
+      },
+    };
+  },
+
+  // transactionId is the capture ID
+  refundPayment: async ({ transactionId, amount, currency, reason, idempotencyKey }) => {
+    const result = await refundPayPalCapture({
+      captureId: transactionId,
+      amount,
+      currency,
+      note: reason,
+      requestId: idempotencyKey,
+    });
+
+    return {
+      refundId: result.refundId,
+      status: result.status,
+      amount: parseFloat(result.amount),
+      currency: result.currency,
+    };
+  },
+
+  getPaymentStatus: async (paypalOrderId) => {
+    const result = await getPayPalOrder(paypalOrderId);
+
+    return {
+      paypalOrderId: result.paypalOrderId,
+      status: result.status,
+      orderId: result.orderId,
+      amount: result.amount,
+      currency: result.currency,
+    };
+  },
+
+  verifyWebhook: async ({ headers, rawBody }) => {
+    if (!PAYPAL_WEBHOOK_ID) {
+      const error = new Error('PayPal webhooks are not configured');
+      error.status = 500;
+      throw error;
+    }
+
+    const isValid = await verifyWebhookSignature(headers, rawBody, PAYPAL_WEBHOOK_ID);
+    if (!isValid) {
+      const error = new Error('Webhook signature verification failed');
+      error.status = 400;
+      throw error;
+    }
+
+    return JSON.parse(rawBody);
+  },
+
+  parseWebhookEvent,
+};
+
 export default {
   createPayPalOrder,
   capturePayPalOrder,
   getPayPalOrder,
+  getPayPalCapture,
+  refundPayPalCapture,
   verifyWebhookSignature,
+  parseWebhookEvent,
   getClientId,
   getMerchantId,
+  paypalProvider,
 };
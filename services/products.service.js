@@ -327,7 +327,7 @@ export async function fetchPopularProducts(forceRefresh = false) {
       orderby: 'popularity',
       order: 'desc',
       per_page: 12,
-      _fields: 'id,name,slug,permalink,price_html,images,attributes,stock_status,categories,yoast_head_json'
+      _fields: 'id,name,slug,permalink,price_html,images,attributes,stock_status,manage_stock,stock_quantity,backorders,categories,yoast_head_json'
     };
 
     const { data } = await wcApi.get("products", params);
@@ -0,0 +1,196 @@
+import { fetchAllProducts } from "./products.service.js";
+import { loadCart } from "./cart-store.service.js";
+import { BASE_CURRENCY, loadExchangeRates, localizeProducts } from "./currency.service.js";
+
+/**
+ * "Complete the Job" Recommendations
+ * Suggests the adhesive, grout and sealer needed for the tiles in a cart,
+ * following the advice on the adhesive/grout and sealing & maintenance pages.
+ *
+ * Each rule names an accessory product (by SKU) and how many m² one unit
+ * covers. Coverage can depend on the tile's material (`pa_material`) and
+ * finish (`pa_finish`); a rule can be limited to some materials (sealer is
+ * only for natural stone). Only lines bought by area (sqm) are counted.
+ */
+
+const NATURAL_STONE = ["limestone", "marble", "travertine", "slate", "sandstone", "granite", "quartzite"];
+
+export const ACCESSORY_RULES = [
+  {
+    id: "adhesive",
+    label: "Tile adhesive",
+    sku: process.env.ACCESSORY_ADHESIVE_SKU || "ADHESIVE-20KG",
+    coveragePerUnit: 4, // m² per 20kg bag
+    // Natural stone needs a solid bed of adhesive
+    coverageByMaterial: { limestone: 3, marble: 3, travertine: 3, slate: 3, sandstone: 3, granite: 3, quartzite: 3 },
+  },
+  {
+    id: "grout",
+    label: "Grout",
+    sku: process.env.ACCESSORY_GROUT_SKU || "GROUT-5KG",
+    coveragePerUnit: 10, // m² per 5kg bag
+    // Tumbled and riven edges leave wider joints
+    coverageByFinish: { tumbled: 6, riven: 6 },
+  },
+  {
+    id: "sealer",
+    label: "Stone sealer",
+    sku: process.env.ACCESSORY_SEALER_SKU || "SEALER-1L",
+    coveragePerUnit: 12, // m² per litre
+    // Porous finishes soak up more
+    coverageByFinish: { tumbled: 8, honed: 10, riven: 8, brushed: 10 },
+    materials: NATURAL_STONE,
+  },
+];
+
+const normalize = (value) => String(value || "").trim().toLowerCase();
+
+/**
+ * Options of a product attribute, by slug (e.g. "pa_material")
+ */
+const getAttributeOptions = (product, slug) =>
+  (product?.attributes || [])
+    .find((attribute) => attribute.slug === slug)
+    ?.options?.map(normalize) || [];
+
+/**
+ * The finish chosen for a cart line (variation first, then the product's own)
+ */
+const getItemFinish = (item, product) => {
+  const chosen = (item.variation || []).find((attribute) =>
+    /finish/i.test(attribute.attribute || attribute.name || "")
+  );
+
+  return normalize(chosen?.value ?? chosen?.option) || getAttributeOptions(product, "pa_finish")[0] || "";
+};
+
+/**
+ * First coverage entry whose key appears in the value
+ * ("honed (matt - smooth)" matches "honed")
+ */
+const matchCoverage = (coverageMap, value) =>
+  Object.entries(coverageMap || {}).find(([key]) => value.includes(key))?.[1];
+
+/**
+ * m² one unit of the accessory covers for this tile, or null if the rule doesn't apply
+ */
+const getRuleCoverage = (rule, { material, finish }) => {
+  if (rule.materials && !rule.materials.some((name) => material.includes(name))) return null;
+
+  return (
+    matchCoverage(rule.coverageByFinish, finish) ||
+    matchCoverage(rule.coverageByMaterial, material) ||
+    rule.coveragePerUnit
+  );
+};
+
+/**
+ * Work out accessory quantities for a cart
+ * @param {Object} cart - Cart (items with productId, sqm, variation)
+ * @param {Array} products - Catalog products (see fetchAllProducts)
+ * @returns {Array} [{ rule, product, quantity, inCart, sqm, materials }]
+ */
+export const calculateRecommendations = (cart, products) => {
+  const productsById = new Map(products.map((product) => [product.id, product]));
+  const productsBySku = new Map(products.filter((product) => product.sku).map((product) => [product.sku, product]));
+
+  const recommendations = [];
+
+  for (const rule of ACCESSORY_RULES) {
+    const accessory = productsBySku.get(rule.sku);
+    if (!accessory || accessory.stock_status === "outofstock") continue;
+
+    let units = 0;
+    let sqm = 0;
+    const materials = new Set();
+
+    for (const item of cart.items) {
+      const area = parseFloat(item.sqm) || 0;
+      if (area <= 0 || item.isSample) continue;
+
+      const product = productsById.get(item.productId);
+      const material = getAttributeOptions(product, "pa_material")[0] || "";
+      const coverage = getRuleCoverage(rule, { material, finish: getItemFinish(item, product) });
+      if (!coverage) continue;
+
+      units += area / coverage;
+      sqm += area;
+      if (material) materials.add(material);
+    }
+
+    if (units === 0) continue;
+
+    const needed = Math.ceil(Number(units.toFixed(6)));
+    const inCart = cart.items
+      .filter((item) => item.productId === accessory.id)
+      .reduce((count, item) => count + item.quantity, 0);
+    const quantity = Math.max(0, needed - inCart);
+
+    if (quantity === 0) continue;
+
+    recommendations.push({
+      rule,
+      product: accessory,
+      quantity,
+      inCart,
+      sqm: Number(sqm.toFixed(2)),
+      materials: [...materials],
+    });
+  }
+
+  return recommendations;
+};
+
+/**
+ * Accessory recommendations for a cart
+ * `bulkItems` can be sent as-is to POST /api/cart/add-bulk.
+ *
+ * @param {string|null} cartToken - Cart session token
+ * @returns {Promise<Object>} { recommendations, bulkItems }
+ */
+export const getCartRecommendations = async (cartToken) => {
+  const cart = cartToken ? await loadCart(cartToken) : null;
+  if (!cart || cart.items.length === 0) {
+    return { recommendations: [], bulkItems: [] };
+  }
+
+  const products = await fetchAllProducts();
+  const results = calculateRecommendations(cart, products);
+
+  await loadExchangeRates();
+  const localized = localizeProducts(
+    results.map(({ product }) => product),
+    cart.currency || BASE_CURRENCY
+  );
+
+  const recommendations = results.map(({ rule, quantity, inCart, sqm, materials }, index) => {
+    const product = localized[index];
+    const materialText = materials.length > 0 ? ` of ${materials.join(" and ")}` : "";
+
+    return {
+      type: rule.id,
+      label: rule.label,
+      productId: product.id,
+      name: product.name,
+      slug: product.slug,
+      sku: product.sku,
+      price: product.price,
+      image: product.images?.[0]?.src || "",
+      quantity,
+      inCart,
+      sqm,
+      reason: `For ${sqm} m²${materialText}`,
+    };
+  });
+
+  return {
+    recommendations,
+    bulkItems: recommendations.map(({ productId, quantity }) => ({ productId, quantity })),
+  };
+};
+
+export default {
+  ACCESSORY_RULES,
+  calculateRecommendations,
+  getCartRecommendations,
+};
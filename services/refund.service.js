@@ -0,0 +1,246 @@
+import crypto from "crypto";
+import redisClient from "../config/redis.js";
+import {
+  getOrderPaymentDetails,
+  getOrderRefunds,
+  createOrderRefund,
+  addOrderNote,
+} from "./checkout.service.js";
+import { PAYMENT_KEY_PREFIX, PAID_ORDER_STATUSES, findOrderPaymentProvider } from "./payment.service.js";
+import { sendOrderEmail } from "./email.service.js";
+import { roundAmount } from "./currency.service.js";
+import { log } from "../utils/logger.js";
+
+/**
+ * Refunds
+ * Staff refund an order - in full, in part, or by line item - from here. The
+ * money goes back through the provider that took it (found from the order's
+ * meta, see findOrderPaymentProvider), then the refund is recorded on the
+ * WooCommerce order and the shopper gets the "refunded" email. Orders paid
+ * through a WooCommerce gateway plugin are refunded by WooCommerce itself.
+ *
+ * Refunds for one order run one at a time, so partial refunds can never add
+ * up to more than was paid.
+ */
+
+const REFUND_LOCK_TTL = 60; // seconds - longer than a provider refund takes
+const refundLockKey = (orderId) => `${PAYMENT_KEY_PREFIX}refund-lock:${orderId}`;
+
+// Releases the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+// Orders that have been paid and can be refunded (on hold = paid, but held for staff)
+const REFUNDABLE_ORDER_STATUSES = [...PAID_ORDER_STATUSES, "on-hold"];
+
+const refundError = (message, status, data = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (data) error.data = data;
+  return error;
+};
+
+/**
+ * Whether a refund is being issued for an order right now
+ * (the refund webhook waits, so it doesn't record the refund a second time)
+ */
+export const isRefundInProgress = async (orderId) =>
+  Boolean(await redisClient.exists(refundLockKey(orderId)));
+
+/**
+ * WooCommerce refund lines for refunded items - each line's total and tax,
+ * in proportion to the quantity refunded
+ *
+ * @param {Object} order - From getOrderPaymentDetails
+ * @param {Array} items - [{ id, quantity }]
+ * @returns {Array} [{ id, quantity, refundTotal, refundTax: [{ id, refundTotal }] }]
+ */
+const buildRefundLines = (order, items) =>
+  items.map((item) => {
+    const line = order.lineItems.find((orderLine) => String(orderLine.id) === String(item.id));
+    if (!line) {
+      throw refundError(`Line item ${item.id} isn't on this order`, 400);
+    }
+
+    const quantity = parseInt(item.quantity, 10);
+    if (!(quantity > 0) || quantity > line.quantity) {
+      throw refundError(`Refund quantity for ${line.name} must be between 1 and ${line.quantity}`, 400);
+    }
+
+    const share = (value) => roundAmount(((parseFloat(value) || 0) * quantity) / line.quantity, order.currency);
+
+    return {
+      id: line.id,
+      quantity,
+      refundTotal: share(line.total),
+      refundTax: line.taxes.map((tax) => ({ id: tax.id, refundTotal: share(tax.total) })),
+    };
+  });
+
+const sumRefundLines = (lines, currency) =>
+  roundAmount(
+    lines.reduce(
+      (sum, line) => sum + line.refundTotal + line.refundTax.reduce((taxSum, tax) => taxSum + tax.refundTotal, 0),
+      0
+    ),
+    currency
+  );
+
+/**
+ * Log a failed refund and leave a note on the order for whoever looks next
+ */
+const reportRefundFailure = async (order, message, { error, ...details }) => {
+  log.error(`Refund failed for order ${order.id}`, error, { type: "payment", orderId: order.id, ...details });
+
+  try {
+    await addOrderNote(order.id, message);
+  } catch (error) {
+    // Already logged by addOrderNote
+  }
+};
+
+/**
+ * Refund an order
+ * @param {number|string} orderId - Order ID
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount in the order currency (defaults to the line items' total)
+ * @param {Array} [options.lineItems] - [{ id, quantity }] order lines being refunded (restocked by WooCommerce)
+ * @param {string} [options.reason] - Shown on the refund (and to PayPal payers)
+ * @param {Object} [options.staff] - Staff member issuing it
+ * @param {string} [options.idempotencyKey] - The request's Idempotency-Key (the route scopes it by order)
+ * @returns {Promise<Object>} { refundId, provider, providerRefundId, status, amount, currency, totalRefunded, remaining, emailSent }
+ * @throws 400 (bad amount/items), 409 (unpaid order, refund already running), 502 with
+ *   error.data.stage "provider" or "woocommerce" if the refund failed part way
+ */
+export const refundOrder = async (
+  orderId,
+  { amount, lineItems = [], reason = "", staff = null, idempotencyKey = null } = {}
+) => {
+  const lockKey = refundLockKey(orderId);
+  const owner = crypto.randomBytes(16).toString("hex");
+  const locked = await redisClient.set(lockKey, owner, "EX", REFUND_LOCK_TTL, "NX");
+  if (!locked) {
+    throw refundError("Another refund for this order is in progress. Try again in a moment.", 409);
+  }
+
+  try {
+    const order = await getOrderPaymentDetails(orderId);
+    const { currency } = order;
+
+    if (!REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+      throw refundError(`This order can't be refunded (status: ${order.status})`, 409);
+    }
+
+    const lines = buildRefundLines(order, lineItems);
+    const refundAmount =
+      amount !== undefined && amount !== null
+        ? roundAmount(parseFloat(amount), currency)
+        : sumRefundLines(lines, currency);
+
+    if (!(refundAmount > 0)) {
+      throw refundError("Refund amount must be more than 0", 400);
+    }
+
+    const refunds = await getOrderRefunds(orderId);
+    const alreadyRefunded = roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0), currency);
+    const refundable = roundAmount(parseFloat(order.total) - alreadyRefunded, currency);
+
+    if (refundAmount > refundable) {
+      throw refundError(`Only ${refundable.toFixed(2)} ${currency} is left to refund on this order`, 400);
+    }
+
+    // Step 1: Send the money back through the provider that took it
+    const payment = findOrderPaymentProvider(order);
+    const providerLabel = payment ? payment.provider.label : "WooCommerce";
+    let providerRefund = null;
+
+    if (payment) {
+      try {
+        providerRefund = await payment.provider.refundPayment({
+          transactionId: payment.transactionId,
+          amount: refundAmount,
+          currency,
+          reason,
+          // A retry with the same Idempotency-Key gets the provider's first refund back.
+          // Without one, every request is a new refund.
+          idempotencyKey: idempotencyKey && `refund-${orderId}-${idempotencyKey}`,
+        });
+      } catch (error) {
+        await reportRefundFailure(
+          order,
+          `${providerLabel} refund of ${refundAmount.toFixed(2)} ${currency} failed: ${error.message}`,
+          { provider: payment.provider.id, amount: refundAmount, error }
+        );
+        throw refundError(`${providerLabel} refund failed: ${error.message}`, 502, { stage: "provider" });
+      }
+    }
+
+    // Step 2: Record it on the order (for gateway-plugin orders WooCommerce refunds the payment too)
+    let orderRefund;
+    try {
+      orderRefund = await createOrderRefund(orderId, {
+        amount: refundAmount.toFixed(2),
+        reason,
+        lineItems: lines,
+        apiRefund: !payment,
+        meta: {
+          _refund_provider: payment ? payment.provider.id : "woocommerce",
+          _provider_refund_id: providerRefund?.refundId || "",
+          _refunded_by: staff?.email || "",
+        },
+      });
+    } catch (error) {
+      const message = providerRefund
+        ? `Refunded ${refundAmount.toFixed(2)} ${currency} through ${providerLabel} (${providerRefund.refundId}) but couldn't record it in WooCommerce: ${error.message}. Don't refund again - it will be recorded when ${providerLabel} confirms the refund.`
+        : `WooCommerce refund of ${refundAmount.toFixed(2)} ${currency} failed: ${error.message}`;
+
+      await reportRefundFailure(order, message, {
+        provider: payment?.provider.id || "woocommerce",
+        providerRefundId: providerRefund?.refundId,
+        amount: refundAmount,
+        error,
+      });
+      throw refundError(message, 502, { stage: "woocommerce", providerRefund });
+    }
+
+    log.payment("refund", {
+      orderId: order.id,
+      provider: payment?.provider.id || "woocommerce",
+      providerRefundId: providerRefund?.refundId,
+      amount: refundAmount,
+      currency,
+      staff: staff?.email,
+    });
+
+    const emailResult = await sendOrderEmail(orderId, "refunded");
+
+    const totalRefunded = roundAmount(alreadyRefunded + refundAmount, currency);
+
+    return {
+      refundId: orderRefund.id,
+      provider: payment?.provider.id || "woocommerce",
+      providerRefundId: providerRefund?.refundId || null,
+      status: providerRefund?.status || "completed",
+      amount: refundAmount,
+      currency,
+      totalRefunded,
+      remaining: roundAmount(parseFloat(order.total) - totalRefunded, currency),
+      emailSent: emailResult.success,
+    };
+  } finally {
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, owner);
+    } catch (error) {
+      console.error(`[Refund] Failed to release lock for order ${orderId}:`, error.message);
+    }
+  }
+};
+
+export default {
+  isRefundInProgress,
+  refundOrder,
+};
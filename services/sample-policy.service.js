@@ -0,0 +1,306 @@
+import redisClient from "../config/redis.js";
+import { BASE_CURRENCY, convertPrice } from "./currency.service.js";
+
+/**
+ * Sample Policy
+ * Samples are flagged on the WooCommerce product or variation with the
+ * `_is_sample` meta ("yes"/"no" - a variation's own value wins over the
+ * parent's). A free sample is a sample priced at 0.
+ *
+ * Rules for free samples:
+ *   - at most maxQuantityPerProduct of the same sample per cart
+ *   - at most maxDistinctPerCart different samples per cart
+ *   - each customer/email gets `allowance` free units per rolling window;
+ *     units beyond what's left of it are charged at `charge` each
+ *
+ * Carts with nothing but samples in them ship with the dedicated sample
+ * shipping method (if one is configured).
+ *
+ * Keys:
+ *   sample-allowance:customer:<id>  - sorted set of "<orderId>:<units>", scored by order time
+ *   sample-allowance:email:<email>  - same, for guest and customer orders by email
+ *   sample-allowance:pending:<orderId> - JSON { units, customerId, email } of an order
+ *                                      awaiting payment (counted once it's paid)
+ */
+
+export const SAMPLE_ALLOWANCE_KEY_PREFIX = "sample-allowance:";
+
+const SAMPLE_META_KEY = "_is_sample";
+
+export const SAMPLE_POLICY = {
+  maxQuantityPerProduct: parseInt(process.env.SAMPLE_MAX_QTY_PER_PRODUCT) || 4,
+  maxDistinctPerCart: parseInt(process.env.SAMPLE_MAX_DISTINCT_PER_CART) || 8,
+  allowance: parseInt(process.env.SAMPLE_ALLOWANCE) || 12,
+  windowDays: parseInt(process.env.SAMPLE_ALLOWANCE_WINDOW_DAYS) || 90,
+  charge: parseFloat(process.env.SAMPLE_CHARGE) || 1.5, // GBP per sample beyond the allowance
+  shippingMethodId: process.env.SAMPLE_SHIPPING_METHOD_ID || null, // e.g. "flat_rate:12"
+};
+
+const WINDOW_MS = SAMPLE_POLICY.windowDays * 24 * 60 * 60 * 1000;
+
+const customerKey = (customerId) => `${SAMPLE_ALLOWANCE_KEY_PREFIX}customer:${customerId}`;
+const emailKey = (email) => `${SAMPLE_ALLOWANCE_KEY_PREFIX}email:${String(email).trim().toLowerCase()}`;
+const pendingKey = (orderId) => `${SAMPLE_ALLOWANCE_KEY_PREFIX}pending:${orderId}`;
+
+const sampleError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = "sample_limit";
+  return error;
+};
+
+/**
+ * Read the sample flag from meta_data: true, false, or null if not set
+ */
+const readSampleFlag = (source) => {
+  const meta = (source?.meta_data || []).find((m) => m.key === SAMPLE_META_KEY);
+  if (!meta || meta.value === "" || meta.value === null || meta.value === undefined) return null;
+
+  return ["yes", "1", "true"].includes(String(meta.value).toLowerCase());
+};
+
+/**
+ * Is this product (or variation) a sample
+ * @param {Object} product - WooCommerce product
+ * @param {Object} [variation] - WooCommerce variation
+ */
+export const isSampleProduct = (product, variation = null) =>
+  readSampleFlag(variation) ?? readSampleFlag(product) ?? false;
+
+/**
+ * Is this cart item a free sample
+ */
+export const isFreeSample = (item) =>
+  Boolean(item.isSample) && parseFloat(item.basePrice ?? item.price ?? 0) === 0;
+
+/**
+ * Does the cart hold nothing but samples
+ */
+export const isSampleOnlyCart = (cart) =>
+  cart.items.length > 0 && cart.items.every((item) => item.isSample);
+
+/**
+ * Check the per-cart free sample limits for a line being added or changed
+ * @param {Object} cart - Cart (before the change)
+ * @param {string} itemKey - Key of the line
+ * @param {number} quantity - Quantity the line will have
+ * @throws 400 if the limits would be exceeded
+ */
+export const assertSampleLimits = (cart, itemKey, quantity) => {
+  const existing = cart.items.find((item) => item.key === itemKey);
+
+  if (quantity > SAMPLE_POLICY.maxQuantityPerProduct) {
+    const remaining = Math.max(0, SAMPLE_POLICY.maxQuantityPerProduct - (existing?.quantity || 0));
+    throw sampleError(
+      `Maximum ${SAMPLE_POLICY.maxQuantityPerProduct} free samples of this product allowed. You can add ${remaining} more.`
+    );
+  }
+
+  const distinct = cart.items.filter(isFreeSample).length;
+  if (!existing && distinct >= SAMPLE_POLICY.maxDistinctPerCart) {
+    throw sampleError(`You can order up to ${SAMPLE_POLICY.maxDistinctPerCart} different free samples at a time.`);
+  }
+};
+
+/**
+ * Free sample units ordered in the current window by a customer and/or email
+ * Orders recorded under both are only counted once.
+ *
+ * @param {Object} contact - { customerId, email }
+ * @returns {Promise<number>}
+ * @throws 503 if the usage can't be read - it's never assumed to be 0
+ */
+export const getSampleUsage = async ({ customerId = null, email = null } = {}) => {
+  const keys = [customerId && customerKey(customerId), email && emailKey(email)].filter(Boolean);
+  if (keys.length === 0) return 0;
+
+  try {
+    const since = Date.now() - WINDOW_MS;
+    const orders = new Set();
+
+    for (const key of keys) {
+      const members = await redisClient.zrangebyscore(key, since, "+inf");
+      members.forEach((member) => orders.add(member));
+    }
+
+    return [...orders].reduce((used, member) => used + (parseInt(member.split(":")[1]) || 0), 0);
+  } catch (error) {
+    console.error("[Samples] Failed to load sample usage:", error.message);
+    const unavailable = new Error("Free sample allowance is unavailable, please try again");
+    unavailable.status = 503;
+    throw unavailable;
+  }
+};
+
+/**
+ * Work out which free sample units are covered by the allowance and charge the rest
+ * Uses `cart.samplesUsed` (see getSampleUsage) and sets each free sample's
+ * lineTotal. Quoted carts keep their quoted prices. Call before totals are summed.
+ *
+ * @param {Object} cart - Cart (mutated)
+ */
+export const applySampleCharges = (cart) => {
+  const currency = cart.currency || BASE_CURRENCY;
+  let remaining = Math.max(0, SAMPLE_POLICY.allowance - (cart.samplesUsed || 0));
+
+  for (const item of cart.items) {
+    if (!isFreeSample(item) || cart.quote) {
+      delete item.sampleCharge;
+      continue;
+    }
+
+    const freeQuantity = Math.min(item.quantity, remaining);
+    const chargedQuantity = item.quantity - freeQuantity;
+    remaining -= freeQuantity;
+
+    if (chargedQuantity === 0) {
+      delete item.sampleCharge;
+      item.lineTotal = "0.00";
+      continue;
+    }
+
+    const unitPrice = convertPrice(SAMPLE_POLICY.charge, currency);
+    item.sampleCharge = {
+      freeQuantity,
+      chargedQuantity,
+      unitPrice: unitPrice.toFixed(2),
+    };
+    item.lineTotal = (chargedQuantity * unitPrice).toFixed(2);
+  }
+};
+
+/**
+ * Does the cart have samples that will be charged for
+ */
+export const hasChargedSamples = (cart) => cart.items.some((item) => item.sampleCharge);
+
+/**
+ * Sample summary for cart responses
+ */
+export const getSampleSummary = (cart) => {
+  const freeSamples = cart.items.filter(isFreeSample);
+  const freeUnits = freeSamples.reduce((count, item) => count + item.quantity, 0);
+  const chargedUnits = freeSamples.reduce((count, item) => count + (item.sampleCharge?.chargedQuantity || 0), 0);
+
+  return {
+    sampleOnly: isSampleOnlyCart(cart),
+    distinctFreeSamples: freeSamples.length,
+    maxDistinctPerCart: SAMPLE_POLICY.maxDistinctPerCart,
+    maxQuantityPerProduct: SAMPLE_POLICY.maxQuantityPerProduct,
+    allowanceRemaining: Math.max(0, SAMPLE_POLICY.allowance - (cart.samplesUsed || 0) - (freeUnits - chargedUnits)),
+    chargedQuantity: chargedUnits,
+    charge: convertPrice(SAMPLE_POLICY.charge, cart.currency || BASE_CURRENCY).toFixed(2),
+  };
+};
+
+/**
+ * Count an order's free sample units against the customer and email
+ * Counting the same order twice is harmless.
+ */
+const addSampleUsage = async (orderId, { units, customerId = null, email = null }) => {
+  const keys = [customerId && customerKey(customerId), email && emailKey(email)].filter(Boolean);
+  const now = Date.now();
+
+  for (const key of keys) {
+    await redisClient
+      .multi()
+      .zremrangebyscore(key, "-inf", now - WINDOW_MS)
+      .zadd(key, now, `${orderId}:${units}`)
+      .pexpire(key, WINDOW_MS)
+      .exec();
+  }
+  console.log(`[Samples] Order ${orderId} used ${units} free sample(s)`);
+};
+
+/**
+ * Record the free sample units in a new order
+ * They only count against the allowance once the order is paid (see
+ * commitSampleUsage) - orders that need no payment count straight away.
+ *
+ * @param {Object} cart - Cart the order was placed from
+ * @param {Object} order - { orderId, paymentRequired }
+ * @param {Object} contact - { customerId, email }
+ */
+export const recordSampleUsage = async (cart, order, { customerId = null, email = null } = {}) => {
+  const units = cart.items
+    .filter(isFreeSample)
+    .reduce((count, item) => count + (item.sampleCharge?.freeQuantity ?? item.quantity), 0);
+
+  if (units === 0 || !order?.orderId) return;
+
+  const usage = { units, customerId, email };
+
+  try {
+    if (!order.paymentRequired) {
+      await addSampleUsage(order.orderId, usage);
+    } else {
+      await redisClient.set(pendingKey(order.orderId), JSON.stringify(usage), "PX", WINDOW_MS);
+    }
+  } catch (error) {
+    console.error("[Samples] Failed to record sample usage:", error.message);
+  }
+};
+
+/**
+ * Count a paid order's free samples against the allowance
+ * Does nothing for orders without free samples (or already counted).
+ *
+ * @param {number|string} orderId - WooCommerce order ID
+ */
+export const commitSampleUsage = async (orderId) => {
+  try {
+    const raw = await redisClient.get(pendingKey(orderId));
+    if (!raw) return;
+
+    await addSampleUsage(orderId, JSON.parse(raw));
+    await redisClient.del(pendingKey(orderId));
+  } catch (error) {
+    console.error(`[Samples] Failed to count sample usage for order ${orderId}:`, error.message);
+  }
+};
+
+/**
+ * Limit shipping methods to the sample method for sample-only carts
+ * (and hide it from every other cart). Nothing changes if no sample method
+ * is configured or WooCommerce didn't return it.
+ *
+ * @param {Array} methods - Shipping rates ({ id: "flat_rate:12", ... })
+ * @param {Object} cart - Cart being shipped
+ */
+export const filterSampleShippingMethods = (methods, cart) => {
+  if (!SAMPLE_POLICY.shippingMethodId || !Array.isArray(methods)) return methods;
+
+  const isSampleMethod = (method) => method.id === SAMPLE_POLICY.shippingMethodId;
+
+  if (!isSampleOnlyCart(cart)) {
+    return methods.filter((method) => !isSampleMethod(method));
+  }
+
+  const sampleMethods = methods.filter(isSampleMethod);
+  if (sampleMethods.length === 0) {
+    console.warn(`[Samples] Sample shipping method ${SAMPLE_POLICY.shippingMethodId} not offered, showing all methods`);
+    return methods;
+  }
+
+  return sampleMethods;
+};
+
+/**
+ * Is this the sample shipping method
+ */
+export const isSampleShippingMethod = (methodId) =>
+  Boolean(SAMPLE_POLICY.shippingMethodId) && methodId === SAMPLE_POLICY.shippingMethodId;
+
+export default {
+  SAMPLE_POLICY,
+  isSampleProduct,
+  isFreeSample,
+  isSampleOnlyCart,
+  assertSampleLimits,
+  getSampleUsage,
+  applySampleCharges,
+  getSampleSummary,
+  recordSampleUsage,
+  commitSampleUsage,
+  filterSampleShippingMethods,
+};
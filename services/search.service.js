@@ -1,5 +1,6 @@
 import { fetchAllProducts } from "./products.service.js"; // Import the caching service we built
 import { buildMeta, transformProducts } from "../utils/transform.js";
+import { withAvailableStockForProducts } from "./stock-reservation.service.js";
 
 /**
  * Search products using In-Memory Linear Search O(n)
@@ -82,7 +83,8 @@ export const searchProducts = async (query) => {
 
     // Transform just the current page's products for the frontend
     // (Ensure your transformProducts handles the data format from fetchAllProducts)
-    const data = transformProducts(paginatedProducts); 
+    // Stock held by shoppers in checkout isn't in the cache - subtract it here
+    const data = transformProducts(await withAvailableStockForProducts(paginatedProducts));
 
     console.log(`[SEARCH COMPLETE] Found ${totalProducts} matches in < 50ms`);
 
@@ -1,6 +1,7 @@
 import axios from "axios";
 import redis from "../config/redis.js";
 import crypto from "crypto";
+import { getWcSessionToken, saveWcSessionToken } from "./checkout-session.service.js";
 
 const WC_SITE_URL = process.env.WC_SITE_URL;
 const WC_CONSUMER_KEY = process.env.WC_CONSUMER_KEY;
@@ -23,38 +24,17 @@ const storeApi = axios.create({
   },
 });
 
-/**
- * Session Management for WooCommerce Store API
- * Each shipping calculation needs its own WC session to avoid conflicts
- */
-const sessionStorage = new Map();
-
-/**
- * Get or create a WooCommerce session for a cart token
- */
-const getWcSession = (cartToken) => {
-  return sessionStorage.get(cartToken) || null;
-};
-
-/**
- * Save WooCommerce session from response headers
- */
-const saveWcSession = (cartToken, response) => {
-  const wcSession = response.headers["x-wc-session"] || response.headers["cart-token"];
-  if (wcSession) {
-    sessionStorage.set(cartToken, wcSession);
-  }
-};
-
 /**
  * Build headers for Store API request
+ * The WooCommerce session is shared with checkout (see checkout-session.service.js),
+ * so the rate selected here is the one the order is placed with
  */
-const buildStoreApiHeaders = (cartToken) => {
+const buildStoreApiHeaders = async (cartToken) => {
   const headers = {
     "Content-Type": "application/json",
   };
 
-  const wcSession = getWcSession(cartToken);
+  const wcSession = await getWcSessionToken(cartToken);
   if (wcSession) {
     headers["Cart-Token"] = wcSession;
   }
@@ -68,12 +48,12 @@ const buildStoreApiHeaders = (cartToken) => {
  */
 const syncCartToWooCommerce = async (cartToken, cartItems) => {
   try {
-    const headers = buildStoreApiHeaders(cartToken);
+    const headers = await buildStoreApiHeaders(cartToken);
 
     // First, clear any existing items in the WC session cart
     try {
       const cartResponse = await storeApi.get("/cart", { headers });
-      saveWcSession(cartToken, cartResponse);
+      await saveWcSessionToken(cartToken, cartResponse);
 
       // Remove existing items
       const existingItems = cartResponse.data.items || [];
@@ -82,7 +62,7 @@ const syncCartToWooCommerce = async (cartToken, cartItems) => {
           await storeApi.post(
             "/cart/remove-item",
             { key: item.key },
-            { headers: buildStoreApiHeaders(cartToken) }
+            { headers: await buildStoreApiHeaders(cartToken) }
           );
         } catch (e) {
           // Ignore removal errors
@@ -110,10 +90,10 @@ const syncCartToWooCommerce = async (cartToken, cartItems) => {
         }
 
         const response = await storeApi.post("/cart/add-item", addItemPayload, {
-          headers: buildStoreApiHeaders(cartToken),
+          headers: await buildStoreApiHeaders(cartToken),
         });
 
-        saveWcSession(cartToken, response);
+        await saveWcSessionToken(cartToken, response);
       } catch (error) {
         console.error(`Failed to add item ${item.productId} (variation: ${item.variationId}) to WC cart:`, error.response?.data || error.message);
         // Continue with other items
@@ -176,10 +156,10 @@ export const calculateShippingRates = async (address, cartItems, cartToken) => {
     }
 
     const response = await storeApi.post("/cart/update-customer", updateCustomerPayload, {
-      headers: buildStoreApiHeaders(cartToken),
+      headers: await buildStoreApiHeaders(cartToken),
     });
 
-    saveWcSession(cartToken, response);
+    await saveWcSessionToken(cartToken, response);
 
     // Step 3: Extract shipping rates from WooCommerce response
     const cartData = response.data;
@@ -195,7 +175,7 @@ export const calculateShippingRates = async (address, cartItems, cartToken) => {
     return {
       zone: null, // WooCommerce handles zones internally
       methods: formattedMethods,
-      wcSession: getWcSession(cartToken), // Return session for frontend to store
+      wcSession: await getWcSessionToken(cartToken), // Return session for frontend to store
     };
   } catch (error) {
     console.error("Shipping calculation error:", error.response?.data || error.message);
@@ -350,9 +330,6 @@ export const clearShippingCache = async () => {
       await redis.del(...keys);
     }
 
-    // Also clear session storage
-    sessionStorage.clear();
-
     return true;
   } catch (error) {
     console.error("Failed to clear shipping cache:", error.message);
@@ -373,15 +350,17 @@ export const selectShippingMethod = async (cartToken, rateId) => {
         rate_id: rateId,
       },
       {
-        headers: buildStoreApiHeaders(cartToken),
+        headers: await buildStoreApiHeaders(cartToken),
       }
     );
 
-    saveWcSession(cartToken, response);
+    await saveWcSessionToken(cartToken, response);
 
     return {
       success: true,
       cart: response.data,
+      // The selected rate, formatted like calculateShippingRates' methods
+      method: formatShippingRates(response.data.shipping_rates || []).find((method) => method.id === rateId) || null,
     };
   } catch (error) {
     console.error("Failed to select shipping method:", error.response?.data || error.message);
@@ -411,10 +390,11 @@ const customShippingApi = axios.create({
  * Generate cache key for shipping calculation
  * @param {Array} items - Cart items
  * @param {Object} destination - Shipping destination
+ * @param {Array} coupons - Applied coupon codes (free shipping coupons change the rates)
  * @returns {string} Cache key
  */
-const generateShippingCacheKey = (items, destination) => {
-  const payload = JSON.stringify({ items, destination });
+const generateShippingCacheKey = (items, destination, coupons = []) => {
+  const payload = JSON.stringify({ items, destination, coupons });
   const hash = crypto.createHash("md5").update(payload).digest("hex");
   return `shipping:rates:${hash}`;
 };
@@ -461,7 +441,7 @@ export const calculateShippingViaCustomEndpoint = async (items, destination, opt
 
   // Check cache if enabled
   if (useCache) {
-    const cacheKey = generateShippingCacheKey(wcItems, destination);
+    const cacheKey = generateShippingCacheKey(wcItems, destination, coupons);
     try {
       const cached = await redis.get(cacheKey);
       if (cached) {
@@ -527,7 +507,7 @@ export const calculateShippingViaCustomEndpoint = async (items, destination, opt
 
     // Cache the result
     if (useCache) {
-      const cacheKey = generateShippingCacheKey(wcItems, destination);
+      const cacheKey = generateShippingCacheKey(wcItems, destination, coupons);
       try {
         await redis.setex(cacheKey, SHIPPING_RATES_CACHE_TTL, JSON.stringify(result));
       } catch (e) {
@@ -559,9 +539,10 @@ export const calculateShippingViaCustomEndpoint = async (items, destination, opt
  * @param {Object} address - Shipping address
  * @param {Array} cartItems - Cart items
  * @param {string} cartToken - Cart session token
+ * @param {Object} options - Optional settings { coupons } passed to the custom endpoint
  * @returns {Promise<Object>} Shipping rates
  */
-export const calculateShippingWithFallback = async (address, cartItems, cartToken) => {
+export const calculateShippingWithFallback = async (address, cartItems, cartToken, options = {}) => {
   console.log("[Shipping] calculateShippingWithFallback called with:");
   console.log("[Shipping] - Address:", JSON.stringify(address));
   console.log("[Shipping] - Cart items:", JSON.stringify(cartItems, null, 2));
@@ -570,7 +551,7 @@ export const calculateShippingWithFallback = async (address, cartItems, cartToke
   // Try custom endpoint first (faster, no session management needed)
   if (AS_SHIPPING_API_KEY) {
     try {
-      const result = await calculateShippingViaCustomEndpoint(cartItems, address);
+      const result = await calculateShippingViaCustomEndpoint(cartItems, address, options);
       console.log("[Shipping] Custom endpoint returned", result.methods.length, "methods:");
       result.methods.forEach(m => console.log(`[Shipping]   - ${m.title}: £${m.cost}`));
       return {
@@ -0,0 +1,372 @@
+import wcApi from "../config/woocommerce.js";
+import redisClient from "../config/redis.js";
+
+/**
+ * Stock Reservations
+ * While a shopper is in checkout, their cart quantities are held so the same
+ * stock can't be sold to someone else. Holds expire on their own after the
+ * reservation window, and are released early on payment or cart deletion.
+ *
+ * Keys:
+ *   stock-hold:<holdId>                    - JSON hold { holdId, items, expiresAt } (TTL = window)
+ *   stock-hold:unit:<productId>:<variationId> - hash of holdId -> "<quantity>:<expiresAt>"
+ *
+ * holdId is "cart:<token>" until the order is created, then "order:<orderId>".
+ */
+
+export const STOCK_HOLD_KEY_PREFIX = "stock-hold:";
+
+// Reservation window (default 15 minutes)
+const RESERVATION_MS = (parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Replace a hold: release the previous one, then reserve every unit or none
+ * KEYS[1] = hold key, KEYS[2..n+1] = unit keys to reserve, then the previous hold's unit keys
+ * ARGV = holdId, now, expiresAt, holdJson, ttlMs, previousHoldJson ("" if none), n,
+ *   then quantity/stock pairs per unit
+ * Expired entries are pruned while summing. Returns 0 on success, the (1-based)
+ * index of the first unit that doesn't have enough stock, or -1 if the hold
+ * changed since previousHoldJson was read (nothing is touched - read it again).
+ */
+const RESERVE_SCRIPT = `
+local holdId = ARGV[1]
+local now = tonumber(ARGV[2])
+local count = tonumber(ARGV[7])
+
+if (redis.call("get", KEYS[1]) or "") ~= ARGV[6] then
+  return -1
+end
+
+for i = count + 2, #KEYS do
+  redis.call("hdel", KEYS[i], holdId)
+end
+redis.call("del", KEYS[1])
+
+for i = 1, count do
+  local quantity = tonumber(ARGV[6 + i * 2])
+  local stock = tonumber(ARGV[7 + i * 2])
+  local entries = redis.call("hgetall", KEYS[i + 1])
+  local heldByOthers = 0
+
+  for j = 1, #entries, 2 do
+    local held, expires = string.match(entries[j + 1], "([^:]+):([^:]+)")
+    if tonumber(expires) <= now then
+      redis.call("hdel", KEYS[i + 1], entries[j])
+    elseif entries[j] ~= holdId then
+      heldByOthers = heldByOthers + tonumber(held)
+    end
+  end
+
+  if heldByOthers + quantity > stock then
+    return i
+  end
+end
+
+for i = 1, count do
+  redis.call("hset", KEYS[i + 1], holdId, ARGV[6 + i * 2] .. ":" .. ARGV[3])
+  redis.call("pexpire", KEYS[i + 1], ARGV[5])
+end
+
+redis.call("set", KEYS[1], ARGV[4], "PX", ARGV[5])
+return 0
+`;
+
+// Attempts at replacing a hold that keeps changing underneath us
+const RESERVE_ATTEMPTS = 3;
+
+const holdKey = (holdId) => `${STOCK_HOLD_KEY_PREFIX}${holdId}`;
+const unitKey = (unit) => `${STOCK_HOLD_KEY_PREFIX}unit:${unit}`;
+const cartHoldId = (cartToken) => `cart:${cartToken}`;
+const orderHoldId = (orderId) => `order:${orderId}`;
+
+/**
+ * Stock is held per variation, or per product when the variation
+ * uses its parent's stock (or there is no variation)
+ */
+const toUnit = (productId, variationId) => `${productId}:${variationId || 0}`;
+
+/**
+ * Stock level of a product/variation, or null if it isn't limited
+ * (stock not managed, or backorders allowed)
+ */
+const toStockLevel = (productId, variationId, source) => {
+  if (source.backorders && source.backorders !== "no") return null;
+
+  return {
+    unit: toUnit(productId, variationId),
+    stock: Math.max(0, parseInt(source.stock_quantity) || 0),
+  };
+};
+
+/**
+ * Fetch live stock for a cart/order line (bypasses the product cache)
+ */
+const fetchStockLevel = async (productId, variationId) => {
+  if (variationId) {
+    const { data: variation } = await wcApi.get(`products/${productId}/variations/${variationId}`);
+
+    if (variation.manage_stock === true) {
+      return toStockLevel(productId, variationId, variation);
+    }
+    // Only "parent" means the variation shares the product's stock
+    if (variation.manage_stock !== "parent") return null;
+  }
+
+  const { data: product } = await wcApi.get(`products/${productId}`);
+  return product.manage_stock ? toStockLevel(productId, 0, product) : null;
+};
+
+const loadHold = async (holdId) => {
+  const raw = await redisClient.get(holdKey(holdId));
+  return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Hold stock for a set of lines
+ * Lines for the same stock unit are combined; unlimited stock isn't held.
+ *
+ * @param {string} holdId - Hold identifier
+ * @param {Array<{productId, variationId, quantity, name}>} lines
+ * @returns {Promise<Object>} The hold
+ */
+const reserveLines = async (holdId, lines) => {
+  const levels = await Promise.all(
+    lines.map((line) => fetchStockLevel(line.productId, line.variationId))
+  );
+
+  const units = new Map();
+  lines.forEach((line, index) => {
+    const level = levels[index];
+    if (!level) return;
+
+    const unit = units.get(level.unit) || { ...level, quantity: 0, name: line.name };
+    unit.quantity += parseInt(line.quantity) || 0;
+    units.set(level.unit, unit);
+  });
+
+  const items = [...units.values()];
+  const now = Date.now();
+  const hold = {
+    holdId,
+    items: items.map(({ unit, quantity, name }) => ({ unit, quantity, name })),
+    expiresAt: now + RESERVATION_MS,
+  };
+
+  // The previous hold may cover different units (cart edited) - it's released
+  // in the same script, so its stock can't be taken in between
+  let failedIndex = -1;
+  for (let attempt = 0; attempt < RESERVE_ATTEMPTS && failedIndex === -1; attempt++) {
+    const previousRaw = (await redisClient.get(holdKey(holdId))) || "";
+    const previousUnits = previousRaw ? JSON.parse(previousRaw).items.map((item) => item.unit) : [];
+
+    failedIndex = await redisClient.eval(
+      RESERVE_SCRIPT,
+      items.length + previousUnits.length + 1,
+      holdKey(holdId),
+      ...items.map((item) => unitKey(item.unit)),
+      ...previousUnits.map(unitKey),
+      holdId,
+      now,
+      hold.expiresAt,
+      JSON.stringify(hold),
+      RESERVATION_MS,
+      previousRaw,
+      items.length,
+      ...items.flatMap((item) => [item.quantity, item.stock])
+    );
+  }
+
+  if (failedIndex === -1) {
+    const error = new Error("Stock is being reserved by another request, please try again");
+    error.status = 409;
+    throw error;
+  }
+
+  if (failedIndex > 0) {
+    const item = items[failedIndex - 1];
+    const available = Math.max(0, item.stock - (await getHeldQuantity(item.unit, holdId)));
+    const error = new Error(
+      available > 0
+        ? `Only ${available} of ${item.name} left in stock`
+        : `${item.name} is no longer in stock`
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  console.log(`[Stock] Reserved ${items.length} stock unit(s) for ${holdId} until ${new Date(hold.expiresAt).toISOString()}`);
+  return hold;
+};
+
+/**
+ * Release a hold and its per-unit entries
+ */
+const releaseHold = async (holdId) => {
+  const hold = await loadHold(holdId);
+  if (!hold) return false;
+
+  const transaction = redisClient.multi();
+  hold.items.forEach((item) => transaction.hdel(unitKey(item.unit), holdId));
+  transaction.del(holdKey(holdId));
+  await transaction.exec();
+
+  return true;
+};
+
+/**
+ * Get the quantity of a stock unit held by active reservations
+ * @param {string} unit - "<productId>:<variationId>"
+ * @param {string} [excludeHoldId] - Ignore this hold (e.g. the shopper's own)
+ */
+const getHeldQuantity = async (unit, excludeHoldId = null) => {
+  const entries = await redisClient.hgetall(unitKey(unit));
+  const now = Date.now();
+
+  return Object.entries(entries).reduce((total, [holdId, value]) => {
+    const [quantity, expiresAt] = value.split(":").map(Number);
+    if (holdId === excludeHoldId || expiresAt <= now) return total;
+    return total + quantity;
+  }, 0);
+};
+
+/**
+ * Reserve stock for everything in a cart (entering checkout)
+ * Throws a 409 if any line no longer has enough unreserved stock.
+ *
+ * @param {Object} cart - Cart from getCartForCheckout
+ * @returns {Promise<Object>} The hold
+ */
+export const reserveCartStock = async (cart) => {
+  return reserveLines(cartHoldId(cart.cartToken), cart.items);
+};
+
+/**
+ * Move a cart's hold onto the order created from it
+ * Must run before the cart is deleted (deleting a cart releases its hold).
+ *
+ * @param {string} cartToken - Cart session token
+ * @param {number|string} orderId - WooCommerce order ID
+ */
+export const attachReservationToOrder = async (cartToken, orderId) => {
+  const fromId = cartHoldId(cartToken);
+  const toId = orderHoldId(orderId);
+  const hold = await loadHold(fromId);
+  if (!hold) return null;
+
+  const ttl = hold.expiresAt - Date.now();
+  if (ttl <= 0) return null;
+
+  const orderHold = { ...hold, holdId: toId };
+  const transaction = redisClient.multi();
+  hold.items.forEach((item) => {
+    transaction.hset(unitKey(item.unit), toId, `${item.quantity}:${hold.expiresAt}`);
+    transaction.hdel(unitKey(item.unit), fromId);
+  });
+  transaction.set(holdKey(toId), JSON.stringify(orderHold), "PX", ttl);
+  transaction.del(holdKey(fromId));
+  await transaction.exec();
+
+  return orderHold;
+};
+
+/**
+ * Renew an order's hold for a fresh window (payment being started)
+ * If the hold already expired, the order's lines are re-reserved from
+ * WooCommerce - which fails with a 409 if the stock has gone meanwhile.
+ *
+ * @param {number|string} orderId - WooCommerce order ID
+ */
+export const renewOrderReservation = async (orderId) => {
+  const { data: order } = await wcApi.get(`orders/${orderId}`);
+
+  const lines = (order.line_items || []).map((item) => ({
+    productId: item.product_id,
+    variationId: item.variation_id,
+    quantity: item.quantity,
+    name: item.name,
+  }));
+
+  return reserveLines(orderHoldId(orderId), lines);
+};
+
+/**
+ * Release the hold for a cart (cart deleted / checkout abandoned)
+ */
+export const releaseCartReservation = async (cartToken) => {
+  return releaseHold(cartHoldId(cartToken));
+};
+
+/**
+ * Release the hold for an order
+ * Called once payment succeeds (WooCommerce now reduces the stock itself)
+ * or fails.
+ */
+export const releaseOrderReservation = async (orderId) => {
+  const released = await releaseHold(orderHoldId(orderId));
+  if (released) console.log(`[Stock] Released reservation for order ${orderId}`);
+  return released;
+};
+
+/**
+ * Get stock available to a shopper (WooCommerce stock minus other shoppers' holds)
+ *
+ * @param {number} productId - Product ID
+ * @param {number} [variationId] - Variation ID (0 / null for the product)
+ * @param {number|null} stockQuantity - Stock quantity from WooCommerce
+ * @param {string} [cartToken] - Shopper's own cart (its hold isn't subtracted)
+ * @returns {Promise<number|null>} Available quantity, null if stock isn't tracked
+ */
+export const getAvailableStock = async (productId, variationId, stockQuantity, cartToken = null) => {
+  if (stockQuantity === null || stockQuantity === undefined) return null;
+
+  const held = await getHeldQuantity(
+    toUnit(productId, variationId),
+    cartToken ? cartHoldId(cartToken) : null
+  );
+
+  return Math.max(0, parseInt(stockQuantity) - held);
+};
+
+/**
+ * Apply active holds to a WooCommerce product or variation before it's shown
+ * Returns a copy with stock_quantity reduced (and stock_status "outofstock"
+ * once nothing is left). Items without managed stock are returned unchanged.
+ *
+ * @param {Object} item - WooCommerce product or variation
+ * @param {number} productId - Parent product ID
+ * @param {number} [variationId] - Variation ID if item is a variation
+ */
+export const withAvailableStock = async (item, productId, variationId = 0) => {
+  if (!item?.manage_stock || item.manage_stock === "parent" || item.stock_quantity === null) {
+    return item;
+  }
+
+  const available = await getAvailableStock(productId, variationId, item.stock_quantity);
+  const backordersAllowed = item.backorders && item.backorders !== "no";
+
+  return {
+    ...item,
+    stock_quantity: available,
+    stock_status: available <= 0 && !backordersAllowed ? "outofstock" : item.stock_status,
+  };
+};
+
+/**
+ * Apply active holds to a list of products (catalog pages, search)
+ * Products whose stock is tracked per variation are returned unchanged.
+ * @param {Array} products - WooCommerce or transformed products
+ */
+export const withAvailableStockForProducts = (products) => {
+  return Promise.all(products.map((product) => withAvailableStock(product, product.id)));
+};
+
+export default {
+  reserveCartStock,
+  attachReservationToOrder,
+  renewOrderReservation,
+  releaseCartReservation,
+  releaseOrderReservation,
+  getAvailableStock,
+  withAvailableStock,
+  withAvailableStockForProducts,
+};
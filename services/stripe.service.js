@@ -1,4 +1,5 @@
 import Stripe from "stripe";
+import { BASE_CURRENCY, toMinorUnits, fromMinorUnits } from "./currency.service.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-12-18.acacia",
@@ -7,20 +8,22 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
 /**
  * Create a PaymentIntent for an order
  * @param {Object} params - Payment parameters
- * @param {number} params.amount - Amount in smallest currency unit (pence for GBP)
- * @param {string} params.currency - Currency code (e.g., 'gbp')
+ * @param {number} params.amount - Amount in smallest currency unit (pence for GBP, cents for EUR)
+ * @param {string} params.currency - Currency code (e.g., 'gbp', 'eur')
  * @param {number} params.orderId - WooCommerce order ID
  * @param {string} params.orderKey - WooCommerce order key
  * @param {Object} params.metadata - Additional metadata
+ * @param {string} [params.idempotencyKey] - Stripe returns the same PaymentIntent for repeats
  * @returns {Promise<Object>} PaymentIntent object
  */
 export const createPaymentIntent = async ({
   amount,
-  currency = "gbp",
+  currency = BASE_CURRENCY,
   orderId,
   orderKey,
   customerEmail,
   metadata = {},
+  idempotencyKey,
 }) => {
   try {
     const paymentIntent = await stripe.paymentIntents.create({
@@ -36,7 +39,7 @@ export const createPaymentIntent = async ({
       },
       receipt_email: customerEmail,
       description: `Order #${orderId}`,
-    });
+    }, idempotencyKey ? { idempotencyKey } : undefined);
 
     console.log("[Stripe] PaymentIntent created:", paymentIntent.id);
 
@@ -103,6 +106,38 @@ export const confirmPayment = async (paymentIntentId) => {
   }
 };
 
+/**
+ * Refund a payment (in full, or part of it)
+ * @param {Object} params - Refund parameters
+ * @param {string} params.paymentIntentId - The PaymentIntent to refund
+ * @param {number} [params.amount] - Amount in smallest currency unit (omit for the full amount)
+ * @param {Object} [params.metadata] - Additional metadata
+ * @param {string} [params.idempotencyKey] - Stripe returns the same refund for repeats
+ * @returns {Promise<Object>} Refund result
+ */
+export const createRefund = async ({ paymentIntentId, amount, metadata = {}, idempotencyKey }) => {
+  try {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      ...(amount ? { amount: Math.round(amount) } : {}),
+      metadata,
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+
+    console.log("[Stripe] Refund created:", refund.id, "Status:", refund.status);
+
+    return {
+      success: true,
+      refundId: refund.id,
+      status: refund.status,
+      amount: refund.amount,
+      currency: refund.currency,
+    };
+  } catch (error) {
+    console.error("[Stripe] Failed to create refund:", error.message);
+    throw new Error(error.message || "Failed to refund payment");
+  }
+};
+
 /**
  * Handle Stripe webhook events
  * @param {string} payload - Raw request body
@@ -127,10 +162,173 @@ export const getPublishableKey = () => {
   return process.env.STRIPE_PUBLISHABLE_KEY;
 };
 
+/**
+ * WooCommerce order ID for a charge or dispute - from its PaymentIntent's metadata
+ */
+const getOrderIdForPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+  const { paymentIntent } = await getPaymentIntent(paymentIntentId);
+  return paymentIntent.metadata?.orderId || null;
+};
+
+/**
+ * Turn a Stripe event into a webhook action (see payment-webhook.service.js)
+ * @param {Object} event - Verified Stripe event
+ * @returns {Promise<Object|null>} null for events we don't act on
+ */
+export const parseWebhookEvent = async (event) => {
+  const object = event.data?.object || {};
+
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      return {
+        type: "payment_succeeded",
+        orderId: object.metadata?.orderId,
+        orderKey: object.metadata?.orderKey,
+        amount: fromMinorUnits(object.amount_received, object.currency),
+        currency: object.currency.toUpperCase(),
+        transactionId: object.id,
+        orderMeta: { _stripe_payment_intent_id: object.id },
+      };
+
+    // A failed attempt leaves the PaymentIntent open for another card -
+    // only a cancelled one is over
+    case "payment_intent.payment_failed":
+    case "payment_intent.canceled":
+      return {
+        type: "payment_failed",
+        orderId: object.metadata?.orderId,
+        orderKey: object.metadata?.orderKey,
+        message: object.last_payment_error?.message || object.cancellation_reason,
+        retryable: object.status !== "canceled",
+      };
+
+    case "charge.refunded":
+      return {
+        type: "refunded",
+        orderId: object.metadata?.orderId || (await getOrderIdForPaymentIntent(object.payment_intent)),
+        amountRefunded: fromMinorUnits(object.amount_refunded, object.currency),
+        currency: object.currency.toUpperCase(),
+      };
+
+    case "charge.dispute.created":
+      return {
+        type: "dispute_opened",
+        orderId: await getOrderIdForPaymentIntent(object.payment_intent),
+        disputeId: object.id,
+        reason: object.reason,
+        amount: fromMinorUnits(object.amount, object.currency).toFixed(2),
+        currency: object.currency.toUpperCase(),
+      };
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Stripe as a payment provider (see payment.service.js)
+ */
+export const stripeProvider = {
+  id: "stripe",
+  label: "Stripe",
+  transactionMetaKey: "_stripe_payment_intent_id",
+
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY && getPublishableKey()),
+
+  getConfig: () => ({ publishableKey: getPublishableKey() }),
+
+  createPayment: async ({ orderId, orderKey, amount, currency, customerEmail, idempotencyKey }) => {
+    const result = await createPaymentIntent({
+      amount: toMinorUnits(amount, currency),
+      currency,
+      orderId,
+      orderKey,
+      customerEmail,
+      idempotencyKey,
+    });
+
+    return { clientSecret: result.clientSecret, paymentIntentId: result.paymentIntentId };
+  },
+
+  confirmPayment: async ({ paymentIntentId }) => {
+    if (!paymentIntentId) {
+      const error = new Error("Payment intent ID is required");
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await confirmPayment(paymentIntentId);
+
+    // requires_action, requires_payment_method, processing... can all still be paid
+    return {
+      paid: result.isPaymentSuccessful,
+      pending: !result.isPaymentSuccessful && result.status !== "canceled",
+      status: result.status,
+      orderId: result.orderId,
+      orderKey: result.orderKey,
+      amount: fromMinorUnits(result.amount, result.currency),
+      currency: result.currency.toUpperCase(),
+      transactionId: paymentIntentId,
+      orderMeta: { _stripe_payment_intent_id: paymentIntentId },
+      details: { paymentStatus: result.status },
+    };
+  },
+
+  // transactionId is the PaymentIntent ID
+  refundPayment: async ({ transactionId, amount, currency, reason, idempotencyKey }) => {
+    const result = await createRefund({
+      paymentIntentId: transactionId,
+      amount: amount ? toMinorUnits(amount, currency) : undefined,
+      metadata: reason ? { reason } : {},
+      idempotencyKey,
+    });
+
+    return {
+      refundId: result.refundId,
+      status: result.status,
+      amount: fromMinorUnits(result.amount, result.currency),
+      currency: result.currency.toUpperCase(),
+    };
+  },
+
+  getPaymentStatus: async (paymentIntentId) => {
+    const { paymentIntent } = await getPaymentIntent(paymentIntentId);
+
+    return {
+      paymentIntentId: paymentIntent.id,
+      status: paymentIntent.status,
+      orderId: paymentIntent.metadata?.orderId,
+      amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+      currency: paymentIntent.currency.toUpperCase(),
+    };
+  },
+
+  verifyWebhook: async ({ headers, rawBody }) => {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      const error = new Error("Stripe webhooks are not configured");
+      error.status = 500;
+      throw error;
+    }
+
+    try {
+      return constructWebhookEvent(rawBody, headers["stripe-signature"], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      error.status = 400;
+      throw error;
+    }
+  },
+
+  parseWebhookEvent,
+};
+
 export default {
   createPaymentIntent,
   getPaymentIntent,
   confirmPayment,
+  createRefund,
   constructWebhookEvent,
+  parseWebhookEvent,
   getPublishableKey,
+  stripeProvider,
 };
@@ -0,0 +1,449 @@
+import wcApi from "../config/woocommerce.js";
+import redisClient from "../config/redis.js";
+
+/**
+ * VAT Calculation
+ * Mirrors how WooCommerce taxes an order created through the REST API, so the
+ * cart shows the same tax the order will charge:
+ *
+ * - Rates are matched to the tax location (country/state/postcode/city) per
+ *   tax class, one rate per priority, compound rates applied last
+ * - Tax is worked out on each line's net amount after discounts and rounded
+ *   per line, unless "round tax at subtotal" is on
+ * - Prices entered inclusive of tax have the store's base rate taken out first,
+ *   so deliveries taxed differently (outside the UK, zero-rated NI postcode
+ *   rates etc.) pay the net price plus their own rate
+ * - Shipping is taxed with the shipping tax class (or the cart's, on "inherit")
+ *
+ * createOrderDirect sends the per-line net amounts from calculateCartTax as
+ * the order line totals, so WooCommerce taxes exactly what the cart showed.
+ *
+ * Settings and rates are cached in Redis and held in memory so cart totals
+ * can be calculated without waiting on WooCommerce.
+ */
+
+const CACHE_KEY = "tax:config";
+const TAX_CACHE_TTL = 60 * 60; // 1 hour
+
+const STANDARD_CLASS = "standard";
+
+let taxConfig = null;
+let loadedAt = 0;
+let loading = null;
+
+const round = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Normalise a WooCommerce tax class ("" is the standard class)
+ */
+export const normalizeTaxClass = (taxClass) => taxClass || STANDARD_CLASS;
+
+/**
+ * Fetch every page of tax rates
+ */
+const fetchTaxRates = async () => {
+  const rates = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await wcApi.get("taxes", { per_page: 100, page });
+    rates.push(...data);
+    if (data.length < 100) break;
+  }
+
+  return rates;
+};
+
+/**
+ * Fetch tax settings, classes and rates from WooCommerce
+ */
+const fetchTaxConfig = async () => {
+  const [{ data: generalSettings }, { data: taxSettings }, { data: classes }, rates] = await Promise.all([
+    wcApi.get("settings/general"),
+    wcApi.get("settings/tax"),
+    wcApi.get("taxes/classes"),
+    fetchTaxRates(),
+  ]);
+
+  const setting = (settings, id) => settings.find((s) => s.id === id)?.value;
+  const [baseCountry, baseState = ""] = String(setting(generalSettings, "woocommerce_default_country") || "GB").split(":");
+
+  return {
+    enabled: setting(generalSettings, "woocommerce_calc_taxes") === "yes",
+    pricesIncludeTax: setting(taxSettings, "woocommerce_prices_include_tax") === "yes",
+    taxBasedOn: setting(taxSettings, "woocommerce_tax_based_on") || "shipping",
+    shippingTaxClass: setting(taxSettings, "woocommerce_shipping_tax_class") || "inherit",
+    roundAtSubtotal: setting(taxSettings, "woocommerce_tax_round_at_subtotal") === "yes",
+    baseLocation: {
+      country: baseCountry,
+      state: baseState,
+      postcode: setting(generalSettings, "woocommerce_store_postcode") || "",
+      city: setting(generalSettings, "woocommerce_store_city") || "",
+    },
+    // Order WooCommerce lists them in - decides the shipping class on "inherit"
+    classes: [STANDARD_CLASS, ...classes.map((c) => c.slug).filter((slug) => slug !== STANDARD_CLASS)],
+    rates: rates.map((rate) => ({
+      id: rate.id,
+      country: (rate.country || "").toUpperCase(),
+      state: (rate.state || "").toUpperCase(),
+      postcodes: rate.postcodes?.length ? rate.postcodes : rate.postcode ? [rate.postcode] : [],
+      cities: rate.cities?.length ? rate.cities : rate.city ? [rate.city] : [],
+      rate: parseFloat(rate.rate) || 0,
+      name: rate.name,
+      priority: parseInt(rate.priority) || 1,
+      compound: Boolean(rate.compound),
+      shipping: Boolean(rate.shipping),
+      order: parseInt(rate.order) || 0,
+      taxClass: normalizeTaxClass(rate.class),
+    })),
+  };
+};
+
+/**
+ * Load tax settings and rates (memory, then Redis, then WooCommerce)
+ * On failure the last known config is kept.
+ *
+ * @param {boolean} forceRefresh - Skip the caches
+ * @returns {Promise<Object|null>} Tax config
+ */
+export const loadTaxConfig = async (forceRefresh = false) => {
+  if (!forceRefresh && taxConfig && Date.now() - loadedAt < TAX_CACHE_TTL * 1000) {
+    return taxConfig;
+  }
+
+  if (loading) return loading;
+
+  loading = (async () => {
+    try {
+      if (!forceRefresh) {
+        const cached = await redisClient.get(CACHE_KEY);
+        if (cached) {
+          taxConfig = JSON.parse(cached);
+          loadedAt = Date.now();
+          return taxConfig;
+        }
+      }
+
+      const config = await fetchTaxConfig();
+      await redisClient.setex(CACHE_KEY, TAX_CACHE_TTL, JSON.stringify(config));
+
+      taxConfig = config;
+      loadedAt = Date.now();
+      console.log(`[Tax] Loaded ${config.rates.length} tax rate(s), taxes ${config.enabled ? "enabled" : "disabled"}`);
+      return taxConfig;
+    } catch (error) {
+      console.error("[Tax] Failed to load tax rates:", error.message);
+      return taxConfig;
+    } finally {
+      loading = null;
+    }
+  })();
+
+  return loading;
+};
+
+/**
+ * Current tax config for synchronous callers (cart totals)
+ * Kicks off a background refresh once it's stale.
+ */
+export const getTaxConfig = () => {
+  if (!taxConfig || Date.now() - loadedAt >= TAX_CACHE_TTL * 1000) {
+    loadTaxConfig();
+  }
+  return taxConfig;
+};
+
+/**
+ * Warm up the tax cache on server start
+ * @param {boolean} forceRefresh - Force fetch from WooCommerce
+ */
+export const cacheTaxConfigOnStart = async (forceRefresh = false) => {
+  console.log("[CACHE WARMING] Fetching tax rates...");
+  const config = await loadTaxConfig(forceRefresh);
+  if (config) console.log("[CACHE WARMING] Tax rates ready!");
+};
+
+/**
+ * Pick the address taxes are based on (WooCommerce "Calculate tax based on")
+ * @param {Object} config - Tax config
+ * @param {Object} addresses - { billing, shipping }
+ */
+export const getTaxLocation = (config, { billing = null, shipping = null } = {}) => {
+  if (config.taxBasedOn === "base") return config.baseLocation;
+
+  const address = config.taxBasedOn === "billing" ? billing : shipping?.country ? shipping : billing;
+  if (!address?.country) return config.baseLocation;
+
+  return {
+    country: String(address.country).toUpperCase(),
+    state: String(address.state || "").toUpperCase(),
+    postcode: address.postcode || "",
+    city: address.city || "",
+  };
+};
+
+const normalizePostcode = (postcode) => String(postcode || "").toUpperCase().replace(/\s+/g, "");
+
+/**
+ * WooCommerce postcode rules: exact, wildcard ("BT*") or numeric range ("1000...2000")
+ */
+const postcodeMatches = (patterns, postcode) => {
+  if (patterns.length === 0) return true;
+
+  const value = normalizePostcode(postcode);
+
+  return patterns.some((pattern) => {
+    const rule = normalizePostcode(pattern);
+
+    if (rule.includes("...")) {
+      const [min, max] = rule.split("...").map(Number);
+      const numeric = Number(value);
+      return !Number.isNaN(numeric) && numeric >= min && numeric <= max;
+    }
+
+    if (rule.endsWith("*")) return value.startsWith(rule.slice(0, -1));
+
+    return value === rule;
+  });
+};
+
+/**
+ * Find the rates for a location and tax class
+ * Most specific rate wins within each priority; one rate per priority.
+ */
+const findRates = (config, location, taxClass, { shippingOnly = false } = {}) => {
+  const city = String(location.city || "").toUpperCase();
+
+  const candidates = config.rates
+    .filter((rate) => rate.taxClass === taxClass)
+    .filter((rate) => !shippingOnly || rate.shipping)
+    .filter((rate) => !rate.country || rate.country === location.country)
+    .filter((rate) => !rate.state || rate.state === location.state)
+    .filter((rate) => postcodeMatches(rate.postcodes, location.postcode))
+    .filter((rate) => rate.cities.length === 0 || rate.cities.some((c) => c.toUpperCase() === city))
+    .sort(
+      (a, b) =>
+        a.priority - b.priority ||
+        Boolean(b.country) - Boolean(a.country) ||
+        Boolean(b.state) - Boolean(a.state) ||
+        (b.postcodes.length > 0) - (a.postcodes.length > 0) ||
+        (b.cities.length > 0) - (a.cities.length > 0) ||
+        a.order - b.order
+    );
+
+  const byPriority = new Map();
+  for (const rate of candidates) {
+    if (!byPriority.has(rate.priority)) byPriority.set(rate.priority, rate);
+  }
+
+  return [...byPriority.values()];
+};
+
+/**
+ * Tax on a net amount (WC_Tax::calc_exclusive_tax)
+ * @returns {Map<number, number>} Unrounded tax per rate ID
+ */
+const calcExclusiveTax = (amount, rates) => {
+  const taxes = new Map();
+
+  for (const rate of rates.filter((r) => !r.compound)) {
+    taxes.set(rate.id, (amount * rate.rate) / 100);
+  }
+
+  let compoundBase = amount + sum([...taxes.values()]);
+  for (const rate of rates.filter((r) => r.compound)) {
+    const tax = (compoundBase * rate.rate) / 100;
+    taxes.set(rate.id, tax);
+    compoundBase += tax;
+  }
+
+  return taxes;
+};
+
+/**
+ * Tax contained in a gross amount (WC_Tax::calc_inclusive_tax)
+ * @returns {number} Unrounded total tax
+ */
+const calcInclusiveTax = (amount, rates) => {
+  let nonCompoundPrice = amount;
+  let total = 0;
+
+  for (const rate of rates.filter((r) => r.compound).reverse()) {
+    const tax = nonCompoundPrice - nonCompoundPrice / (1 + rate.rate / 100);
+    total += tax;
+    nonCompoundPrice -= tax;
+  }
+
+  const regular = rates.filter((r) => !r.compound);
+  const regularRate = 1 + sum(regular.map((r) => r.rate)) / 100;
+  for (const rate of regular) {
+    total += (rate.rate / 100 / regularRate) * nonCompoundPrice;
+  }
+
+  return total;
+};
+
+/**
+ * Net amount of a line price
+ * Inclusive prices have the base location's tax removed (WooCommerce's default
+ * "adjust non-base location prices" behaviour). Rounded to the penny as it's
+ * sent to WooCommerce, so an inclusive total can be a penny off the shelf price.
+ */
+const toNet = (config, amount, baseRates) => {
+  if (!config.pricesIncludeTax) return round(amount);
+  return round(amount - calcInclusiveTax(amount, baseRates));
+};
+
+const emptyResult = (cart, shippingTotal) => {
+  const subtotal = sum(cart.items.map((item) => parseFloat(item.lineTotal) || 0));
+  const discount = sum(cart.items.map((item) => parseFloat(item.discount) || 0));
+
+  return {
+    enabled: false,
+    pricesIncludeTax: false,
+    location: null,
+    lines: cart.items.map((item) => ({
+      key: item.key,
+      subtotal: round(parseFloat(item.lineTotal) || 0),
+      total: round((parseFloat(item.lineTotal) || 0) - (parseFloat(item.discount) || 0)),
+      tax: 0,
+    })),
+    netTotal: round(Math.max(0, subtotal - discount) + shippingTotal),
+    itemsTax: 0,
+    shippingTax: 0,
+    tax: 0,
+    taxes: [],
+  };
+};
+
+/**
+ * Calculate the tax on a cart
+ * Items need `discount` set (applyCartCoupons) before this is called.
+ *
+ * @param {Object} cart - Cart
+ * @param {Object} [options]
+ * @param {Object} [options.location] - Tax location { country, state, postcode, city } (default: from cart.taxAddresses, else store base)
+ * @param {number} [options.shippingTotal] - Shipping cost excluding tax
+ * @param {Object} [options.config] - Tax config (default: the loaded config)
+ * @returns {Object} { enabled, pricesIncludeTax, location, lines: [{ key, subtotal, total, tax }],
+ *   netTotal, itemsTax, shippingTax, tax, taxes: [{ rateId, label, ratePercent, compound, itemsTax, shippingTax, total }] }
+ */
+export const calculateCartTax = (cart, options = {}) => {
+  const config = options.config || getTaxConfig();
+  const shippingTotal = round(parseFloat(options.shippingTotal) || 0);
+
+  if (!config?.enabled) return emptyResult(cart, shippingTotal);
+
+  const location = options.location || getTaxLocation(config, cart.taxAddresses);
+  const finish = config.roundAtSubtotal ? (value) => value : round;
+
+  const itemTaxes = new Map();
+  const shippingTaxes = new Map();
+  const ratesUsed = new Map();
+
+  const addTaxes = (target, taxes, rates) => {
+    for (const rate of rates) {
+      ratesUsed.set(rate.id, rate);
+      target.set(rate.id, (target.get(rate.id) || 0) + finish(taxes.get(rate.id) || 0));
+    }
+  };
+
+  const lines = cart.items.map((item) => {
+    const taxClass = normalizeTaxClass(item.taxClass);
+    const lineTotal = parseFloat(item.lineTotal) || 0;
+    const discount = parseFloat(item.discount) || 0;
+
+    const baseRates = findRates(config, config.baseLocation, taxClass);
+    const subtotal = toNet(config, lineTotal, baseRates);
+    const total = toNet(config, Math.max(0, lineTotal - discount), baseRates);
+
+    if (item.taxStatus && item.taxStatus !== "taxable") {
+      return { key: item.key, subtotal, total, tax: 0 };
+    }
+
+    const rates = findRates(config, location, taxClass);
+    const taxes = calcExclusiveTax(total, rates);
+    addTaxes(itemTaxes, taxes, rates);
+
+    return { key: item.key, subtotal, total, tax: round(sum([...taxes.values()].map(finish))) };
+  });
+
+  // Shipping tax class - "inherit" takes standard if any taxable item uses it,
+  // otherwise the first class (in WooCommerce's order) found in the cart
+  if (shippingTotal > 0) {
+    let shippingClass = config.shippingTaxClass;
+
+    if (shippingClass === "inherit") {
+      const cartClasses = new Set(
+        cart.items
+          .filter((item) => !item.taxStatus || item.taxStatus === "taxable")
+          .map((item) => normalizeTaxClass(item.taxClass))
+      );
+      shippingClass = config.classes.find((slug) => cartClasses.has(slug)) || STANDARD_CLASS;
+    }
+
+    const rates = findRates(config, location, normalizeTaxClass(shippingClass), { shippingOnly: true });
+    addTaxes(shippingTaxes, calcExclusiveTax(shippingTotal, rates), rates);
+  }
+
+  const taxes = [...ratesUsed.values()]
+    .sort((a, b) => a.priority - b.priority || a.order - b.order)
+    .map((rate) => {
+      const itemsTax = round(itemTaxes.get(rate.id) || 0);
+      const shippingTax = round(shippingTaxes.get(rate.id) || 0);
+
+      return {
+        rateId: rate.id,
+        label: rate.name,
+        ratePercent: rate.rate,
+        compound: rate.compound,
+        itemsTax: itemsTax.toFixed(2),
+        shippingTax: shippingTax.toFixed(2),
+        total: round(itemsTax + shippingTax).toFixed(2),
+      };
+    });
+
+  const itemsTax = round(sum(taxes.map((t) => parseFloat(t.itemsTax))));
+  const shippingTax = round(sum(taxes.map((t) => parseFloat(t.shippingTax))));
+
+  return {
+    enabled: true,
+    pricesIncludeTax: config.pricesIncludeTax,
+    location: { country: location.country, state: location.state || "", postcode: location.postcode || "" },
+    lines,
+    netTotal: round(sum(lines.map((line) => line.total)) + shippingTotal),
+    itemsTax,
+    shippingTax,
+    tax: round(itemsTax + shippingTax),
+    taxes,
+  };
+};
+
+/**
+ * Tax breakdown of a WooCommerce order, in the same shape as calculateCartTax
+ * @param {Object} order - WooCommerce REST order
+ */
+export const formatOrderTaxes = (order) =>
+  (order.tax_lines || []).map((line) => {
+    const itemsTax = parseFloat(line.tax_total) || 0;
+    const shippingTax = parseFloat(line.shipping_tax_total) || 0;
+
+    return {
+      rateId: line.rate_id,
+      label: line.label,
+      ratePercent: parseFloat(line.rate_percent) || 0,
+      compound: Boolean(line.compound),
+      itemsTax: itemsTax.toFixed(2),
+      shippingTax: shippingTax.toFixed(2),
+      total: round(itemsTax + shippingTax).toFixed(2),
+    };
+  });
+
+export default {
+  loadTaxConfig,
+  getTaxConfig,
+  cacheTaxConfigOnStart,
+  getTaxLocation,
+  calculateCartTax,
+  formatOrderTaxes,
+};
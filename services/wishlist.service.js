@@ -0,0 +1,382 @@
+import crypto from "crypto";
+import wcApi from "../config/woocommerce.js";
+import redisClient from "../config/redis.js";
+import { addToCart, generateItemKey, resolveCartToken } from "./cart.service.js";
+import { withAvailableStock } from "./stock-reservation.service.js";
+import { BASE_CURRENCY, localizeProducts } from "./currency.service.js";
+import { transformProducts } from "../utils/transform.js";
+
+/**
+ * Customer Wishlists
+ * Stored on the WooCommerce customer (meta "wishlists") so they last as long
+ * as the account. Items use the same identity as cart items
+ * (productId + variationId + variation attributes -> key).
+ *
+ * Stored shape:
+ *   { lists: [{ id, name, createdAt, items: [{ key, productId, variationId, variation, addedAt }] }] }
+ *
+ * Writes replace the whole meta value, so they run under wishlist:lock:<customerId>.
+ */
+
+const WISHLIST_META_KEY = "wishlists";
+const DEFAULT_LIST_ID = "default";
+const DEFAULT_LIST_NAME = "Wishlist";
+const MAX_LISTS = 10;
+const MAX_ITEMS_PER_LIST = 100;
+
+// Lock settings for read-modify-write updates (same scheme as the cart store)
+const LOCK_TTL_MS = 10 * 1000;
+const LOCK_RETRY_MS = 50;
+const LOCK_WAIT_MS = 5 * 1000;
+
+// Releases the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+const lockKey = (customerId) => `wishlist:lock:${customerId}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const wishlistError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const createList = (id, name) => ({
+  id,
+  name,
+  createdAt: Date.now(),
+  items: [],
+});
+
+/**
+ * Load a customer's wishlists (always includes the default list)
+ */
+/**
+ * Run a function while holding the customer's wishlist lock
+ * Concurrent edits (across processes) run one at a time so none are lost.
+ */
+const withWishlistLock = async (customerId, fn) => {
+  const key = lockKey(customerId);
+  const owner = crypto.randomBytes(16).toString("hex");
+  const deadline = Date.now() + LOCK_WAIT_MS;
+
+  while (true) {
+    const acquired = await redisClient.set(key, owner, "PX", LOCK_TTL_MS, "NX");
+    if (acquired) break;
+
+    if (Date.now() > deadline) {
+      throw wishlistError("Wishlist is being updated, please try again", 409);
+    }
+
+    await sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, owner);
+    } catch (error) {
+      console.error(`[Wishlist] Failed to release lock for customer ${customerId}:`, error.message);
+    }
+  }
+};
+
+const loadWishlists = async (customerId) => {
+  const { data: customer } = await wcApi.get(`customers/${customerId}`);
+  const meta = (customer.meta_data || []).find((m) => m.key === WISHLIST_META_KEY);
+
+  let stored = null;
+  try {
+    stored = typeof meta?.value === "string" ? JSON.parse(meta.value) : meta?.value;
+  } catch (error) {
+    console.error(`[Wishlist] Corrupt wishlist for customer ${customerId}:`, error.message);
+  }
+
+  const lists = Array.isArray(stored?.lists) ? stored.lists : [];
+
+  if (!lists.some((list) => list.id === DEFAULT_LIST_ID)) {
+    lists.unshift(createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME));
+  }
+
+  return { lists };
+};
+
+const saveWishlists = async (customerId, wishlists) => {
+  await wcApi.put(`customers/${customerId}`, {
+    meta_data: [{ key: WISHLIST_META_KEY, value: JSON.stringify(wishlists) }],
+  });
+  return wishlists;
+};
+
+const findList = (wishlists, listId) => {
+  const list = wishlists.lists.find((l) => l.id === (listId || DEFAULT_LIST_ID));
+  if (!list) throw wishlistError("Wishlist not found", 404);
+  return list;
+};
+
+/**
+ * Fetch live product data for wishlist items
+ * Products come back through transformProducts with stock reduced by checkout holds;
+ * variations add their own price and stock. Prices are shown in `currency`.
+ */
+const hydrateItems = async (items, currency) => {
+  const productIds = [...new Set(items.map((item) => item.productId))];
+  if (productIds.length === 0) return [];
+
+  const { data: products } = await wcApi.get("products", {
+    include: productIds.join(","),
+    per_page: productIds.length,
+  });
+
+  const productsById = new Map();
+  for (const product of products) {
+    if (product.status !== "publish") continue;
+    const live = await withAvailableStock(product, product.id);
+    productsById.set(product.id, localizeProducts(transformProducts([live]), currency)[0]);
+  }
+
+  return Promise.all(
+    items.map(async (item) => {
+      const product = productsById.get(item.productId) || null;
+      let variationDetails = null;
+
+      if (product && item.variationId) {
+        try {
+          const { data: variation } = await wcApi.get(
+            `products/${item.productId}/variations/${item.variationId}`
+          );
+          const [live] = localizeProducts(
+            [await withAvailableStock(variation, item.productId, item.variationId)],
+            currency
+          );
+
+          variationDetails = {
+            id: live.id,
+            price: live.price,
+            regular_price: live.regular_price,
+            sale_price: live.sale_price,
+            stock_status: live.stock_status,
+            stock_quantity: live.stock_quantity,
+            attributes: live.attributes || [],
+            image: live.image?.src || null,
+          };
+        } catch (error) {
+          console.warn(`[Wishlist] Variation ${item.variationId} unavailable:`, error.message);
+        }
+      }
+
+      return {
+        ...item,
+        // Deleted/unpublished products stay listed so the customer can remove them
+        available: Boolean(product) && (!item.variationId || Boolean(variationDetails)),
+        product,
+        variationDetails,
+      };
+    })
+  );
+};
+
+const formatList = async (list, currency = BASE_CURRENCY) => ({
+  id: list.id,
+  name: list.name,
+  createdAt: list.createdAt,
+  itemsCount: list.items.length,
+  items: await hydrateItems(list.items, currency),
+});
+
+/**
+ * Get a customer's wishlists with live product data
+ * @param {number} customerId - WooCommerce customer ID
+ * @param {string} [listId] - Only return this list
+ * @param {string} [currency] - Currency to show prices in
+ */
+export const getWishlists = async (customerId, listId = null, currency = BASE_CURRENCY) => {
+  const wishlists = await loadWishlists(customerId);
+  const lists = listId ? [findList(wishlists, listId)] : wishlists.lists;
+
+  return { lists: await Promise.all(lists.map((list) => formatList(list, currency))) };
+};
+
+/**
+ * Create a named wishlist (e.g. "Kitchen", "Bathroom")
+ */
+export const createWishlist = async (customerId, name, currency = BASE_CURRENCY) => {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw wishlistError("Wishlist name is required", 400);
+
+  const list = await withWishlistLock(customerId, async () => {
+    const wishlists = await loadWishlists(customerId);
+
+    if (wishlists.lists.length >= MAX_LISTS) {
+      throw wishlistError(`You can have up to ${MAX_LISTS} wishlists`, 400);
+    }
+
+    if (wishlists.lists.some((l) => l.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw wishlistError("A wishlist with this name already exists", 409);
+    }
+
+    const created = createList(crypto.randomBytes(6).toString("hex"), trimmed.slice(0, 50));
+    wishlists.lists.push(created);
+    await saveWishlists(customerId, wishlists);
+
+    return created;
+  });
+
+  return formatList(list, currency);
+};
+
+/**
+ * Delete a named wishlist (the default list can't be deleted)
+ */
+export const deleteWishlist = async (customerId, listId) => {
+  if (listId === DEFAULT_LIST_ID) {
+    throw wishlistError("The default wishlist can't be deleted", 400);
+  }
+
+  await withWishlistLock(customerId, async () => {
+    const wishlists = await loadWishlists(customerId);
+    findList(wishlists, listId);
+
+    wishlists.lists = wishlists.lists.filter((list) => list.id !== listId);
+    await saveWishlists(customerId, wishlists);
+  });
+
+  return { deleted: true, listId };
+};
+
+/**
+ * Add a product/variation to a wishlist
+ * Adding something already on the list is a no-op.
+ */
+export const addWishlistItem = async (
+  customerId,
+  { productId, variationId = null, variation = [], listId = null, currency = BASE_CURRENCY }
+) => {
+  const key = generateItemKey(productId, variationId, variation);
+
+  // Make sure it exists before saving it (outside the lock - it's a WooCommerce round trip)
+  try {
+    await wcApi.get(`products/${productId}`);
+  } catch (error) {
+    throw wishlistError("Product not found", 404);
+  }
+
+  const list = await withWishlistLock(customerId, async () => {
+    const wishlists = await loadWishlists(customerId);
+    const target = findList(wishlists, listId);
+
+    if (!target.items.some((item) => item.key === key)) {
+      if (target.items.length >= MAX_ITEMS_PER_LIST) {
+        throw wishlistError(`A wishlist can hold up to ${MAX_ITEMS_PER_LIST} items`, 400);
+      }
+
+      target.items.push({
+        key,
+        productId: parseInt(productId),
+        variationId: variationId ? parseInt(variationId) : null,
+        variation: variation || [],
+        addedAt: Date.now(),
+      });
+
+      await saveWishlists(customerId, wishlists);
+    }
+
+    return target;
+  });
+
+  return formatList(list, currency);
+};
+
+/**
+ * Remove an item from a wishlist
+ */
+export const removeWishlistItem = async (customerId, key, listId = null, currency = BASE_CURRENCY) => {
+  const list = await withWishlistLock(customerId, async () => {
+    const wishlists = await loadWishlists(customerId);
+    const target = findList(wishlists, listId);
+
+    const remaining = target.items.filter((item) => item.key !== key);
+    if (remaining.length === target.items.length) {
+      throw wishlistError("Wishlist item not found", 404);
+    }
+
+    target.items = remaining;
+    await saveWishlists(customerId, wishlists);
+
+    return target;
+  });
+
+  return formatList(list, currency);
+};
+
+/**
+ * Move a wishlist item into the customer's cart
+ *
+ * @param {number} customerId - WooCommerce customer ID
+ * @param {string} key - Wishlist item key
+ * @param {Object} options
+ * @param {string} [options.listId] - Wishlist the item is on
+ * @param {string} [options.cartToken] - Cart token from the request (used until the customer has a saved cart)
+ * @param {number} [options.quantity] - Quantity to add
+ * @param {number} [options.sqm] - Area to add for tiles
+ * @param {string} [options.layPattern] - Laying pattern for box wastage
+ * @param {boolean} [options.keepInWishlist] - Leave the item on the list
+ * @param {string} [options.currency] - Currency to show wishlist prices in
+ */
+export const moveWishlistItemToCart = async (customerId, key, options = {}) => {
+  const {
+    listId = null,
+    quantity = 1,
+    sqm = 0,
+    layPattern,
+    keepInWishlist = false,
+    currency = BASE_CURRENCY,
+  } = options;
+
+  const { result, list } = await withWishlistLock(customerId, async () => {
+    const wishlists = await loadWishlists(customerId);
+    const target = findList(wishlists, listId);
+    const item = target.items.find((i) => i.key === key);
+
+    if (!item) throw wishlistError("Wishlist item not found", 404);
+
+    const cartToken = await resolveCartToken(options.cartToken || null, customerId);
+    const added = await addToCart(
+      item.productId,
+      quantity,
+      sqm,
+      item.variation,
+      cartToken,
+      item.variationId,
+      { layPattern }
+    );
+
+    if (!keepInWishlist) {
+      target.items = target.items.filter((i) => i.key !== key);
+      await saveWishlists(customerId, wishlists);
+    }
+
+    return { result: added, list: target };
+  });
+
+  return {
+    ...result,
+    wishlist: await formatList(list, currency),
+  };
+};
+
+export default {
+  getWishlists,
+  createWishlist,
+  deleteWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+};
@@ -0,0 +1,121 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateAddress,
+  normalizePostcode,
+  isValidPostcode,
+  normalizeState,
+  normalizePhone,
+  isValidEmail,
+} from "../utils/address.js";
+
+const gbAddress = {
+  first_name: " Jane ",
+  last_name: "Smith",
+  address_1: "1  High Street",
+  city: "London",
+  postcode: "sw1a1aa",
+  country: "gb",
+  email: "Jane@Example.com",
+  phone: "07700 900123",
+};
+
+describe("normalizePostcode", () => {
+  it("formats GB postcodes", () => {
+    assert.equal(normalizePostcode("sw1a1aa", "GB"), "SW1A 1AA");
+  });
+
+  it("leaves postcodes for countries without a rule upper-cased", () => {
+    assert.equal(normalizePostcode("ab 12", "ZZ"), "AB 12");
+  });
+});
+
+describe("isValidPostcode", () => {
+  it("checks the country's format", () => {
+    assert.equal(isValidPostcode("SW1A 1AA", "GB"), true);
+    assert.equal(isValidPostcode("12345", "GB"), false);
+  });
+});
+
+describe("normalizeState", () => {
+  it("accepts a code or a name", () => {
+    assert.equal(normalizeState("ca", "US"), "CA");
+    assert.equal(normalizeState("california", "US"), "CA");
+  });
+
+  it("returns null for a state that isn't on the country's list", () => {
+    assert.equal(normalizeState("Narnia", "US"), null);
+  });
+
+  it("keeps free text for countries without a state list", () => {
+    assert.equal(normalizeState(" Kent ", "GB"), "Kent");
+  });
+});
+
+describe("normalizePhone", () => {
+  it("puts national numbers in international form", () => {
+    assert.equal(normalizePhone("07700 900123", "GB"), "+447700900123");
+    assert.equal(normalizePhone("+44 (0)20 7946 0000", "GB"), "+442079460000");
+  });
+
+  it("rejects things that can't be phone numbers", () => {
+    assert.equal(normalizePhone("call me", "GB"), null);
+    assert.equal(normalizePhone("123", "GB"), null);
+  });
+});
+
+describe("isValidEmail", () => {
+  it("checks the email looks deliverable", () => {
+    assert.equal(isValidEmail("jane@example.com"), true);
+    assert.equal(isValidEmail("jane@"), false);
+  });
+});
+
+describe("validateAddress", () => {
+  it("normalises a valid address", () => {
+    const { address, errors } = validateAddress(gbAddress, { type: "billing" });
+
+    assert.deepEqual(errors, []);
+    assert.equal(address.first_name, "Jane");
+    assert.equal(address.address_1, "1 High Street");
+    assert.equal(address.country, "GB");
+    assert.equal(address.postcode, "SW1A 1AA");
+    assert.equal(address.email, "jane@example.com");
+    assert.equal(address.phone, "+447700900123");
+  });
+
+  it("reports each problem with its field path", () => {
+    const { errors } = validateAddress(
+      { ...gbAddress, city: "", postcode: "nope", email: "jane@" },
+      { type: "billing", field: "billingAddress" }
+    );
+
+    assert.deepEqual(
+      errors.map((error) => [error.field, error.code]),
+      [
+        ["billingAddress.city", "required"],
+        ["billingAddress.postcode", "invalid_postcode"],
+        ["billingAddress.email", "invalid_email"],
+      ]
+    );
+  });
+
+  it("requires a state for countries with a state list", () => {
+    const { errors } = validateAddress({ ...gbAddress, country: "US", postcode: "90210", phone: "" });
+
+    assert.ok(errors.some((error) => error.field === "state" && error.code === "required"));
+  });
+
+  it("only checks sent fields on partial updates", () => {
+    const { errors } = validateAddress({ city: "Leeds" }, { type: "billing", partial: true });
+
+    assert.deepEqual(errors, []);
+  });
+
+  it("reports a missing address", () => {
+    const { address, errors } = validateAddress(null, { type: "shipping" });
+
+    assert.equal(address, null);
+    assert.equal(errors[0].message, "Shipping address is required");
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import redisClient from "../config/redis.js";
+import { toCartCoupon, validateCoupon, applyCartCoupons, assertCouponApplicable } from "../services/coupon.service.js";
+
+after(() => redisClient.disconnect());
+
+const wcCoupon = (overrides = {}) => ({
+  id: 1,
+  code: "save",
+  status: "publish",
+  discount_type: "percent",
+  amount: "10",
+  product_ids: [],
+  excluded_product_ids: [],
+  product_categories: [],
+  excluded_product_categories: [],
+  email_restrictions: [],
+  ...overrides,
+});
+
+const item = (key, lineTotal, overrides = {}) => ({
+  key,
+  productId: Number(key),
+  variationId: 0,
+  quantity: 1,
+  lineTotal: lineTotal.toFixed(2),
+  categoryIds: [],
+  ...overrides,
+});
+
+const cartWith = (items, coupons) => ({ currency: "GBP", items, coupons: coupons.map(toCartCoupon) });
+
+describe("validateCoupon", () => {
+  it("accepts a coupon that applies", () => {
+    const cart = cartWith([item("1", 50)], []);
+    assert.deepEqual(validateCoupon(toCartCoupon(wcCoupon()), cart), { valid: true });
+  });
+
+  it("rejects expired and inactive coupons", () => {
+    const cart = cartWith([item("1", 50)], []);
+
+    assert.equal(validateCoupon(toCartCoupon(wcCoupon({ date_expires: "2000-01-01T00:00:00" })), cart).code, "coupon_expired");
+    assert.equal(validateCoupon(toCartCoupon(wcCoupon({ status: "draft" })), cart).code, "coupon_inactive");
+  });
+
+  it("checks the minimum and maximum spend", () => {
+    const cart = cartWith([item("1", 50)], []);
+
+    assert.equal(validateCoupon(toCartCoupon(wcCoupon({ minimum_amount: "60" })), cart).code, "coupon_minimum_amount");
+    assert.equal(validateCoupon(toCartCoupon(wcCoupon({ maximum_amount: "40" })), cart).code, "coupon_maximum_amount");
+  });
+
+  it("checks email restrictions once the email is known", () => {
+    const coupon = toCartCoupon(wcCoupon({ email_restrictions: ["*@example.com"] }));
+    const cart = cartWith([item("1", 50)], []);
+
+    assert.equal(validateCoupon(coupon, cart).valid, true);
+    assert.equal(validateCoupon(coupon, cart, { email: "jane@example.com" }).valid, true);
+    assert.equal(validateCoupon(coupon, cart, { email: "jane@other.com" }).code, "coupon_email_restricted");
+  });
+
+  it("checks the per-user limit", () => {
+    const coupon = toCartCoupon(wcCoupon({ usage_limit_per_user: 1, used_by: ["7"] }));
+    const cart = cartWith([item("1", 50)], []);
+
+    assert.equal(validateCoupon(coupon, cart, { customerId: 7 }).code, "coupon_user_limit_reached");
+    assert.equal(validateCoupon(coupon, cart, { customerId: 8 }).valid, true);
+  });
+
+  it("rejects cart coupons when the cart has an excluded item", () => {
+    const coupon = toCartCoupon(wcCoupon({ discount_type: "fixed_cart", excluded_product_ids: [2] }));
+    const cart = cartWith([item("1", 50), item("2", 50)], []);
+
+    assert.equal(validateCoupon(coupon, cart).code, "coupon_excluded_items");
+  });
+
+  it("needs an eligible item for product coupons", () => {
+    const coupon = toCartCoupon(wcCoupon({ product_ids: [9] }));
+    const cart = cartWith([item("1", 50)], []);
+
+    assert.equal(validateCoupon(coupon, cart).code, "coupon_not_applicable");
+  });
+});
+
+describe("applyCartCoupons", () => {
+  it("applies a percentage to eligible lines only", () => {
+    const cart = cartWith([item("1", 50), item("2", 30)], [wcCoupon({ product_ids: [1] })]);
+
+    assert.deepEqual(applyCartCoupons(cart), { discount: 5, freeShipping: false });
+    assert.equal(cart.items[0].discount, "5.00");
+    assert.equal(cart.items[1].discount, "0.00");
+    assert.equal(cart.coupons[0].discount, "5.00");
+  });
+
+  it("applies a fixed amount per unit", () => {
+    const cart = cartWith([item("1", 50, { quantity: 5 })], [wcCoupon({ discount_type: "fixed_product", amount: "2" })]);
+
+    assert.equal(applyCartCoupons(cart).discount, 10);
+  });
+
+  it("spreads a cart discount across lines in proportion", () => {
+    const cart = cartWith([item("1", 30), item("2", 10)], [wcCoupon({ discount_type: "fixed_cart", amount: "10" })]);
+
+    assert.equal(applyCartCoupons(cart).discount, 10);
+    assert.equal(cart.items[0].discount, "7.50");
+    assert.equal(cart.items[1].discount, "2.50");
+  });
+
+  it("only spreads a restricted cart discount across the eligible lines", () => {
+    const cart = cartWith(
+      [item("1", 30), item("2", 10, { categoryIds: [4] })],
+      [wcCoupon({ discount_type: "fixed_cart", amount: "10", product_categories: [4] })]
+    );
+
+    assert.equal(applyCartCoupons(cart).discount, 10);
+    assert.equal(cart.items[0].discount, "0.00");
+    assert.equal(cart.items[1].discount, "10.00");
+  });
+
+  it("never discounts more than the cart is worth", () => {
+    const cart = cartWith(
+      [item("1", 20)],
+      [wcCoupon({ code: "half", amount: "50" }), wcCoupon({ code: "big", discount_type: "fixed_cart", amount: "100" })]
+    );
+
+    assert.equal(applyCartCoupons(cart).discount, 20);
+    assert.equal(cart.coupons.find((c) => c.code === "big").discount, "10.00");
+  });
+
+  it("applies fixed amounts unconverted in the cart's currency, like WooCommerce", () => {
+    const cart = { ...cartWith([item("1", 50)], [wcCoupon({ discount_type: "fixed_cart", amount: "10", minimum_amount: "40" })]), currency: "EUR" };
+
+    assert.equal(applyCartCoupons(cart).discount, 10);
+    assert.equal(cart.items[0].discount, "10.00");
+  });
+
+  it("keeps coupons that stopped applying with a reason", () => {
+    const cart = cartWith([item("1", 20)], [wcCoupon({ minimum_amount: "50", free_shipping: true })]);
+
+    assert.deepEqual(applyCartCoupons(cart), { discount: 0, freeShipping: false });
+    assert.equal(cart.coupons[0].valid, false);
+    assert.match(cart.coupons[0].reason, /minimum spend/);
+  });
+});
+
+describe("assertCouponApplicable", () => {
+  it("blocks other coupons next to an individual-use coupon", () => {
+    const cart = cartWith([item("1", 50)], [wcCoupon({ code: "solo", individual_use: true })]);
+
+    assert.throws(
+      () => assertCouponApplicable(toCartCoupon(wcCoupon({ code: "other" })), cart),
+      (error) => error.code === "coupon_individual_use" && error.status === 400
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getQuantityRules, mergeQuantityRules, checkQuantityRules } from "../utils/quantity-rules.js";
+
+const withMeta = (meta) => ({ meta_data: Object.entries(meta).map(([key, value]) => ({ key, value })) });
+
+describe("getQuantityRules", () => {
+  it("returns null when no rule is set", () => {
+    assert.equal(getQuantityRules(withMeta({})), null);
+  });
+
+  it("reads the rules from product meta", () => {
+    assert.deepEqual(getQuantityRules(withMeta({ _min_quantity: "2", _quantity_step: "2", _sqm_step: "0,5" })), {
+      minQuantity: 2,
+      maxQuantity: null,
+      quantityStep: 2,
+      sqmStep: 0.5,
+    });
+  });
+
+  it("lets the variation's rules win rule by rule", () => {
+    const product = withMeta({ _min_quantity: "2", _max_quantity: "20" });
+    const variation = withMeta({ _min_quantity: "4" });
+
+    assert.deepEqual(getQuantityRules(product, variation), {
+      minQuantity: 4,
+      maxQuantity: 20,
+      quantityStep: null,
+      sqmStep: null,
+    });
+  });
+
+  it("ignores zero and invalid values", () => {
+    assert.equal(getQuantityRules(withMeta({ _min_quantity: "0", _quantity_step: "abc" })), null);
+  });
+});
+
+describe("mergeQuantityRules", () => {
+  it("returns null when neither side sets a rule", () => {
+    assert.equal(mergeQuantityRules(null, null), null);
+  });
+});
+
+describe("checkQuantityRules", () => {
+  const rules = { minQuantity: 2, maxQuantity: 10, quantityStep: 2, sqmStep: 0.72 };
+
+  it("allows anything without rules", () => {
+    assert.equal(checkQuantityRules(null, { quantity: 1 }), null);
+  });
+
+  it("allows a quantity that meets every rule", () => {
+    assert.equal(checkQuantityRules(rules, { quantity: 4, sqm: 2.16 }), null);
+  });
+
+  it("reports the first rule broken", () => {
+    assert.equal(checkQuantityRules(rules, { quantity: 1 }).code, "quantity_below_minimum");
+    assert.equal(checkQuantityRules(rules, { quantity: 12 }).code, "quantity_above_maximum");
+    assert.equal(checkQuantityRules(rules, { quantity: 3 }).code, "quantity_step");
+    assert.equal(checkQuantityRules(rules, { quantity: 4, sqm: 1 }).code, "sqm_step");
+  });
+
+  it("checks steps without float errors", () => {
+    assert.equal(checkQuantityRules({ sqmStep: 0.1 }, { quantity: 1, sqm: 0.3 }), null);
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * Test setup - loaded before every test file (see the "test" script)
+ * Services read their config on import; these keep them importable without a .env.
+ */
+process.env.WC_SITE_URL ||= "http://localhost";
+process.env.WC_CONSUMER_KEY ||= "ck_test";
+process.env.WC_CONSUMER_SECRET ||= "cs_test";
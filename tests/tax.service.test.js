@@ -0,0 +1,121 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import redisClient from "../config/redis.js";
+import { calculateCartTax, getTaxLocation, formatOrderTaxes } from "../services/tax.service.js";
+
+after(() => redisClient.disconnect());
+
+const rate = (overrides) => ({
+  country: "",
+  state: "",
+  postcodes: [],
+  cities: [],
+  priority: 1,
+  compound: false,
+  shipping: true,
+  order: 0,
+  taxClass: "standard",
+  ...overrides,
+});
+
+const config = (overrides = {}) => ({
+  enabled: true,
+  pricesIncludeTax: false,
+  taxBasedOn: "shipping",
+  shippingTaxClass: "inherit",
+  roundAtSubtotal: false,
+  baseLocation: { country: "GB", state: "", postcode: "", city: "" },
+  classes: ["standard", "zero-rate"],
+  rates: [
+    rate({ id: 1, country: "GB", rate: 20, name: "VAT" }),
+    rate({ id: 2, country: "GB", postcodes: ["BT*"], rate: 0, name: "NI" }),
+    rate({ id: 3, country: "GB", rate: 0, name: "Zero", taxClass: "zero-rate" }),
+  ],
+  ...overrides,
+});
+
+const cart = (items, taxAddresses) => ({ items, taxAddresses });
+const item = (key, lineTotal, overrides = {}) => ({ key, lineTotal: lineTotal.toFixed(2), discount: "0.00", ...overrides });
+
+describe("getTaxLocation", () => {
+  it("uses the shipping address, then billing, then the store", () => {
+    const shipping = { country: "gb", postcode: "BT1 1AA" };
+    const billing = { country: "FR" };
+
+    assert.equal(getTaxLocation(config(), { shipping, billing }).country, "GB");
+    assert.equal(getTaxLocation(config(), { billing }).country, "FR");
+    assert.deepEqual(getTaxLocation(config(), {}), config().baseLocation);
+    assert.deepEqual(getTaxLocation(config({ taxBasedOn: "base" }), { shipping }), config().baseLocation);
+  });
+});
+
+describe("calculateCartTax", () => {
+  it("returns no tax when taxes are off", () => {
+    const result = calculateCartTax(cart([item("a", 10, { discount: "2.00" })]), { config: config({ enabled: false }), shippingTotal: 5 });
+
+    assert.equal(result.enabled, false);
+    assert.equal(result.tax, 0);
+    assert.equal(result.netTotal, 13);
+  });
+
+  it("taxes items after discounts, and shipping", () => {
+    const result = calculateCartTax(cart([item("a", 100, { discount: "10.00" })]), { config: config(), shippingTotal: 10 });
+
+    assert.equal(result.itemsTax, 18);
+    assert.equal(result.shippingTax, 2);
+    assert.equal(result.tax, 20);
+    assert.equal(result.netTotal, 100);
+    assert.deepEqual(result.lines, [{ key: "a", subtotal: 100, total: 90, tax: 18 }]);
+    assert.deepEqual(result.taxes.map((t) => [t.label, t.total]), [["VAT", "20.00"]]);
+  });
+
+  it("picks the most specific rate for the location", () => {
+    const result = calculateCartTax(cart([item("a", 100)], { shipping: { country: "GB", postcode: "BT1 1AA" } }), {
+      config: config(),
+    });
+
+    assert.equal(result.tax, 0);
+    assert.equal(result.location.postcode, "BT1 1AA");
+  });
+
+  it("takes the base rate out of inclusive prices", () => {
+    const inclusive = config({ pricesIncludeTax: true });
+
+    const uk = calculateCartTax(cart([item("a", 120)]), { config: inclusive });
+    assert.deepEqual([uk.lines[0].total, uk.tax], [100, 20]);
+
+    const ni = calculateCartTax(cart([item("a", 120)], { shipping: { country: "GB", postcode: "BT1 1AA" } }), { config: inclusive });
+    assert.deepEqual([ni.lines[0].total, ni.tax], [100, 0]);
+  });
+
+  it("skips lines that aren't taxable", () => {
+    const result = calculateCartTax(cart([item("a", 100, { taxStatus: "none" })]), { config: config() });
+
+    assert.equal(result.tax, 0);
+    assert.equal(result.netTotal, 100);
+  });
+
+  it("applies compound rates on top of the others", () => {
+    const compound = config({
+      rates: [rate({ id: 1, rate: 10, name: "A" }), rate({ id: 2, rate: 10, name: "B", priority: 2, compound: true })],
+    });
+
+    assert.equal(calculateCartTax(cart([item("a", 100)]), { config: compound }).tax, 21);
+  });
+
+  it("taxes shipping at the cart's class on inherit", () => {
+    const result = calculateCartTax(cart([item("a", 100, { taxClass: "zero-rate" })]), { config: config(), shippingTotal: 10 });
+
+    assert.equal(result.shippingTax, 0);
+  });
+});
+
+describe("formatOrderTaxes", () => {
+  it("formats WooCommerce tax lines", () => {
+    const order = { tax_lines: [{ rate_id: 1, label: "VAT", rate_percent: 20, tax_total: "18.00", shipping_tax_total: "2.00", compound: false }] };
+
+    assert.deepEqual(formatOrderTaxes(order), [
+      { rateId: 1, label: "VAT", ratePercent: 20, compound: false, itemsTax: "18.00", shippingTax: "2.00", total: "20.00" },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getVolumeTiers, getVolumePricing } from "../utils/volume-pricing.js";
+
+const withTiers = (value) => ({ meta_data: [{ key: "_volume_tiers", value }] });
+
+describe("getVolumeTiers", () => {
+  it("parses the short form, sorted by threshold", () => {
+    assert.deepEqual(getVolumeTiers(withTiers("50:10,20:5")), [
+      { minSqm: 20, discountPercent: 5 },
+      { minSqm: 50, discountPercent: 10 },
+    ]);
+  });
+
+  it("parses JSON tiers", () => {
+    assert.deepEqual(getVolumeTiers(withTiers('[{ "minSqm": 20, "discountPercent": 5 }]')), [
+      { minSqm: 20, discountPercent: 5 },
+    ]);
+  });
+
+  it("prefers the variation's tiers over the product's", () => {
+    assert.deepEqual(getVolumeTiers(withTiers("20:5"), withTiers("10:3")), [{ minSqm: 10, discountPercent: 3 }]);
+  });
+
+  it("drops invalid tiers", () => {
+    assert.equal(getVolumeTiers(withTiers("20:0,0:5,10:100")), null);
+    assert.equal(getVolumeTiers(withTiers("[not json")), null);
+  });
+
+  it("returns null for products without tiers", () => {
+    assert.equal(getVolumeTiers({ meta_data: [], categories: [] }), null);
+  });
+});
+
+describe("getVolumePricing", () => {
+  const tiers = [
+    { minSqm: 20, discountPercent: 5 },
+    { minSqm: 50, discountPercent: 10 },
+  ];
+
+  it("returns null without tiers", () => {
+    assert.equal(getVolumePricing(40, 10, null), null);
+  });
+
+  it("uses the list price below the first tier", () => {
+    const pricing = getVolumePricing(40, 10, tiers);
+
+    assert.equal(pricing.unitPrice, "40.00");
+    assert.equal(pricing.currentTier, null);
+    assert.equal(pricing.saving, "0.00");
+    assert.deepEqual(pricing.nextTier, {
+      minSqm: 20,
+      discountPercent: 5,
+      sqmNeeded: 10,
+      unitPrice: "38.00",
+      savingPerSqm: "2.00",
+    });
+  });
+
+  it("prices at the highest tier reached", () => {
+    const pricing = getVolumePricing(40, 60, tiers);
+
+    assert.equal(pricing.unitPrice, "36.00");
+    assert.equal(pricing.listUnitPrice, "40.00");
+    assert.deepEqual(pricing.currentTier, { minSqm: 50, discountPercent: 10 });
+    assert.equal(pricing.saving, "240.00");
+    assert.equal(pricing.nextTier, null);
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Address validation and normalisation
+ * Every address the API accepts (checkout, shipping calculation, account
+ * addresses) goes through validateAddress, so WooCommerce and the shipping
+ * lookups always see the same shape: trimmed fields, upper-case country and
+ * state codes, postcodes in their country's format and phones in +<code> form.
+ *
+ * Problems come back per field, in one shape everywhere:
+ *   { field, message, code }
+ * field is the request's path to it (e.g. "billingAddress.postcode"), code one of
+ * "required", "invalid_country", "invalid_postcode", "invalid_state",
+ * "invalid_email" or "invalid_phone".
+ *
+ * Countries with their own rules are in COUNTRY_RULES - to add one, give its
+ * postcode pattern/format, whether a postcode is required, its states (if
+ * WooCommerce requires one) and its dialling code.
+ */
+
+const US_STATES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California", CO: "Colorado",
+  CT: "Connecticut", DE: "Delaware", DC: "District of Columbia", FL: "Florida", GA: "Georgia",
+  HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa", KS: "Kansas",
+  KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland", MA: "Massachusetts",
+  MI: "Michigan", MN: "Minnesota", MS: "Mississippi", MO: "Missouri", MT: "Montana",
+  NE: "Nebraska", NV: "Nevada", NH: "New Hampshire", NJ: "New Jersey", NM: "New Mexico",
+  NY: "New York", NC: "North Carolina", ND: "North Dakota", OH: "Ohio", OK: "Oklahoma",
+  OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island", SC: "South Carolina",
+  SD: "South Dakota", TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont",
+  VA: "Virginia", WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
+  AA: "Armed Forces (AA)", AE: "Armed Forces (AE)", AP: "Armed Forces (AP)",
+};
+
+const CA_PROVINCES = {
+  AB: "Alberta", BC: "British Columbia", MB: "Manitoba", NB: "New Brunswick",
+  NL: "Newfoundland and Labrador", NT: "Northwest Territories", NS: "Nova Scotia",
+  NU: "Nunavut", ON: "Ontario", PE: "Prince Edward Island", QC: "Quebec",
+  SK: "Saskatchewan", YT: "Yukon Territory",
+};
+
+const AU_STATES = {
+  ACT: "Australian Capital Territory", NSW: "New South Wales", NT: "Northern Territory",
+  QLD: "Queensland", SA: "South Australia", TAS: "Tasmania", VIC: "Victoria",
+  WA: "Western Australia",
+};
+
+// WooCommerce's county codes for Ireland
+const IE_COUNTIES = {
+  CW: "Carlow", CN: "Cavan", CE: "Clare", CO: "Cork", DL: "Donegal", D: "Dublin",
+  G: "Galway", KY: "Kerry", KE: "Kildare", KK: "Kilkenny", LS: "Laois", LM: "Leitrim",
+  LK: "Limerick", LD: "Longford", LH: "Louth", MO: "Mayo", MH: "Meath", MN: "Monaghan",
+  OY: "Offaly", RN: "Roscommon", SO: "Sligo", TA: "Tipperary", WD: "Waterford",
+  WH: "Westmeath", WX: "Wexford", WW: "Wicklow",
+};
+
+// Outward code, then inward code (digit + two letters); GIR 0AA is Girobank's
+const UK_POSTCODE = {
+  pattern: /^(?:[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}|GIR0AA)$/,
+  format: (value) => `${value.slice(0, -3)} ${value.slice(-3)}`,
+  example: "SW1A 1AA",
+};
+
+const COUNTRY_RULES = {
+  GB: { postcode: UK_POSTCODE, dialCode: "44", trunkPrefix: "0" },
+  // Crown Dependencies use UK postcodes
+  IM: { postcode: UK_POSTCODE, dialCode: "44", trunkPrefix: "0" },
+  JE: { postcode: UK_POSTCODE, dialCode: "44", trunkPrefix: "0" },
+  GG: { postcode: UK_POSTCODE, dialCode: "44", trunkPrefix: "0" },
+  IE: {
+    // Eircode: routing key (letter + two digits, or D6W) and a four character identifier
+    postcode: {
+      pattern: /^(?:[ACDEFHKNPRTVWXY]\d{2}|D6W)[0-9ACDEFHKNPRTVWXY]{4}$/,
+      format: (value) => `${value.slice(0, 3)} ${value.slice(3)}`,
+      example: "D02 X285",
+      label: "Eircode",
+    },
+    postcodeRequired: false, // Not every Irish address has one
+    states: IE_COUNTIES,
+    stateLabel: "County",
+    dialCode: "353",
+    trunkPrefix: "0",
+  },
+  US: {
+    postcode: {
+      pattern: /^\d{5}(?:\d{4})?$/,
+      format: (value) => (value.length === 9 ? `${value.slice(0, 5)}-${value.slice(5)}` : value),
+      example: "90210",
+      label: "ZIP code",
+      strip: /[\s-]/g,
+    },
+    states: US_STATES,
+    stateLabel: "State",
+    dialCode: "1",
+  },
+  CA: {
+    postcode: {
+      pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\d[ABCEGHJ-NPRSTV-Z]\d$/,
+      format: (value) => `${value.slice(0, 3)} ${value.slice(3)}`,
+      example: "K1A 0B1",
+      label: "Postal code",
+    },
+    states: CA_PROVINCES,
+    stateLabel: "Province",
+    dialCode: "1",
+  },
+  AU: {
+    postcode: { pattern: /^\d{4}$/, format: (value) => value, example: "2000" },
+    states: AU_STATES,
+    stateLabel: "State",
+    dialCode: "61",
+    trunkPrefix: "0",
+  },
+};
+
+const TEXT_FIELDS = ["first_name", "last_name", "company", "address_1", "address_2", "city"];
+
+const REQUIRED_FIELDS = {
+  billing: ["first_name", "last_name", "address_1", "city", "postcode", "country", "email"],
+  shipping: ["first_name", "last_name", "address_1", "city", "postcode", "country"],
+  destination: ["country"], // Enough to quote shipping
+};
+
+const FIELD_LABELS = {
+  first_name: "First name",
+  last_name: "Last name",
+  address_1: "Address",
+  city: "City",
+  postcode: "Postcode",
+  country: "Country",
+  state: "State",
+  email: "Email address",
+  phone: "Phone number",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+const collapseSpaces = (value) => String(value ?? "").trim().replace(/\s+/g, " ");
+
+// "Co. Dublin", "County Dublin" and "dublin" are all Dublin
+const stateNameKey = (value) =>
+  collapseSpaces(value).toLowerCase().replace(/^(?:co\.?|county)\s+/, "");
+
+const isBlank = (value) => value === undefined || value === null || collapseSpaces(value) === "";
+
+/**
+ * Whether an email address looks deliverable
+ */
+export const isValidEmail = (email) => {
+  const value = collapseSpaces(email);
+  return value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value);
+};
+
+/**
+ * Email in the form it's stored - trimmed and lower-case
+ */
+export const normalizeEmail = (email) => collapseSpaces(email).toLowerCase();
+
+/**
+ * Postcode in its country's format ("sw1a1aa" -> "SW1A 1AA" for GB)
+ * @returns {string} The formatted postcode, or the upper-cased input if it
+ *   doesn't match the country's format (see isValidPostcode)
+ */
+export const normalizePostcode = (postcode, country) => {
+  const value = collapseSpaces(postcode).toUpperCase();
+  const rule = COUNTRY_RULES[String(country || "").toUpperCase()]?.postcode;
+  if (!rule) return value;
+
+  const compact = value.replace(rule.strip || /\s/g, "");
+  return rule.pattern.test(compact) ? rule.format(compact) : value;
+};
+
+/**
+ * Whether a postcode is valid for a country (countries without a rule accept any)
+ */
+export const isValidPostcode = (postcode, country) => {
+  const rule = COUNTRY_RULES[String(country || "").toUpperCase()]?.postcode;
+  if (!rule) return !isBlank(postcode);
+
+  return rule.pattern.test(collapseSpaces(postcode).toUpperCase().replace(rule.strip || /\s/g, ""));
+};
+
+/**
+ * State code for a country, from a code or a name ("california" -> "CA")
+ * Countries without a state list (e.g. a GB county) keep the text as entered.
+ * @returns {string|null} null if the country has a state list and it isn't on it
+ */
+export const normalizeState = (state, country) => {
+  const value = collapseSpaces(state);
+  const states = COUNTRY_RULES[String(country || "").toUpperCase()]?.states;
+  if (!states) return value;
+
+  const code = value.toUpperCase();
+  if (states[code]) return code;
+
+  const key = stateNameKey(value);
+  return Object.keys(states).find((stateCode) => stateNameKey(states[stateCode]) === key) || null;
+};
+
+/**
+ * Phone number in international form ("07700 900123" in GB -> "+447700900123")
+ * Numbers already starting with + or 00 keep their country code; national
+ * numbers get the address country's. Countries without a rule keep their digits.
+ *
+ * @returns {string|null} null if it can't be a phone number (7-15 digits)
+ */
+export const normalizePhone = (phone, country) => {
+  // "+44 (0)20 ..." - the (0) is only dialled from inside the country
+  const value = collapseSpaces(phone).replace(/\(0\)/g, "");
+  if (!/^[+\d\s().-]+$/.test(value)) return null;
+
+  const digits = value.replace(/\D/g, "");
+  const rule = COUNTRY_RULES[String(country || "").toUpperCase()];
+  let international = null;
+
+  if (value.startsWith("+")) {
+    international = digits;
+  } else if (digits.startsWith("00")) {
+    international = digits.slice(2);
+  } else if (rule?.trunkPrefix && digits.startsWith(rule.trunkPrefix)) {
+    international = rule.dialCode + digits.slice(rule.trunkPrefix.length);
+  } else if (rule?.dialCode === "1" && digits.length === 10) {
+    international = `1${digits}`;
+  }
+
+  const result = international ?? digits;
+  if (result.length < 7 || result.length > 15) return null;
+
+  return international ? `+${result}` : result;
+};
+
+const fieldError = (prefix, name, message, code) => ({
+  field: prefix ? `${prefix}.${name}` : name,
+  message,
+  code,
+});
+
+/**
+ * Validate and normalise an address
+ *
+ * @param {Object} address - WooCommerce-style address (first_name, address_1, postcode, country...)
+ * @param {Object} [options]
+ * @param {string} [options.type] - "billing", "shipping" or "destination" (shipping quotes) -
+ *   decides which fields are required
+ * @param {string} [options.field] - Request path of the address, prefixed to each error's field
+ * @param {boolean} [options.partial] - Only fields that are sent are checked (address updates)
+ * @returns {{ address: Object, errors: Array }} The normalised address, and
+ *   [{ field, message, code }] - empty if it's valid
+ */
+export const validateAddress = (address, { type = "shipping", field: prefix = "", partial = false } = {}) => {
+  if (!address || typeof address !== "object") {
+    const name = type === "billing" ? "Billing address" : type === "shipping" ? "Shipping address" : "Address";
+    return { address: null, errors: [{ field: prefix || "address", message: `${name} is required`, code: "required" }] };
+  }
+
+  const normalized = { ...address };
+  const errors = [];
+  const sent = (name) => !partial || address[name] !== undefined;
+
+  for (const name of TEXT_FIELDS) {
+    if (address[name] !== undefined && address[name] !== null) {
+      normalized[name] = collapseSpaces(address[name]);
+    }
+  }
+
+  if (address.country !== undefined) {
+    normalized.country = collapseSpaces(address.country).toUpperCase();
+  }
+  const country = normalized.country || "";
+  const rule = COUNTRY_RULES[country];
+
+  const required = REQUIRED_FIELDS[type] || REQUIRED_FIELDS.shipping;
+  for (const name of required) {
+    // Some countries don't need a postcode
+    if (name === "postcode" && rule?.postcodeRequired === false) continue;
+
+    if (sent(name) && isBlank(address[name])) {
+      const fieldLabel = name === "postcode" && rule?.postcode?.label ? rule.postcode.label : FIELD_LABELS[name];
+      errors.push(fieldError(prefix, name, `${fieldLabel} is required`, "required"));
+    }
+  }
+
+  if (country && !/^[A-Z]{2}$/.test(country)) {
+    errors.push(fieldError(prefix, "country", "Country must be a two-letter country code", "invalid_country"));
+  }
+
+  if (!isBlank(address.postcode)) {
+    normalized.postcode = normalizePostcode(address.postcode, country);
+
+    if (rule?.postcode && !isValidPostcode(address.postcode, country)) {
+      const postcodeLabel = rule.postcode.label || "Postcode";
+      errors.push(
+        fieldError(prefix, "postcode", `${postcodeLabel} isn't valid - it should look like ${rule.postcode.example}`, "invalid_postcode")
+      );
+    }
+  }
+
+  if (!isBlank(address.state)) {
+    const state = normalizeState(address.state, country);
+
+    if (state === null) {
+      errors.push(fieldError(prefix, "state", `${rule.stateLabel} isn't valid for this country`, "invalid_state"));
+    } else {
+      normalized.state = state;
+    }
+  } else if (rule?.states && type !== "destination" && sent("state")) {
+    errors.push(fieldError(prefix, "state", `${rule.stateLabel} is required`, "required"));
+  } else if (address.state !== undefined) {
+    normalized.state = "";
+  }
+
+  if (!isBlank(address.email)) {
+    if (isValidEmail(address.email)) {
+      normalized.email = normalizeEmail(address.email);
+    } else {
+      errors.push(fieldError(prefix, "email", "Email address isn't valid", "invalid_email"));
+    }
+  }
+
+  if (!isBlank(address.phone)) {
+    const phone = normalizePhone(address.phone, country);
+
+    if (phone) {
+      normalized.phone = phone;
+    } else {
+      errors.push(fieldError(prefix, "phone", "Phone number isn't valid", "invalid_phone"));
+    }
+  }
+
+  return { address: normalized, errors };
+};
+
+export default {
+  validateAddress,
+  normalizePostcode,
+  isValidPostcode,
+  normalizeState,
+  normalizePhone,
+  isValidEmail,
+  normalizeEmail,
+};
@@ -0,0 +1,115 @@
+/**
+ * Box coverage helpers for tiles sold per sqm but shipped in whole boxes
+ *
+ * Coverage is read from WooCommerce product/variation meta or attributes, e.g.
+ *   meta_data:  { key: "coverage_per_box", value: "1.44" }
+ *   attributes: { name: "Coverage Per Box", options: ["1.44 m2"] }
+ * A variation's own value wins over the parent product's.
+ */
+
+// Extra material ordered to cover cuts and breakages, by laying pattern
+export const WASTAGE_BY_LAY_PATTERN = {
+  none: 0,
+  straight: 10,
+  herringbone: 15,
+};
+
+const COVERAGE_META_KEYS = ["_coverage_per_box", "coverage_per_box", "sqm_per_box", "m2_per_box"];
+const COVERAGE_ATTRIBUTE = /coverage|(sqm|m2|m²)\s*per\s*box/i;
+
+const PIECES_META_KEYS = ["_pieces_per_box", "pieces_per_box", "tiles_per_box"];
+const PIECES_ATTRIBUTE = /(pieces|tiles|pcs)\s*per\s*box/i;
+
+const toPositiveNumber = (value) => {
+  const number = parseFloat(String(value ?? "").replace(",", "."));
+  return number > 0 ? number : null;
+};
+
+/**
+ * Find a numeric value in meta_data (by key) or attributes (by name)
+ */
+const readValue = (source, metaKeys, attributePattern) => {
+  if (!source) return null;
+
+  const meta = (source.meta_data || []).find((m) => metaKeys.includes(m.key));
+  const metaValue = toPositiveNumber(meta?.value);
+  if (metaValue) return metaValue;
+
+  const attribute = (source.attributes || []).find(
+    (attr) => attributePattern.test(attr.name || "") || attributePattern.test(attr.slug || "")
+  );
+  // Product attributes have `options`, variation attributes have `option`
+  return toPositiveNumber(attribute?.option ?? attribute?.options?.[0]);
+};
+
+/**
+ * Get box coverage for a product (and optionally its variation)
+ * @param {Object} product - WooCommerce product
+ * @param {Object} [variation] - WooCommerce variation
+ * @returns {{ coveragePerBox: number, piecesPerBox: number|null }|null}
+ *   null if the product isn't sold in boxes
+ */
+export const getBoxCoverage = (product, variation = null) => {
+  const coveragePerBox =
+    readValue(variation, COVERAGE_META_KEYS, COVERAGE_ATTRIBUTE) ||
+    readValue(product, COVERAGE_META_KEYS, COVERAGE_ATTRIBUTE);
+
+  if (!coveragePerBox) return null;
+
+  const piecesPerBox =
+    readValue(variation, PIECES_META_KEYS, PIECES_ATTRIBUTE) ||
+    readValue(product, PIECES_META_KEYS, PIECES_ATTRIBUTE);
+
+  return {
+    coveragePerBox,
+    piecesPerBox: piecesPerBox ? Math.round(piecesPerBox) : null,
+  };
+};
+
+/**
+ * Get the wastage percentage for a laying pattern
+ * @param {string} [layPattern] - "straight", "herringbone" or "none"
+ * @returns {number} Wastage percentage (0 if not recognised)
+ */
+export const getWastagePercent = (layPattern) => {
+  return WASTAGE_BY_LAY_PATTERN[String(layPattern || "none").toLowerCase()] || 0;
+};
+
+/**
+ * Check a laying pattern is one we know the wastage for
+ * @param {string} layPattern
+ * @returns {boolean}
+ */
+export const isValidLayPattern = (layPattern) => {
+  return Object.hasOwn(WASTAGE_BY_LAY_PATTERN, String(layPattern).toLowerCase());
+};
+
+/**
+ * Round an sqm request up to whole boxes
+ *
+ * @param {number} requestedSqm - Area the customer wants to cover
+ * @param {Object} coverage - Result of getBoxCoverage
+ * @param {number} [wastagePercent] - Extra percentage to allow for cuts
+ * @returns {{ boxes: number, pieces: number|null, sqm: number }}
+ *   sqm is the area actually bought (boxes x coverage)
+ */
+export const calculateBoxQuantity = (requestedSqm, coverage, wastagePercent = 0) => {
+  const neededSqm = requestedSqm * (1 + wastagePercent / 100);
+
+  // Small tolerance so 2.880000001 sqm doesn't become an extra box
+  const boxes = Math.max(1, Math.ceil(neededSqm / coverage.coveragePerBox - 1e-9));
+
+  return {
+    boxes,
+    pieces: coverage.piecesPerBox ? boxes * coverage.piecesPerBox : null,
+    sqm: Number((boxes * coverage.coveragePerBox).toFixed(2)),
+  };
+};
+
+export default {
+  WASTAGE_BY_LAY_PATTERN,
+  getBoxCoverage,
+  getWastagePercent,
+  isValidLayPattern,
+  calculateBoxQuantity,
+};
@@ -0,0 +1,103 @@
+/**
+ * Quantity rules for products that must be bought in set amounts
+ * (bookmatch slabs in pairs, mosaic sheets in tens, a minimum area...)
+ *
+ * Rules are read from WooCommerce product/variation meta:
+ *   _min_quantity, _max_quantity, _quantity_step - on the cart quantity (boxes for box-sold tiles)
+ *   _sqm_step                                    - the area must be a multiple of this
+ * A variation's own value wins over the parent product's, rule by rule.
+ */
+
+const RULE_META_KEYS = {
+  minQuantity: ["_min_quantity", "min_quantity"],
+  maxQuantity: ["_max_quantity", "max_quantity"],
+  quantityStep: ["_quantity_step", "quantity_step"],
+  sqmStep: ["_sqm_step", "sqm_step"],
+};
+
+const RULE_NAMES = Object.keys(RULE_META_KEYS);
+
+const toPositiveNumber = (value) => {
+  const number = parseFloat(String(value ?? "").replace(",", "."));
+  return number > 0 ? number : null;
+};
+
+/**
+ * Rules set on one product or variation (unset rules are null)
+ */
+const readRules = (source) => {
+  const rules = {};
+
+  for (const name of RULE_NAMES) {
+    const meta = (source?.meta_data || []).find((m) => RULE_META_KEYS[name].includes(m.key));
+    rules[name] = toPositiveNumber(meta?.value);
+  }
+
+  return rules;
+};
+
+/**
+ * Combine a product's rules with a variation's own (variation wins)
+ * @returns {Object|null} null if no rule is set
+ */
+export const mergeQuantityRules = (productRules, variationRules) => {
+  const rules = {};
+
+  for (const name of RULE_NAMES) {
+    rules[name] = variationRules?.[name] ?? productRules?.[name] ?? null;
+  }
+
+  return RULE_NAMES.some((name) => rules[name] !== null) ? rules : null;
+};
+
+/**
+ * Get the quantity rules for a product (and optionally its variation)
+ * @param {Object} product - WooCommerce product
+ * @param {Object} [variation] - WooCommerce variation
+ * @returns {{ minQuantity, maxQuantity, quantityStep, sqmStep }|null} null if the product has none
+ */
+export const getQuantityRules = (product, variation = null) =>
+  mergeQuantityRules(readRules(product), variation ? readRules(variation) : null);
+
+// Float-safe "is value a whole multiple of step"
+const isMultipleOf = (value, step) => {
+  const ratio = value / step;
+  return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+};
+
+/**
+ * Check a quantity (and area) against the rules
+ * @param {Object|null} rules - From getQuantityRules
+ * @param {Object} amount - { quantity, sqm }
+ * @returns {{ code: string, message: string }|null} The first rule broken, or null if allowed
+ *   code is "quantity_below_minimum", "quantity_above_maximum", "quantity_step" or "sqm_step"
+ */
+export const checkQuantityRules = (rules, { quantity, sqm = 0 }) => {
+  if (!rules) return null;
+
+  const { minQuantity, maxQuantity, quantityStep, sqmStep } = rules;
+
+  if (minQuantity && quantity < minQuantity) {
+    return { code: "quantity_below_minimum", message: `The minimum quantity for this product is ${minQuantity}` };
+  }
+
+  if (maxQuantity && quantity > maxQuantity) {
+    return { code: "quantity_above_maximum", message: `The maximum quantity for this product is ${maxQuantity}` };
+  }
+
+  if (quantityStep && !isMultipleOf(quantity, quantityStep)) {
+    return { code: "quantity_step", message: `This product is sold in multiples of ${quantityStep}` };
+  }
+
+  if (sqmStep && sqm > 0 && !isMultipleOf(sqm, sqmStep)) {
+    return { code: "sqm_step", message: `This product is sold in steps of ${sqmStep} m²` };
+  }
+
+  return null;
+};
+
+export default {
+  mergeQuantityRules,
+  getQuantityRules,
+  checkQuantityRules,
+};
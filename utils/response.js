@@ -19,8 +19,20 @@ export const handleError = (res, message, statusCode = 500) => {
   });
 };
 
+/**
+ * 400 with field-level errors - [{ field, message, code }] (see utils/address.js)
+ * The message is the first error's, for clients that only show one
+ */
+export const validationErrorResponse = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: errors[0]?.message || "Please check the details you entered",
+    data: { errors },
+  });
+};
 
 export default {
   successResponse,
-  handleError
+  handleError,
+  validationErrorResponse
 }
@@ -1,3 +1,6 @@
+import { getBoxCoverage } from "./box-coverage.js";
+import { getQuantityRules } from "./quantity-rules.js";
+
 // Meta builder
 export const buildMeta = ({ page, per_page, totalPages, totalProducts }) => ({
   current_page: parseInt(page),
@@ -48,6 +51,10 @@ export const transformProducts = (products) => {
     })(),
     // --- 🛠️ FIX ENDS HERE ---
     stock_status: product.stock_status,
+    // Needed to subtract checkout holds from the cached catalog
+    manage_stock: product.manage_stock ?? false,
+    stock_quantity: product.stock_quantity ?? null,
+    backorders: product.backorders ?? "no",
     categories: product.categories || [],
     images: product.images || [],
     attributes: product.attributes || [],
@@ -59,6 +66,11 @@ export const transformProducts = (products) => {
     weight: product.weight || "",
     dimensions: product.dimensions || { length: "", width: "", height: "" },
     sku: product.sku || "",
+    // Tiles sold in whole boxes (null if not sold by the box)
+    box_coverage: getBoxCoverage(product),
+    // Min / max / step for quantity pickers (null if any quantity is fine).
+    // Already-transformed products (e.g. from the search cache) keep theirs.
+    quantity_rules: product.meta_data ? getQuantityRules(product) : product.quantity_rules ?? null,
     yoast_head_json: {
       og_image: product.yoast_head_json?.og_image || [],
     },
@@ -0,0 +1,132 @@
+/**
+ * Volume tier pricing for tiles sold by the square metre
+ *
+ * Tiers are read from WooCommerce product/variation meta, e.g.
+ *   meta_data: { key: "_volume_tiers", value: "20:5,50:10" }
+ * (20 m² or more = 5% off, 50 m² or more = 10% off; JSON
+ * [{ "minSqm": 20, "discountPercent": 5 }] works too), or from the category
+ * config below. A variation's own tiers win over the product's, and the
+ * product's over its categories'.
+ */
+
+const TIERS_META_KEY = "_volume_tiers";
+
+// Tiers for whole categories, by category slug. VOLUME_TIERS_BY_CATEGORY
+// (same shape, as JSON) adds to or replaces these.
+//   e.g. "limestone-tiles": [{ minSqm: 20, discountPercent: 5 }, { minSqm: 50, discountPercent: 10 }]
+const CATEGORY_VOLUME_TIERS = {};
+
+const parseCategoryConfig = () => {
+  try {
+    return { ...CATEGORY_VOLUME_TIERS, ...JSON.parse(process.env.VOLUME_TIERS_BY_CATEGORY || "{}") };
+  } catch (error) {
+    console.error("[VolumePricing] Invalid VOLUME_TIERS_BY_CATEGORY:", error.message);
+    return CATEGORY_VOLUME_TIERS;
+  }
+};
+
+const categoryTiers = parseCategoryConfig();
+
+/**
+ * Clean up a tier list: valid entries only, sorted by threshold
+ * @returns {Array|null} [{ minSqm, discountPercent }] or null if there are none
+ */
+const normalizeTiers = (tiers) => {
+  if (!Array.isArray(tiers)) return null;
+
+  const valid = tiers
+    .map((tier) => ({
+      minSqm: parseFloat(tier.minSqm ?? tier.min_sqm ?? tier.min),
+      discountPercent: parseFloat(tier.discountPercent ?? tier.discount_percent ?? tier.discount),
+    }))
+    .filter((tier) => tier.minSqm > 0 && tier.discountPercent > 0 && tier.discountPercent < 100)
+    .sort((a, b) => a.minSqm - b.minSqm);
+
+  return valid.length > 0 ? valid : null;
+};
+
+/**
+ * Parse a "20:5,50:10" or JSON tier list from meta
+ */
+const parseTiers = (value) => {
+  if (!value) return null;
+  if (Array.isArray(value)) return normalizeTiers(value);
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      return normalizeTiers(JSON.parse(text));
+    } catch {
+      return null;
+    }
+  }
+
+  return normalizeTiers(
+    text.split(",").map((pair) => {
+      const [minSqm, discountPercent] = pair.split(":");
+      return { minSqm, discountPercent };
+    })
+  );
+};
+
+const readMetaTiers = (source) =>
+  parseTiers((source?.meta_data || []).find((meta) => meta.key === TIERS_META_KEY)?.value);
+
+/**
+ * Get the volume tiers for a product (and optionally its variation)
+ * @param {Object} product - WooCommerce product
+ * @param {Object} [variation] - WooCommerce variation
+ * @returns {Array|null} [{ minSqm, discountPercent }] sorted by minSqm, or null
+ */
+export const getVolumeTiers = (product, variation = null) => {
+  const own = readMetaTiers(variation) || readMetaTiers(product);
+  if (own) return own;
+
+  for (const category of product?.categories || []) {
+    const tiers = normalizeTiers(categoryTiers[category.slug]);
+    if (tiers) return tiers;
+  }
+
+  return null;
+};
+
+/**
+ * Price an area at its volume tier
+ * @param {number} unitPrice - List price per m²
+ * @param {number} sqm - Area bought
+ * @param {Array|null} tiers - From getVolumeTiers
+ * @returns {Object|null} { unitPrice, listUnitPrice, currentTier, saving, nextTier } or null
+ *   if the product has no tiers. nextTier = { minSqm, discountPercent, sqmNeeded, unitPrice, savingPerSqm }
+ */
+export const getVolumePricing = (unitPrice, sqm, tiers) => {
+  if (!tiers || tiers.length === 0) return null;
+
+  const listUnitPrice = parseFloat(unitPrice) || 0;
+  const priceAt = (tier) =>
+    tier ? Number((listUnitPrice * (1 - tier.discountPercent / 100)).toFixed(2)) : listUnitPrice;
+
+  const currentTier = [...tiers].reverse().find((tier) => sqm >= tier.minSqm) || null;
+  const next = tiers.find((tier) => sqm < tier.minSqm) || null;
+  const tierUnitPrice = priceAt(currentTier);
+  const lineAt = (price) => Number((sqm * price).toFixed(2));
+
+  return {
+    unitPrice: tierUnitPrice.toFixed(2),
+    listUnitPrice: listUnitPrice.toFixed(2),
+    currentTier,
+    saving: (lineAt(listUnitPrice) - lineAt(tierUnitPrice)).toFixed(2),
+    nextTier: next
+      ? {
+          ...next,
+          sqmNeeded: Number((next.minSqm - sqm).toFixed(2)),
+          unitPrice: priceAt(next).toFixed(2),
+          savingPerSqm: (tierUnitPrice - priceAt(next)).toFixed(2),
+        }
+      : null,
+  };
+};
+
+export default {
+  getVolumeTiers,
+  getVolumePricing,
+};